@@ -1,6 +1,8 @@
-const { OpenAI } = require('openai');
-const { Octokit } = require('@octokit/rest');
 const winston = require('winston');
+const Joi = require('joi');
+const repoConfig = require('../config/repoConfig');
+const { completeJson } = require('../llm/structuredOutput');
+const scm = require('../scm');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -8,31 +10,40 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-class BuildPredictorAgent {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
-  }
+// Shape the LLM's prediction must have
+const predictionSchema = Joi.object({
+  outcome: Joi.string().lowercase().valid('success', 'failure', 'warning').required(),
+  confidence: Joi.number().min(0).max(100).required(),
+  duration: Joi.number().min(0).required(),
+  issues: Joi.array().items(Joi.string()).default([]),
+  recommendations: Joi.array().items(Joi.string()).default([]),
+  strategy: Joi.string().default('standard'),
+  resources: Joi.object({
+    cpu: Joi.string(),
+    memory: Joi.string(),
+    disk: Joi.string()
+  }).unknown(true).default({})
+}).unknown(true);
 
+class BuildPredictorAgent {
   async predict(params) {
-    const { repository, branch, commit_sha, llm_model = 'gpt-4' } = params;
+    const { repository, branch, commit_sha, llm_model, llm_provider, signal } = params;
     
     try {
-      const [owner, repo] = repository.split('/');
+      const config = await repoConfig.load(repository, commit_sha);
       
       // Get repository structure and build configuration
-      const repoInfo = await this.analyzeRepository(owner, repo, branch);
+      const repoInfo = await this.analyzeRepository(repository, branch);
       
       // Get recent build history
-      const buildHistory = await this.getBuildHistory(owner, repo);
+      const buildHistory = await this.getBuildHistory(repository);
       
       // Predict build outcome using LLM
-      const prediction = await this.predictBuildOutcome(repoInfo, buildHistory, llm_model);
+      const prediction = await this.predictBuildOutcome(repoInfo, buildHistory, {
+        provider: llm_provider || config.llm.provider,
+        model: llm_model || config.llm.model,
+        signal
+      });
       
       return {
         prediction: prediction.outcome,
@@ -41,7 +52,10 @@ class BuildPredictorAgent {
         potential_issues: prediction.issues,
         recommendations: prediction.recommendations,
         build_strategy: prediction.strategy,
-        resource_requirements: prediction.resources
+        resource_requirements: prediction.resources,
+        // 'fallback' when the LLM answer was unusable; fallback_reason says why
+        prediction_source: prediction.source,
+        fallback_reason: prediction.fallback_reason || null
       };
       
     } catch (error) {
@@ -50,37 +64,25 @@ class BuildPredictorAgent {
     }
   }
 
-  async analyzeRepository(owner, repo, branch) {
+  async analyzeRepository(repository, branch) {
+    const provider = scm.forRepository(repository);
     try {
-      // Get repository metadata
-      const { data: repoData } = await this.github.repos.get({ owner, repo });
+      // Get repository metadata and languages
+      const repoData = await provider.getRepository(repository);
       
       // Get build configuration files
-      const buildFiles = await this.getBuildConfigFiles(owner, repo, branch);
+      const buildFiles = await this.getBuildConfigFiles(repository, branch);
       
       // Get recent commits
-      const { data: commits } = await this.github.repos.listCommits({
-        owner,
-        repo,
-        sha: branch,
-        per_page: 10
-      });
-      
-      // Get repository languages
-      const { data: languages } = await this.github.repos.listLanguages({ owner, repo });
+      const commits = await provider.listCommits(repository, branch, 10);
       
       return {
         name: repoData.name,
         language: repoData.language,
-        languages: languages,
-        size: repoData.size,
+        languages: repoData.languages,
+        size: repoData.size_kb,
         build_files: buildFiles,
-        recent_commits: commits.map(c => ({
-          sha: c.sha,
-          message: c.commit.message,
-          author: c.commit.author.name,
-          date: c.commit.author.date
-        }))
+        recent_commits: commits
       };
     } catch (error) {
       logger.error('Repository analysis failed:', error);
@@ -88,7 +90,7 @@ class BuildPredictorAgent {
     }
   }
 
-  async getBuildConfigFiles(owner, repo, branch) {
+  async getBuildConfigFiles(repository, branch) {
     const buildFilePatterns = [
       'package.json',
       'Dockerfile',
@@ -101,71 +103,56 @@ class BuildPredictorAgent {
       'go.mod',
       'Cargo.toml',
       '.github/workflows',
+      '.gitlab-ci.yml',
+      'bitbucket-pipelines.yml',
       'Jenkinsfile',
       'azure-pipelines.yml'
     ];
     
+    const provider = scm.forRepository(repository);
     const buildFiles = [];
     
     for (const pattern of buildFilePatterns) {
       try {
-        const { data: content } = await this.github.repos.getContent({
-          owner,
-          repo,
-          path: pattern,
-          ref: branch
-        });
+        const content = await provider.getContent(repository, pattern, branch);
+        if (!content) {
+          continue;
+        }
         
-        if (Array.isArray(content)) {
+        if (content.type === 'directory') {
           // Directory (like .github/workflows)
           buildFiles.push({
             path: pattern,
             type: 'directory',
-            files: content.map(f => f.name)
+            files: content.files
           });
         } else {
           // Single file
           buildFiles.push({
             path: pattern,
             type: 'file',
-            content: Buffer.from(content.content, 'base64').toString('utf-8')
+            content: content.content
           });
         }
       } catch (error) {
-        // File doesn't exist, continue
+        logger.warn(`Could not fetch ${pattern} from ${repository}: ${error.message}`);
       }
     }
     
     return buildFiles;
   }
 
-  async getBuildHistory(owner, repo) {
+  // Recent CI runs: GitHub Actions, GitLab CI or Bitbucket Pipelines
+  async getBuildHistory(repository) {
     try {
-      // Get recent workflow runs (GitHub Actions)
-      const { data: workflows } = await this.github.actions.listWorkflowRunsForRepo({
-        owner,
-        repo,
-        per_page: 20
-      });
-      
-      return workflows.workflow_runs.map(run => ({
-        id: run.id,
-        status: run.status,
-        conclusion: run.conclusion,
-        created_at: run.created_at,
-        updated_at: run.updated_at,
-        duration: run.updated_at && run.created_at ? 
-          new Date(run.updated_at) - new Date(run.created_at) : null,
-        head_sha: run.head_sha,
-        event: run.event
-      }));
+      return await scm.forRepository(repository).listBuilds(repository, 20);
     } catch (error) {
       logger.warn('Could not fetch build history:', error.message);
       return [];
     }
   }
 
-  async predictBuildOutcome(repoInfo, buildHistory, model) {
+  async predictBuildOutcome(repoInfo, buildHistory, llmOptions) {
     const prompt = `
 You are an expert DevOps engineer. Analyze the following repository information and build history to predict the build outcome.
 
@@ -201,19 +188,25 @@ Respond in JSON format:
 `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: model,
+      const { data } = await completeJson({
+        agent: 'build-predictor',
+        ...llmOptions,
+        schema: predictionSchema,
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.1,
         max_tokens: 1500
       });
 
-      return JSON.parse(response.choices[0].message.content);
+      return { ...data, source: 'llm' };
     } catch (error) {
       logger.error('Build prediction LLM call failed:', error);
       
       // Fallback prediction based on build history
-      return this.fallbackPrediction(buildHistory);
+      return {
+        ...this.fallbackPrediction(buildHistory),
+        source: 'fallback',
+        fallback_reason: `${error.reason || 'error'}: ${error.message}`
+      };
     }
   }
 
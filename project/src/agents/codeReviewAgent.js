@@ -1,7 +1,18 @@
-const { OpenAI } = require('openai');
-const { Octokit } = require('@octokit/rest');
 const axios = require('axios');
 const winston = require('winston');
+const Joi = require('joi');
+const repoConfig = require('../config/repoConfig');
+const { CONFIG_FILE_NAME } = repoConfig;
+const { completeJson } = require('../llm/structuredOutput');
+const { parseDiff, commentableLines, mapOldLine, batchFiles } = require('../review/diffParser');
+const { runRules } = require('../review/rules');
+const { applyFixes } = require('../review/autofix');
+const { evaluatePolicies } = require('../review/policy');
+const localGit = require('../review/localGit');
+const { throwIfCancelled } = require('../utils/cancellation');
+const scm = require('../scm');
+const { REVIEW_STATES } = require('../scm/githubProvider');
+const reviewStore = require('../store/reviewStore');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -9,58 +20,318 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-class CodeReviewAgent {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
-  }
+// Shape the LLM's review must have; missing lists default to empty
+const analysisSchema = Joi.object({
+  score: Joi.number().min(0).max(100).required(),
+  approved: Joi.boolean(),
+  issues: Joi.array().items(Joi.object({
+    type: Joi.string().allow(''),
+    severity: Joi.string().lowercase().valid('critical', 'major', 'minor').required(),
+    message: Joi.string().required(),
+    line: Joi.number().integer().allow(null),
+    file: Joi.string().allow(null, ''),
+    // Replacement code for new-side lines start_line..end_line
+    fix: Joi.object({
+      start_line: Joi.number().integer().min(1).required(),
+      end_line: Joi.number().integer().min(Joi.ref('start_line')).required(),
+      replacement: Joi.string().allow('').required()
+    }).allow(null)
+  }).unknown(true)).default([]),
+  security_concerns: Joi.array().items(Joi.string()).default([]),
+  performance_issues: Joi.array().items(Joi.string()).default([]),
+  suggestions: Joi.array().items(Joi.string()).default([])
+}).unknown(true);
+
+// Hidden tag that identifies this agent's reviews on a pull request
+const REVIEW_MARKER = '<!-- devops-agent:code-review -->';
+
+// GitHub rejects reviews with too many comments; the rest go in the summary
+const MAX_INLINE_COMMENTS = 50;
+
+// Marks findings of the static analysis rules in comments
+const ruleTag = (issue) => (issue.source === 'rule' ? ` (rule \`${issue.rule}\`)` : '');
 
+// The same finding reported again on the same line
+const issueKey = (issue) => [issue.file, issue.line, issue.rule || '', issue.message].join('|');
+
+class CodeReviewAgent {
+  // Reviews pull request `pr_number`, or without one a raw `diff` (also an
+  // uploaded .patch) or `repo_path` at base_ref...head_ref. Without a pull
+  // request the review comments are returned instead of posted.
   async analyze(params) {
-    const { repository, pr_number, diff_url, llm_model = 'gpt-4' } = params;
-    
     try {
-      // Fetch the diff from GitHub
-      const diffResponse = await axios.get(diff_url, {
+      return params.pr_number
+        ? await this.reviewPullRequest(params)
+        : await this.reviewStandalone(params);
+    } catch (error) {
+      logger.error('Code review analysis failed:', error);
+      throw error;
+    }
+  }
+
+  async reviewPullRequest(params) {
+    const { repository, pr_number, diff_url } = params;
+
+    const config = await repoConfig.load(repository, params.head_sha || params.commit_sha);
+    const headSha = params.head_sha || await this.getLatestCommitSha(repository, pr_number);
+    const knownHead = headSha !== 'unknown';
+
+    // After an earlier review only the commits pushed since are analyzed
+    let previous = config.review.incremental && !params.full_review && !params.diff && knownHead
+      ? await reviewStore.get(repository, pr_number)
+      : null;
+    let diff = previous ? await this.fetchIncrementalDiff(repository, previous.head_sha, headSha) : null;
+    if (previous && diff === null) {
+      logger.info(`${previous.head_sha.substring(0, 7)} is no longer part of ${repository}#${pr_number}, reviewing the whole pull request`);
+      previous = null;
+    }
+    if (diff === null) {
+      diff = params.diff || await this.fetchDiff(repository, pr_number, diff_url);
+    }
+    const reviewMode = !previous ? 'full' : (previous.head_sha === headSha ? 'unchanged' : 'incremental');
+
+    // Policies are selected by the branch the pull request merges into
+    const baseBranch = params.base_branch || await this.getBaseBranch(repository, pr_number);
+
+    // Analyze the code changes with LLM
+    const analysis = await this.analyzeDiff(diff, this.llmOptions(params, config), config, baseBranch, previous);
+
+    // Opt-in: the suggested fixes as a commit on the branch or a follow-up pull request
+    const autofix = (params.autofix ?? config.review.autofix.enabled)
+      ? await this.autofix(repository, pr_number, analysis, knownHead ? headSha : null,
+        params.autofix_mode || config.review.autofix.mode)
+      : null;
+
+    if (knownHead) {
+      await this.saveReviewState(repository, pr_number, headSha, analysis);
+    }
+
+    const review = config.review.post_review
+      ? await this.postReview(repository, pr_number, analysis, knownHead ? headSha : null, autofix)
+      : null;
+
+    return {
+      ...this.formatResult(analysis, {
+        source: params.diff ? 'diff' : 'pull_request',
+        review_mode: reviewMode,
+        reviewed_range: { base: previous ? previous.head_sha : null, head: knownHead ? headSha : null }
+      }),
+      github_review: review,
+      autofix
+    };
+  }
+
+  async reviewStandalone(params) {
+    const { repository } = params;
+
+    let source;
+    let diff;
+    let config;
+    let range = { base: null, head: params.head_sha || params.commit_sha || null };
+    if (params.repo_path) {
+      const local = await localGit.diffRefs(params.repo_path, params.base_ref, params.head_ref, params.signal);
+      source = 'local_git';
+      diff = local.diff;
+      range = { base: local.base_sha, head: local.head_sha };
+      // The checkout's own .devops-agent.yml, unless the repository has a local override
+      const committed = await localGit.readFile(local.dir, local.head_sha, CONFIG_FILE_NAME);
+      const { content, source: configSource } = (repository && await repoConfig.readLocal(repository)) ||
+        (committed !== null && { content: committed, source: `${params.repo_path}/${CONFIG_FILE_NAME}@${local.head_sha.substring(0, 7)}` }) ||
+        { content: null, source: 'defaults' };
+      config = repoConfig.parse(content, configSource, repository);
+    } else {
+      source = params.patch_filename ? 'patch' : 'diff';
+      diff = params.diff;
+      config = await repoConfig.load(repository, range.head);
+    }
+
+    const baseBranch = params.base_branch || (params.repo_path ? params.base_ref : null);
+    const analysis = await this.analyzeDiff(diff, this.llmOptions(params, config), config, baseBranch);
+    const { comments, body } = this.buildReview(analysis, range.head, { provider: scm.forRepository(repository) });
+    logger.info(`Reviewed ${source === 'patch' ? params.patch_filename : source}: ${analysis.issues.length} issue(s), ${comments.length} review comment(s)`);
+
+    return {
+      ...this.formatResult(analysis, { source, review_mode: 'full', reviewed_range: range }),
+      github_review: null,
+      autofix: null,
+      // What would have been posted to a pull request
+      review_comments: comments,
+      review_body: body
+    };
+  }
+
+  llmOptions(params, config) {
+    return {
+      provider: params.llm_provider || config.llm.provider,
+      model: params.llm_model || config.llm.model,
+      signal: params.signal
+    };
+  }
+
+  formatResult(analysis, { source, review_mode, reviewed_range }) {
+    return {
+      status: analysis.approved ? 'approved' : 'changes_requested',
+      source,
+      review_mode,
+      reviewed_range,
+      score: analysis.score,
+      issues_found: analysis.issues.length,
+      issues: analysis.issues,
+      findings: analysis.findings,
+      files_reviewed: analysis.files_reviewed,
+      review_batches: analysis.review_batches,
+      suggestions: analysis.suggestions,
+      security_concerns: analysis.security_concerns,
+      performance_issues: analysis.performance_issues,
+      approved: analysis.approved,
+      blocked_by_rules: analysis.blocked_by_rules,
+      policy: analysis.policy
+    };
+  }
+
+  // The pull request diff; n8n passes GitHub's diff_url
+  async fetchDiff(repository, prNumber, diffUrl) {
+    if (diffUrl && scm.providerName(repository) === 'github') {
+      const { data } = await axios.get(diffUrl, {
         headers: {
           'Authorization': `token ${process.env.GITHUB_TOKEN}`,
           'Accept': 'application/vnd.github.v3.diff'
         }
       });
-      
-      const diff = diffResponse.data;
-      
-      // Analyze the code changes with LLM
-      const analysis = await this.analyzeDiff(diff, llm_model);
-      
-      // Post review comments if issues found
-      if (analysis.issues.length > 0) {
-        await this.postReviewComments(repository, pr_number, analysis.issues);
-      }
-      
-      return {
-        status: analysis.approved ? 'approved' : 'changes_requested',
+      return data;
+    }
+    return scm.forRepository(repository).getPullRequestDiff(repository, prNumber);
+  }
+
+  // Diff of the commits pushed after `baseSha`, or null when `baseSha` is no
+  // longer an ancestor of the head (force push, rebase) or the host can't compare
+  async fetchIncrementalDiff(repository, baseSha, headSha) {
+    if (baseSha === headSha) {
+      return '';
+    }
+    try {
+      return await scm.forRepository(repository).compareDiff(repository, baseSha, headSha);
+    } catch (error) {
+      logger.warn(`Failed to compare ${baseSha}...${headSha} in ${repository}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Remembers what was reviewed at `headSha` for the next incremental review
+  async saveReviewState(repository, prNumber, headSha, analysis) {
+    try {
+      await reviewStore.save({
+        repository,
+        pr_number: prNumber,
+        head_sha: headSha,
+        reviewed_at: new Date().toISOString(),
         score: analysis.score,
-        issues_found: analysis.issues.length,
-        suggestions: analysis.suggestions,
-        security_concerns: analysis.security_concerns,
-        performance_issues: analysis.performance_issues,
-        approved: analysis.approved
-      };
-      
+        changed_lines: analysis.changed_lines,
+        files: analysis.files,
+        issues: analysis.issues,
+        llm_security_concerns: analysis.llm_security_concerns,
+        blocked_by_rules: analysis.blocked_by_rules
+      });
     } catch (error) {
-      logger.error('Code review analysis failed:', error);
-      throw error;
+      logger.warn(`Failed to store the review of ${repository}#${prNumber}: ${error.message}`);
+    }
+  }
+
+  // Reviews a diff. With `previous` (the stored state of the last review) the
+  // diff only holds the commits pushed since: earlier issues are carried over
+  // or resolved and the score is combined with the previous one.
+  async analyzeDiff(diff, llmOptions, config, baseBranch = null, previous = null) {
+    const reviewConfig = config.review;
+    const files = parseDiff(diff);
+    const ruleResult = runRules(files, reviewConfig.rules, { secrets: config.secrets });
+    if (ruleResult.issues.length > 0) {
+      logger.info(`Static analysis found ${ruleResult.issues.length} issue(s)`);
+    }
+
+    const batches = batchFiles(files, reviewConfig.batch_tokens);
+    logger.info(`Reviewing ${files.length} file(s) in ${batches.length} batch(es)`);
+
+    const results = [];
+    for (const [index, batch] of batches.entries()) {
+      throwIfCancelled(llmOptions.signal, 'Code review cancelled');
+      results.push(await this.reviewBatch(batch, index, batches.length, llmOptions));
+    }
+
+    const analysis = this.mergeResults(batches, results);
+    analysis.files_reviewed = new Set(batches.flatMap(batch => batch.files.map(file => file.file))).size;
+    analysis.review_batches = batches.length;
+    analysis.changed_lines = batches.reduce((sum, batch) => sum + batch.changed_lines, 0);
+
+    // Rule findings come first
+    let newIssues = [...ruleResult.issues, ...analysis.issues];
+    let carried = [];
+    let resolved = [];
+    let llmSecurityConcerns = analysis.security_concerns;
+    let blockedBy = ruleResult.blocked_by;
+    let changedFiles = files.map(file => file.file);
+
+    if (previous) {
+      ({ carried, resolved } = this.carryForward(previous.issues, files));
+      const seen = new Set(carried.map(issueKey));
+      newIssues = newIssues.filter(issue => !seen.has(issueKey(issue)));
+
+      // Nothing reviewed keeps the previous score
+      if (results.length > 0) {
+        const previousWeight = Math.max(previous.changed_lines, 1);
+        const weight = Math.max(analysis.changed_lines, 1);
+        analysis.score = Math.round((previous.score * previousWeight + analysis.score * weight) / (previousWeight + weight));
+      } else {
+        analysis.score = previous.score;
+      }
+      analysis.changed_lines += previous.changed_lines;
+
+      llmSecurityConcerns = [...new Set([...previous.llm_security_concerns, ...llmSecurityConcerns])];
+      // A blocking rule stays blocking while one of its findings is carried over
+      blockedBy = [...new Set([
+        ...blockedBy,
+        ...previous.blocked_by_rules.filter(rule => carried.some(issue => issue.rule === rule))
+      ])];
+
+      const renamed = new Map(files.map(file => [file.old_file, file]));
+      changedFiles = [...new Set([
+        ...previous.files
+          .filter(file => !renamed.has(file) || renamed.get(file).status !== 'deleted')
+          .map(file => (renamed.has(file) ? renamed.get(file).file : file)),
+        ...changedFiles
+      ])];
     }
+
+    analysis.issues = [...newIssues, ...carried];
+    analysis.findings = { new: newIssues, carried_over: carried, resolved };
+    // Security findings of the rules are also listed as concerns
+    analysis.security_concerns = [
+      ...analysis.issues
+        .filter(issue => issue.source === 'rule' && issue.type === 'security')
+        .map(issue => `${issue.message} (${issue.file}${issue.line ? `:${issue.line}` : ''})`),
+      ...llmSecurityConcerns
+    ];
+    analysis.llm_security_concerns = llmSecurityConcerns;
+    analysis.blocked_by_rules = blockedBy;
+    analysis.files = changedFiles;
+
+    // The model's own verdict is ignored; the repository's policies decide
+    analysis.policy = evaluatePolicies(reviewConfig, {
+      score: analysis.score,
+      issues: analysis.issues,
+      llm_security_concerns: llmSecurityConcerns,
+      blocked_by_rules: blockedBy,
+      files: changedFiles
+    }, baseBranch);
+    analysis.approved = analysis.policy.approved;
+    logger.info(`Review policy decision: ${analysis.policy.decision}\n  ${analysis.policy.explanation.join('\n  ')}`);
+
+    return analysis;
   }
 
-  async analyzeDiff(diff, model) {
+  async reviewBatch(batch, index, total, llmOptions) {
+    const part = total > 1 ? ` This is part ${index + 1} of ${total} of the pull request.` : '';
     const prompt = `
-You are an expert code reviewer. Analyze the following code diff and provide:
+You are an expert code reviewer. Review the following changes and provide:
 
 1. Overall code quality score (0-100)
 2. List of issues with severity (critical, major, minor)
@@ -69,14 +340,25 @@ You are an expert code reviewer. Analyze the following code diff and provide:
 5. Suggestions for improvement
 6. Whether to approve the changes
 
-Code diff:
-${diff}
+Every line you may comment on is prefixed with its line number in the new
+version of the file. For each issue give the file path exactly as shown after
+"File:" and one of those line numbers, or null if the issue concerns the whole file.${part}
+
+When an issue can be fixed by rewriting a few consecutive numbered lines of
+one hunk, add a "fix": the first and last line number to replace and the
+complete replacement code for those lines, with the file's indentation and
+without line numbers or diff markers ("" deletes the lines). Use null when the
+fix needs changes elsewhere or you are not sure of it.
+
+Changes:
+${batch.text}
 
 Respond in JSON format:
 {
   "score": number,
   "approved": boolean,
-  "issues": [{"type": "string", "severity": "string", "message": "string", "line": number}],
+  "issues": [{"file": "string", "line": number, "type": "string", "severity": "string", "message": "string",
+              "fix": {"start_line": number, "end_line": number, "replacement": "string"} | null}],
   "security_concerns": ["string"],
   "performance_issues": ["string"],
   "suggestions": ["string"]
@@ -84,56 +366,371 @@ Respond in JSON format:
 `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: model,
+      const { data: analysis } = await completeJson({
+        agent: 'code-review',
+        ...llmOptions,
+        schema: analysisSchema,
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.1,
         max_tokens: 2000
       });
 
-      const analysis = JSON.parse(response.choices[0].message.content);
-      
-      // Auto-approve if score is high and no critical issues
-      const criticalIssues = analysis.issues.filter(issue => issue.severity === 'critical');
-      analysis.approved = analysis.score >= 80 && criticalIssues.length === 0;
-      
+      analysis.issues = analysis.issues.map(issue => ({ ...this.locateIssue(issue, batch), source: 'llm' }));
       return analysis;
     } catch (error) {
       logger.error('LLM analysis failed:', error);
-      throw new Error('Failed to analyze code with LLM');
+      throw new Error(`Failed to analyze code with LLM (${error.reason || 'error'}): ${error.message}`);
+    }
+  }
+
+  // Pins an issue to a file of the batch and to a new-side line of that
+  // file's diff; anything the model made up is dropped to null
+  locateIssue(issue, batch) {
+    const file = batch.files.find(candidate => candidate.file === issue.file) ||
+      (issue.file && batch.files.find(candidate => candidate.file.endsWith(`/${issue.file}`))) ||
+      (!issue.file && batch.files.length === 1 ? batch.files[0] : null);
+
+    const line = file && commentableLines(file).has(issue.line) ? issue.line : null;
+    return {
+      ...issue,
+      file: file ? file.file : null,
+      line,
+      fix: file && issue.fix ? this.locateFix(issue.fix, file) : null
+    };
+  }
+
+  // Keeps a fix only when its lines are consecutive new-side lines of one
+  // hunk (all GitHub accepts for a suggestion) and it changes something.
+  // `original` is what the lines read, so autofix can tell when they changed.
+  locateFix(fix, file) {
+    for (const hunk of file.hunks) {
+      const lines = hunk.lines.filter(line => line.new_line !== null &&
+        line.new_line >= fix.start_line && line.new_line <= fix.end_line);
+      if (lines.length === fix.end_line - fix.start_line + 1) {
+        const original = lines.map(line => line.content).join('\n');
+        const replacement = fix.replacement.replace(/\r/g, '').replace(/\n$/, '');
+        return replacement === original
+          ? null
+          : { start_line: fix.start_line, end_line: fix.end_line, replacement, original };
+      }
     }
+    return null;
   }
 
-  async postReviewComments(repository, prNumber, issues) {
-    const [owner, repo] = repository.split('/');
-    
+  // Follows the previous review's issues through the diff of the new commits.
+  // An issue whose line was removed or rewritten (or whose file was deleted)
+  // is resolved; the others are carried over with their line renumbered
+  // (and without their fix, whose lines may have moved).
+  carryForward(issues, files) {
+    const carried = [];
+    const resolved = [];
+
+    for (const issue of issues) {
+      const file = issue.file && files.find(candidate => candidate.old_file === issue.file);
+      if (!file) {
+        carried.push(issue);
+      } else if (file.status === 'deleted') {
+        resolved.push({ ...issue, resolution: 'file deleted' });
+      } else if (!issue.line) {
+        carried.push({ ...issue, file: file.file, fix: null });
+      } else {
+        const line = mapOldLine(file, issue.line);
+        if (line === null) {
+          resolved.push({ ...issue, resolution: 'line changed' });
+        } else {
+          carried.push({ ...issue, file: file.file, line, fix: null });
+        }
+      }
+    }
+    return { carried, resolved };
+  }
+
+  // Combines the batch reviews. The score is the average of the batch scores
+  // weighted by how many lines each batch changes.
+  mergeResults(batches, results) {
+    if (results.length === 0) {
+      return {
+        score: 100,
+        issues: [],
+        security_concerns: [],
+        performance_issues: [],
+        suggestions: []
+      };
+    }
+
+    const weights = batches.map(batch => Math.max(batch.changed_lines, 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const score = results.reduce((sum, result, index) => sum + result.score * weights[index], 0) / totalWeight;
+    const unique = (key) => [...new Set(results.flatMap(result => result[key]))];
+
+    return {
+      score: Math.round(score),
+      issues: results.flatMap(result => result.issues),
+      security_concerns: unique('security_concerns'),
+      performance_issues: unique('performance_issues'),
+      suggestions: unique('suggestions')
+    };
+  }
+
+  // Submits the analysis as one pull request review: the new critical and
+  // major issues as inline comments, everything else in the summary body, and a
+  // verdict event. The agent's earlier reviews are dismissed (or, for plain
+  // comments, marked superseded) so re-runs don't pile up.
+  async postReview(repository, prNumber, analysis, headSha, autofix = null) {
+    const provider = scm.forRepository(repository);
+
     try {
-      for (const issue of issues) {
-        if (issue.severity === 'critical' || issue.severity === 'major') {
-          await this.github.pulls.createReviewComment({
-            owner,
-            repo,
-            pull_number: prNumber,
-            body: `**${issue.severity.toUpperCase()}**: ${issue.message}`,
-            commit_sha: await this.getLatestCommitSha(owner, repo, prNumber),
-            path: issue.file || 'unknown',
-            line: issue.line || 1
-          });
+      const commitId = headSha || await this.getLatestCommitSha(repository, prNumber);
+      const previous = await this.findPreviousReviews(repository, prNumber);
+      const event = this.reviewEvent(analysis);
+
+      // Same commit and verdict reviewed again: refresh the summary instead of adding a review
+      const sameCommit = previous.find(review => review.commit_id === commitId && review.state === REVIEW_STATES[event]);
+      if (sameCommit) {
+        await provider.updateReview(repository, prNumber, sameCommit.id, this.formatReviewBody(analysis, [], commitId, autofix));
+        logger.info(`Updated review ${sameCommit.id} on ${repository}#${prNumber}`);
+        return { id: sameCommit.id, event: sameCommit.state, html_url: sameCommit.html_url, comments: 0, superseded: [] };
+      }
+
+      const { comments, body } = this.buildReview(analysis, commitId, { provider, autofix });
+
+      let review;
+      try {
+        review = await provider.createReview(repository, prNumber, { commit_id: commitId, body, event, comments });
+      } catch (error) {
+        // Hosts refuse APPROVE / REQUEST_CHANGES on the token owner's own pull request
+        // (GitHub answers 422, GitLab 401)
+        if (!(error.status >= 400 && error.status < 500) || event === 'COMMENT') {
+          throw error;
         }
+        logger.warn(`Cannot submit ${event} review on ${repository}#${prNumber}, posting as COMMENT: ${error.message}`);
+        review = await provider.createReview(repository, prNumber, { commit_id: commitId, body, event: 'COMMENT', comments });
       }
+
+      const superseded = await this.supersedeReviews(repository, prNumber, previous, commitId);
+      logger.info(`Posted ${review.state} review ${review.id} with ${comments.length} comment(s) on ${repository}#${prNumber}`);
+
+      return {
+        id: review.id,
+        event: review.state,
+        html_url: review.html_url,
+        comments: comments.length,
+        superseded
+      };
     } catch (error) {
-      logger.error('Failed to post review comments:', error);
+      logger.error('Failed to post pull request review:', error);
+      return null;
     }
   }
 
-  async getLatestCommitSha(owner, repo, prNumber) {
+  // The inline comments and summary body of a review of `analysis`: new
+  // critical and major issues and every new issue with a fix, which is
+  // rendered as the host's suggested change
+  buildReview(analysis, commitId, { provider = scm.forRepository(), autofix = null } = {}) {
+    // Carried-over issues were already commented on by the earlier review
+    const inline = analysis.findings.new
+      .filter(issue => issue.file && (issue.fix || ((issue.severity === 'critical' || issue.severity === 'major') && issue.line)))
+      .slice(0, MAX_INLINE_COMMENTS);
+    const comments = inline.map(issue => this.reviewComment(issue, provider, autofix));
+    return { comments, body: this.formatReviewBody(analysis, inline, commitId, autofix) };
+  }
+
+  reviewComment(issue, provider, autofix) {
+    const text = `**${issue.severity.toUpperCase()}**${ruleTag(issue)}: ${issue.message}`;
+    if (!issue.fix) {
+      return { path: issue.file, line: issue.line, body: text };
+    }
+
+    const { start_line: start, end_line: end, replacement } = issue.fix;
+    const committed = autofix?.status === 'committed' &&
+      autofix.applied.some(fix => fix.file === issue.file && fix.start_line === start);
+    return {
+      path: issue.file,
+      line: end,
+      ...(start < end && { start_line: start }),
+      body: committed
+        ? `${text}\n\nFixed in ${autofix.commit_sha.substring(0, 7)}.`
+        : `${text}\n\n${provider.suggestionBlock(replacement, end - start + 1)}`
+    };
+  }
+
+  // Applies the fixes of the new issues to the files at `headSha` and commits
+  // them to the pull request branch (mode `commit`) or to a new branch with a
+  // pull request into it (mode `pull_request`). Never throws; the result says
+  // what happened.
+  async autofix(repository, prNumber, analysis, headSha, mode) {
+    const result = { mode, status: 'skipped', reason: null, commit_sha: null, html_url: null, pull_request: null, applied: [], skipped: [] };
+    const fixable = analysis.findings.new.filter(issue => issue.fix);
+    if (fixable.length === 0) {
+      return { ...result, reason: 'no suggested fixes' };
+    }
+    if (!headSha) {
+      return { ...result, reason: 'the head commit of the pull request is unknown' };
+    }
+
+    const provider = scm.forRepository(repository);
     try {
-      const { data: pr } = await this.github.pulls.get({
-        owner,
-        repo,
-        pull_number: prNumber
-      });
-      return pr.head.sha;
+      const pr = await provider.getPullRequest(repository, prNumber);
+      if (pr.head_sha !== headSha) {
+        return { ...result, reason: `the pull request moved on to ${pr.head_sha.substring(0, 7)} after the review` };
+      }
+      if (pr.head_repository !== repository) {
+        return { ...result, reason: 'the pull request branch is in a fork' };
+      }
+
+      const files = [];
+      for (const file of [...new Set(fixable.map(issue => issue.file))]) {
+        const issues = fixable.filter(issue => issue.file === file);
+        const current = await provider.getContent(repository, file, headSha);
+        if (!current || current.type !== 'file') {
+          result.skipped.push(...issues.map(issue => ({ file, ...this.fixRange(issue), reason: 'file not found' })));
+          continue;
+        }
+
+        const { content, applied, skipped } = applyFixes(current.content, issues.map(issue => issue.fix));
+        const issueOf = (fix) => issues.find(issue => issue.fix === fix);
+        result.applied.push(...applied.map(fix => ({ file, ...this.fixRange(issueOf(fix)), message: issueOf(fix).message })));
+        result.skipped.push(...skipped.map(({ fix, reason }) => ({ file, ...this.fixRange(issueOf(fix)), reason })));
+        if (applied.length > 0) {
+          files.push({ path: file, content });
+        }
+      }
+      if (files.length === 0) {
+        return { ...result, reason: 'no fix applied cleanly' };
+      }
+
+      const summary = result.applied.map(fix => `- ${fix.file}:${fix.start_line}: ${fix.message}`).join('\n');
+      const message = `Apply automated code review fixes\n\n${summary}`;
+
+      if (mode === 'pull_request') {
+        const branch = `devops-agent/autofix-${prNumber}-${headSha.substring(0, 7)}`;
+        await provider.createBranch(repository, branch, headSha);
+        const commit = await provider.commitFiles(repository, { branch, parent: headSha, message, files });
+        const followUp = await provider.createPullRequest(repository, {
+          title: `Automated code review fixes for #${prNumber}`,
+          body: `Fixes suggested by the automated code review of #${prNumber} at ${headSha.substring(0, 7)}:\n\n${summary}`,
+          head: branch,
+          base: pr.head_ref
+        });
+        logger.info(`Opened ${repository}#${followUp.number} with ${result.applied.length} fix(es) for #${prNumber}`);
+        return { ...result, status: 'pull_request_opened', commit_sha: commit.sha, html_url: commit.html_url, pull_request: followUp };
+      }
+
+      const commit = await provider.commitFiles(repository, { branch: pr.head_ref, parent: headSha, message, files });
+      logger.info(`Committed ${result.applied.length} fix(es) to ${repository}#${prNumber} as ${commit.sha.substring(0, 7)}`);
+      return { ...result, status: 'committed', commit_sha: commit.sha, html_url: commit.html_url };
+    } catch (error) {
+      logger.warn(`Autofix of ${repository}#${prNumber} failed: ${error.message}`);
+      return { ...result, status: 'failed', reason: error.message, applied: [] };
+    }
+  }
+
+  fixRange(issue) {
+    return { start_line: issue.fix.start_line, end_line: issue.fix.end_line };
+  }
+
+  reviewEvent(analysis) {
+    if (analysis.approved) {
+      return 'APPROVE';
+    }
+    const blocking = analysis.blocked_by_rules?.length > 0 ||
+      analysis.issues.some(issue => issue.severity === 'critical' || issue.severity === 'major');
+    return blocking ? 'REQUEST_CHANGES' : 'COMMENT';
+  }
+
+  formatReviewBody(analysis, inline, commitId, autofix = null) {
+    const verdict = analysis.approved ? 'Approved' : 'Changes requested';
+    const list = (items) => items.map(item => `- ${item}`).join('\n');
+    const sections = [
+      REVIEW_MARKER,
+      `## Automated code review: ${verdict}`,
+      `**Score:** ${analysis.score}/100${commitId ? ` for \`${commitId.substring(0, 7)}\`` : ''} · ${analysis.issues.length} issue(s) in ${analysis.files_reviewed || 0} file(s)`
+    ];
+
+    const { carried_over: carried, resolved } = analysis.findings;
+    if (carried.length > 0 || resolved.length > 0) {
+      sections.push(`${analysis.findings.new.length} new, ${carried.length} carried over from the previous review, ${resolved.length} resolved.`);
+    }
+
+    if (analysis.blocked_by_rules?.length > 0) {
+      sections.push(`Approval is blocked by the rules ${analysis.blocked_by_rules.map(id => `\`${id}\``).join(', ')}.`);
+    }
+    if (autofix?.status === 'committed') {
+      sections.push(`Applied ${autofix.applied.length} suggested fix(es) in ${autofix.commit_sha.substring(0, 7)}.`);
+    } else if (autofix?.status === 'pull_request_opened') {
+      sections.push(`Opened [#${autofix.pull_request.number}](${autofix.pull_request.html_url}) with ${autofix.applied.length} suggested fix(es).`);
+    } else if (autofix) {
+      sections.push(`Autofix ${autofix.status}: ${autofix.reason}.`);
+    }
+    if (analysis.policy) {
+      sections.push(`<details><summary>Review policies</summary>\n\n${list(analysis.policy.explanation)}\n\n</details>`);
+    }
+
+    const others = analysis.issues.filter(issue => !inline.includes(issue));
+    if (others.length > 0) {
+      sections.push(`### Other findings\n${list(others.map(issue => {
+        const location = issue.file ? ` \`${issue.file}${issue.line ? `:${issue.line}` : ''}\`` : '';
+        return `**${issue.severity}**${ruleTag(issue)}${location}: ${issue.message}`;
+      }))}`);
+    }
+    if (resolved.length > 0) {
+      sections.push(`### Resolved\n${list(resolved.map(issue =>
+        `~~${issue.file ? `\`${issue.file}${issue.line ? `:${issue.line}` : ''}\`: ` : ''}${issue.message}~~ (${issue.resolution})`
+      ))}`);
+    }
+    if (analysis.security_concerns.length > 0) {
+      sections.push(`### Security\n${list(analysis.security_concerns)}`);
+    }
+    if (analysis.performance_issues.length > 0) {
+      sections.push(`### Performance\n${list(analysis.performance_issues)}`);
+    }
+    if (analysis.suggestions.length > 0) {
+      sections.push(`### Suggestions\n${list(analysis.suggestions)}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  // Reviews this agent submitted earlier, recognised by the marker in their body
+  async findPreviousReviews(repository, prNumber) {
+    const reviews = await scm.forRepository(repository).listReviews(repository, prNumber);
+    return reviews.filter(review => review.body && review.body.includes(REVIEW_MARKER) && review.state !== 'DISMISSED');
+  }
+
+  async supersedeReviews(repository, prNumber, reviews, commitId) {
+    const provider = scm.forRepository(repository);
+    const superseded = [];
+    const note = `Superseded by the review of ${commitId.substring(0, 7)}.`;
+
+    for (const review of reviews) {
+      try {
+        // Only approvals and change requests can be dismissed
+        if (review.state === 'APPROVED' || review.state === 'CHANGES_REQUESTED') {
+          await provider.dismissReview(repository, prNumber, review.id, note);
+        } else {
+          await provider.updateReview(repository, prNumber, review.id, `${REVIEW_MARKER}\n\n~~Automated code review~~ ${note}`);
+        }
+        superseded.push(review.id);
+      } catch (error) {
+        logger.warn(`Failed to supersede review ${review.id}: ${error.message}`);
+      }
+    }
+    return superseded;
+  }
+
+  async getBaseBranch(repository, prNumber) {
+    try {
+      const pr = await scm.forRepository(repository).getPullRequest(repository, prNumber);
+      return pr.base_ref;
+    } catch (error) {
+      logger.warn(`Failed to get the base branch of ${repository}#${prNumber}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getLatestCommitSha(repository, prNumber) {
+    try {
+      const pr = await scm.forRepository(repository).getPullRequest(repository, prNumber);
+      return pr.head_sha;
     } catch (error) {
       logger.error('Failed to get commit SHA:', error);
       return 'unknown';
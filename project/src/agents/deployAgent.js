@@ -1,6 +1,9 @@
 const k8s = require('@kubernetes/client-node');
 const winston = require('winston');
 const { v4: uuidv4 } = require('uuid');
+const { throwIfCancelled, sleep } = require('../utils/cancellation');
+const repoConfig = require('../config/repoConfig');
+const { repositoryParts } = require('../scm');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -27,12 +30,15 @@ class DeployAgent {
       image_tag, 
       environment = 'staging', 
       kubernetes_config,
-      namespace = environment 
+      signal,
+      onProgress = () => {}
     } = params;
     
     try {
       const deploymentId = uuidv4();
-      const [owner, repo] = repository.split('/');
+      const { owner, repo } = repositoryParts(repository);
+      const config = await repoConfig.load(repository, params.commit_sha);
+      const namespace = params.namespace || config.deploy.namespace || environment;
       const appName = `${owner}-${repo}`.toLowerCase().replace(/[^a-z0-9-]/g, '-');
       
       // Ensure namespace exists
@@ -47,7 +53,7 @@ class DeployAgent {
       );
       
       // Wait for deployment to be ready
-      await this.waitForDeployment(appName, namespace);
+      await this.waitForDeployment(appName, namespace, config.deploy.rollout_timeout_seconds * 1000, signal, onProgress);
       
       // Get service URL
       const serviceUrl = await this.getServiceUrl(appName, namespace, environment);
@@ -194,15 +200,24 @@ class DeployAgent {
     }
   }
 
-  async waitForDeployment(appName, namespace, timeoutMs = 300000) {
+  async waitForDeployment(appName, namespace, timeoutMs = 300000, signal, onProgress = () => {}) {
     const startTime = Date.now();
     
     while (Date.now() - startTime < timeoutMs) {
+      throwIfCancelled(signal, `Waiting for deployment ${appName} cancelled`);
+
       try {
         const { body: deployment } = await this.k8sApi.readNamespacedDeployment(appName, namespace);
         
         const readyReplicas = deployment.status?.readyReplicas || 0;
         const replicas = deployment.spec?.replicas || 0;
+        onProgress('deploy.rollout', {
+          deployment: appName,
+          namespace,
+          ready_replicas: readyReplicas,
+          updated_replicas: deployment.status?.updatedReplicas || 0,
+          replicas
+        });
         
         if (readyReplicas === replicas && replicas > 0) {
           logger.info(`Deployment ${appName} is ready (${readyReplicas}/${replicas} replicas)`);
@@ -210,11 +225,11 @@ class DeployAgent {
         }
         
         logger.info(`Waiting for deployment ${appName}: ${readyReplicas}/${replicas} replicas ready`);
-        await this.sleep(5000); // Wait 5 seconds
+        await this.sleep(5000, signal); // Wait 5 seconds
         
       } catch (error) {
         logger.warn(`Error checking deployment status: ${error.message}`);
-        await this.sleep(5000);
+        await this.sleep(5000, signal);
       }
     }
     
@@ -306,8 +321,8 @@ class DeployAgent {
     }
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return sleep(ms, signal);
   }
 }
 
@@ -3,6 +3,9 @@ const k8s = require('@kubernetes/client-node');
 const winston = require('winston');
 const fs = require('fs').promises;
 const path = require('path');
+const repoConfig = require('../config/repoConfig');
+const { repositoryParts } = require('../scm');
+const secretScanAgent = require('./secretScanAgent');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,6 +16,8 @@ const logger = winston.createLogger({
 class DockerHandlerAgent {
   constructor() {
     this.docker = new Docker();
+    // Directory sent to the docker build; the secret scan reads the same one
+    this.buildContext = path.resolve(process.env.DOCKER_BUILD_CONTEXT || process.cwd());
     
     // Initialize Kubernetes client
     this.kc = new k8s.KubeConfig();
@@ -26,18 +31,19 @@ class DockerHandlerAgent {
   }
 
   async handle(params) {
-    const { repository, commit_sha, build_prediction, action = 'build_and_push' } = params;
+    const { repository, commit_sha, build_prediction, action = 'build_and_push', onProgress = () => {} } = params;
     
     try {
-      const [owner, repo] = repository.split('/');
+      const { owner, repo } = repositoryParts(repository);
+      const config = await repoConfig.load(repository, commit_sha);
       
       switch (action) {
         case 'build_and_push':
-          return await this.buildAndPushImage(owner, repo, commit_sha, build_prediction);
+          return await this.buildAndPushImage(owner, repo, commit_sha, build_prediction, config, onProgress);
         case 'generate_k8s_manifests':
-          return await this.generateKubernetesManifests(owner, repo, build_prediction);
+          return await this.generateKubernetesManifests(owner, repo, build_prediction, null, config);
         case 'deploy_to_k8s':
-          return await this.deployToKubernetes(params);
+          return await this.deployToKubernetes(params, config);
         default:
           throw new Error(`Unknown action: ${action}`);
       }
@@ -47,20 +53,25 @@ class DockerHandlerAgent {
     }
   }
 
-  async buildAndPushImage(owner, repo, commitSha, buildPrediction) {
+  async buildAndPushImage(owner, repo, commitSha, buildPrediction, config, onProgress = () => {}) {
     try {
-      const imageName = `${owner}/${repo}`;
+      const imageName = `${config.docker.username || owner}/${repo}`;
       const imageTag = `${commitSha.substring(0, 8)}`;
       const fullImageName = `${imageName}:${imageTag}`;
       
       // Generate Dockerfile if it doesn't exist
-      const dockerfile = await this.generateDockerfile(buildPrediction);
+      const dockerfile = await this.generateDockerfile(buildPrediction, config);
+
+      // Refuse to bake credentials into the image
+      if (config.secrets.scan_build_context) {
+        await this.checkBuildContext(this.buildContext, config, onProgress);
+      }
       
       // Build the Docker image
       logger.info(`Building Docker image: ${fullImageName}`);
       
       const buildStream = await this.docker.buildImage({
-        context: process.cwd(),
+        context: this.buildContext,
         src: ['Dockerfile', '.']
       }, {
         t: fullImageName,
@@ -68,21 +79,22 @@ class DockerHandlerAgent {
       });
       
       // Wait for build to complete
-      await this.followBuildProgress(buildStream);
+      await this.followBuildProgress(buildStream, onProgress);
       
       // Push to registry (if configured)
-      if (process.env.DOCKER_REGISTRY) {
-        const registryImage = `${process.env.DOCKER_REGISTRY}/${fullImageName}`;
-        await this.pushImage(fullImageName, registryImage);
+      const registry = config.docker.registry;
+      if (registry) {
+        const registryImage = `${registry}/${fullImageName}`;
+        await this.pushImage(fullImageName, registryImage, onProgress);
       }
       
       return {
         image_name: imageName,
         image_tag: imageTag,
         full_image_name: fullImageName,
-        registry_url: process.env.DOCKER_REGISTRY ? `${process.env.DOCKER_REGISTRY}/${fullImageName}` : null,
+        registry_url: registry ? `${registry}/${fullImageName}` : null,
         build_status: 'success',
-        k8s_manifests: await this.generateKubernetesManifests(owner, repo, buildPrediction, fullImageName)
+        k8s_manifests: await this.generateKubernetesManifests(owner, repo, buildPrediction, fullImageName, config)
       };
       
     } catch (error) {
@@ -91,11 +103,23 @@ class DockerHandlerAgent {
     }
   }
 
-  async generateDockerfile(buildPrediction) {
-    const dockerfile = this.createDockerfileContent(buildPrediction);
+  async checkBuildContext(contextDir, config, onProgress) {
+    const { files, findings } = await secretScanAgent.scanDirectory(contextDir, config.secrets);
+    onProgress('docker.secret_scan', { files_scanned: files, findings_count: findings.length });
+
+    if (findings.length > 0) {
+      const listed = findings.slice(0, 10)
+        .map(finding => `${finding.file}:${finding.line} ${finding.name} (${finding.redacted})`)
+        .join(', ');
+      throw new Error(`Build context contains ${findings.length} possible secret(s): ${listed}`);
+    }
+  }
+
+  async generateDockerfile(buildPrediction, config) {
+    const dockerfile = this.createDockerfileContent(buildPrediction, config);
     
     try {
-      await fs.writeFile('Dockerfile', dockerfile);
+      await fs.writeFile(path.join(this.buildContext, 'Dockerfile'), dockerfile);
       logger.info('Generated Dockerfile');
       return dockerfile;
     } catch (error) {
@@ -104,15 +128,16 @@ class DockerHandlerAgent {
     }
   }
 
-  createDockerfileContent(buildPrediction) {
+  createDockerfileContent(buildPrediction, config) {
     // Simple Dockerfile generation based on detected language/framework
     const strategy = buildPrediction?.strategy || 'standard';
     const resources = buildPrediction?.resources || {};
+    const { port, health_check_path } = config.app;
     
     // This is a simplified example - in production, you'd want more sophisticated logic
     return `
 # Generated Dockerfile
-FROM node:18-alpine
+FROM ${config.docker.base_image}
 
 WORKDIR /app
 
@@ -126,35 +151,48 @@ RUN npm ci --only=production
 COPY . .
 
 # Expose port
-EXPOSE 3000
+EXPOSE ${port}
 
 # Health check
 HEALTHCHECK --interval=30s --timeout=3s --start-period=5s --retries=3 \\
-  CMD curl -f http://localhost:3000/health || exit 1
+  CMD curl -f http://localhost:${port}${health_check_path} || exit 1
 
 # Start application
 CMD ["npm", "start"]
 `.trim();
   }
 
-  async followBuildProgress(stream) {
+  async followBuildProgress(stream, onProgress = () => {}) {
     return new Promise((resolve, reject) => {
       this.docker.modem.followProgress(stream, (err, res) => {
         if (err) {
           reject(err);
         } else {
           logger.info('Docker build completed successfully');
+          onProgress('docker.build.completed', {});
           resolve(res);
         }
       }, (event) => {
         if (event.stream) {
-          logger.info(`Build: ${event.stream.trim()}`);
+          const line = event.stream.trim();
+          logger.info(`Build: ${line}`);
+          if (line) {
+            // Lines like "Step 3/9 : RUN npm ci" carry the step counter
+            const step = line.match(/^Step (\d+)\/(\d+)/);
+            onProgress('docker.build.line', {
+              line,
+              ...(step && { step: parseInt(step[1], 10), total_steps: parseInt(step[2], 10) })
+            });
+          }
+        }
+        if (event.error) {
+          onProgress('docker.build.error', { message: event.error });
         }
       });
     });
   }
 
-  async pushImage(localImage, registryImage) {
+  async pushImage(localImage, registryImage, onProgress = () => {}) {
     try {
       const image = this.docker.getImage(localImage);
       
@@ -170,8 +208,18 @@ CMD ["npm", "start"]
             reject(err);
           } else {
             logger.info(`Successfully pushed ${registryImage}`);
+            onProgress('docker.push.completed', { image: registryImage });
             resolve(res);
           }
+        }, (event) => {
+          // One event per layer status change, e.g. "Pushing" with byte counts
+          onProgress('docker.push.progress', {
+            image: registryImage,
+            layer: event.id || null,
+            status: event.status,
+            current: event.progressDetail?.current ?? null,
+            total: event.progressDetail?.total ?? null
+          });
         });
       });
     } catch (error) {
@@ -180,9 +228,14 @@ CMD ["npm", "start"]
     }
   }
 
-  async generateKubernetesManifests(owner, repo, buildPrediction, imageName) {
+  async generateKubernetesManifests(owner, repo, buildPrediction, imageName, config) {
+    config = config || await repoConfig.load(`${owner}/${repo}`);
     const appName = `${owner}-${repo}`.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+    // Resources the build predictor asked for take precedence over the configured ones
     const resources = buildPrediction?.resources || {};
+    const { requests, limits } = config.deploy.resources;
+    const { port, health_check_path } = config.app;
+    const domain = config.deploy.domain;
     
     const deployment = {
       apiVersion: 'apps/v1',
@@ -195,7 +248,7 @@ CMD ["npm", "start"]
         }
       },
       spec: {
-        replicas: 2,
+        replicas: config.deploy.replicas,
         selector: {
           matchLabels: {
             app: appName
@@ -212,30 +265,30 @@ CMD ["npm", "start"]
               name: appName,
               image: imageName || `${owner}/${repo}:latest`,
               ports: [{
-                containerPort: 3000
+                containerPort: port
               }],
               resources: {
                 requests: {
-                  cpu: resources.cpu || '100m',
-                  memory: resources.memory || '128Mi'
+                  cpu: resources.cpu || requests.cpu,
+                  memory: resources.memory || requests.memory
                 },
                 limits: {
-                  cpu: resources.cpu || '500m',
-                  memory: resources.memory || '512Mi'
+                  cpu: resources.cpu || limits.cpu,
+                  memory: resources.memory || limits.memory
                 }
               },
               livenessProbe: {
                 httpGet: {
-                  path: '/health',
-                  port: 3000
+                  path: health_check_path,
+                  port
                 },
                 initialDelaySeconds: 30,
                 periodSeconds: 10
               },
               readinessProbe: {
                 httpGet: {
-                  path: '/health',
-                  port: 3000
+                  path: health_check_path,
+                  port
                 },
                 initialDelaySeconds: 5,
                 periodSeconds: 5
@@ -260,8 +313,8 @@ CMD ["npm", "start"]
           app: appName
         },
         ports: [{
-          port: 80,
-          targetPort: 3000,
+          port: config.deploy.service_port,
+          targetPort: port,
           protocol: 'TCP'
         }],
         type: 'ClusterIP'
@@ -280,11 +333,11 @@ CMD ["npm", "start"]
       },
       spec: {
         tls: [{
-          hosts: [`${appName}.${process.env.DOMAIN || 'example.com'}`],
+          hosts: [`${appName}.${domain}`],
           secretName: `${appName}-tls`
         }],
         rules: [{
-          host: `${appName}.${process.env.DOMAIN || 'example.com'}`,
+          host: `${appName}.${domain}`,
           http: {
             paths: [{
               path: '/',
@@ -293,7 +346,7 @@ CMD ["npm", "start"]
                 service: {
                   name: `${appName}-service`,
                   port: {
-                    number: 80
+                    number: config.deploy.service_port
                   }
                 }
               }
@@ -310,8 +363,8 @@ CMD ["npm", "start"]
     };
   }
 
-  async deployToKubernetes(params) {
-    const { k8s_manifests, namespace = 'default' } = params;
+  async deployToKubernetes(params, config) {
+    const { k8s_manifests, namespace = config.deploy.namespace || 'default' } = params;
     
     if (!this.k8sApi) {
       throw new Error('Kubernetes client not initialized');
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dockerHandlerAgent = require('./dockerHandlerAgent');
+const repoConfig = require('../config/repoConfig');
+
+const SHA = '245cd4a9c1f1e2d3b4a5968778695a4b3c2d1e0f';
+
+describe('DockerHandlerAgent build context check', () => {
+  const originalContext = dockerHandlerAgent.buildContext;
+  const originalDocker = dockerHandlerAgent.docker;
+  const config = repoConfig.parse(null, 'defaults');
+  let context;
+
+  // A build context holding `files` ({ name: content })
+  const createContext = (files) => {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(context, name)), { recursive: true });
+      fs.writeFileSync(path.join(context, name), content);
+    }
+  };
+
+  const build = () => dockerHandlerAgent.buildAndPushImage('octo-org', 'sample-app', SHA, { language: 'javascript' }, config);
+
+  beforeEach(() => {
+    context = fs.mkdtempSync(path.join(os.tmpdir(), 'build-context-'));
+    dockerHandlerAgent.buildContext = context;
+    dockerHandlerAgent.docker = { buildImage: jest.fn().mockResolvedValue({}) };
+    jest.spyOn(dockerHandlerAgent, 'followBuildProgress').mockResolvedValue();
+    jest.spyOn(dockerHandlerAgent, 'generateKubernetesManifests').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    dockerHandlerAgent.buildContext = originalContext;
+    dockerHandlerAgent.docker = originalDocker;
+    fs.rmSync(context, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('builds a clean context', async () => {
+    createContext({ 'index.js': "require('http').createServer().listen(3000);\n" });
+
+    const result = await build();
+
+    expect(result).toMatchObject({ build_status: 'success', full_image_name: 'octo-org/sample-app:245cd4a9' });
+    expect(dockerHandlerAgent.docker.buildImage).toHaveBeenCalledWith(
+      expect.objectContaining({ context }),
+      expect.objectContaining({ t: 'octo-org/sample-app:245cd4a9' })
+    );
+    expect(fs.existsSync(path.join(context, 'Dockerfile'))).toBe(true);
+  });
+
+  test('blocks a context with a secret', async () => {
+    createContext({ 'src/config.js': 'module.exports = { password: "correct-horse-battery" };\n' });
+
+    await expect(build()).rejects.toThrow(/Build context contains 1 possible secret\(s\): src\/config\.js:1 hard-coded credential/);
+    expect(dockerHandlerAgent.docker.buildImage).not.toHaveBeenCalled();
+  });
+
+  test('does not scan what .dockerignore keeps out of the image', async () => {
+    createContext({
+      '.dockerignore': '.env\n**/*.test.js\n',
+      '.env': 'API_KEY="q8Zr2Lk9Xv4Tn7Wm1Bc6Hs3Pd5Jf0Ga"\n',
+      'src/config.test.js': 'const password = "correct-horse-battery";\n',
+      'index.js': 'module.exports = {};\n'
+    });
+
+    await expect(build()).resolves.toMatchObject({ build_status: 'success' });
+  });
+
+  test('skips the scan when scan_build_context is off', async () => {
+    createContext({ 'src/config.js': 'module.exports = { password: "correct-horse-battery" };\n' });
+    const off = { ...config, secrets: { ...config.secrets, scan_build_context: false } };
+
+    await expect(dockerHandlerAgent.buildAndPushImage('octo-org', 'sample-app', SHA, {}, off))
+      .resolves.toMatchObject({ build_status: 'success' });
+  });
+});
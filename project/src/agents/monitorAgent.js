@@ -1,6 +1,8 @@
 const k8s = require('@kubernetes/client-node');
 const winston = require('winston');
 const axios = require('axios');
+const { throwIfCancelled, sleep } = require('../utils/cancellation');
+const repoConfig = require('../config/repoConfig');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -23,13 +25,19 @@ class MonitorAgent {
 
   async monitor(params) {
     const { 
+      repository,
       deployment_id, 
       environment = 'staging', 
-      monitoring_duration = 300,
-      namespace = environment 
+      signal,
+      onProgress = () => {}
     } = params;
     
     try {
+      // Without a repository only the built-in defaults apply
+      const config = await repoConfig.load(repository, params.commit_sha);
+      const namespace = params.namespace || config.deploy.namespace || environment;
+      const monitoring_duration = params.monitoring_duration || config.monitor.duration_seconds;
+
       // Find deployment by ID
       const deployment = await this.findDeploymentById(deployment_id, namespace);
       
@@ -43,7 +51,13 @@ class MonitorAgent {
       const monitoringResults = await this.performMonitoring(
         appName, 
         namespace, 
-        monitoring_duration
+        monitoring_duration,
+        {
+          intervalSeconds: config.monitor.interval_seconds,
+          healthCheckPath: config.app.health_check_path,
+          signal,
+          onProgress
+        }
       );
       
       // Generate monitoring report
@@ -88,19 +102,21 @@ class MonitorAgent {
     }
   }
 
-  async performMonitoring(appName, namespace, durationSeconds) {
-    const monitoringInterval = 30; // seconds
+  async performMonitoring(appName, namespace, durationSeconds, options = {}) {
+    const { intervalSeconds: monitoringInterval = 30, healthCheckPath, signal, onProgress = () => {} } = options;
     const iterations = Math.floor(durationSeconds / monitoringInterval);
     const results = [];
     
     logger.info(`Starting monitoring for ${appName} (${durationSeconds}s)`);
     
     for (let i = 0; i < iterations; i++) {
+      throwIfCancelled(signal, `Monitoring of ${appName} cancelled`);
+
       try {
         const timestamp = new Date().toISOString();
         
         // Collect metrics
-        const metrics = await this.collectMetrics(appName, namespace);
+        const metrics = await this.collectMetrics(appName, namespace, healthCheckPath);
         
         results.push({
           timestamp,
@@ -108,14 +124,23 @@ class MonitorAgent {
         });
         
         logger.info(`Monitoring iteration ${i + 1}/${iterations} completed`);
+        onProgress('monitor.sample', {
+          iteration: i + 1,
+          iterations,
+          timestamp,
+          ready_replicas: metrics.deployment?.ready_replicas,
+          running_pods: metrics.pods?.running_pods,
+          health: metrics.health?.status
+        });
         
         // Wait for next iteration
         if (i < iterations - 1) {
-          await this.sleep(monitoringInterval * 1000);
+          await this.sleep(monitoringInterval * 1000, signal);
         }
         
       } catch (error) {
         logger.warn(`Monitoring iteration ${i + 1} failed:`, error.message);
+        onProgress('monitor.sample', { iteration: i + 1, iterations, error: error.message });
         results.push({
           timestamp: new Date().toISOString(),
           error: error.message
@@ -126,12 +151,12 @@ class MonitorAgent {
     return results;
   }
 
-  async collectMetrics(appName, namespace) {
+  async collectMetrics(appName, namespace, healthCheckPath) {
     const metrics = {
       deployment: await this.getDeploymentMetrics(appName, namespace),
       pods: await this.getPodMetrics(appName, namespace),
       service: await this.getServiceMetrics(appName, namespace),
-      health: await this.performHealthCheck(appName, namespace)
+      health: await this.performHealthCheck(appName, namespace, healthCheckPath)
     };
     
     return metrics;
@@ -224,7 +249,7 @@ class MonitorAgent {
     }
   }
 
-  async performHealthCheck(appName, namespace) {
+  async performHealthCheck(appName, namespace, healthCheckPath = '/health') {
     try {
       // Get service URL for health check
       const serviceUrl = await this.getServiceUrl(appName, namespace);
@@ -234,7 +259,7 @@ class MonitorAgent {
       }
       
       // Perform HTTP health check
-      const response = await axios.get(`${serviceUrl}/health`, {
+      const response = await axios.get(`${serviceUrl}${healthCheckPath}`, {
         timeout: 5000,
         validateStatus: () => true // Don't throw on non-2xx status
       });
@@ -347,8 +372,8 @@ class MonitorAgent {
     return `${grafanaUrl}/d/kubernetes-deployment?var-deployment=${appName}&var-namespace=${namespace}`;
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return sleep(ms, signal);
   }
 }
 
@@ -0,0 +1,138 @@
+const axios = require('axios');
+const winston = require('winston');
+const fs = require('fs').promises;
+const path = require('path');
+const DockerIgnore = require('@balena/dockerignore');
+const repoConfig = require('../config/repoConfig');
+const scm = require('../scm');
+const { parseDiff } = require('../review/diffParser');
+const { scanLines, scanDiffFiles } = require('../review/secretScanner');
+const { throwIfCancelled } = require('../utils/cancellation');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Directories POST /agent/secret-scan may read: the build contexts under ./temp
+const SCAN_ROOT = path.resolve(process.env.SECRET_SCAN_ROOT || 'temp');
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const ALWAYS_IGNORED = ['node_modules', '.git'];
+
+class SecretScanAgent {
+  // Scans one of: a raw `diff`, a directory `path` under SECRET_SCAN_ROOT, or
+  // the diff of pull request `pr_number` (from `diff_url` when given)
+  async scan(params) {
+    const { repository, pr_number, diff_url, head_sha, diff, signal } = params;
+
+    try {
+      const config = await repoConfig.load(repository, head_sha || params.commit_sha);
+
+      let source;
+      let scanned;
+      if (params.path) {
+        const dir = path.resolve(SCAN_ROOT, params.path);
+        if (dir !== SCAN_ROOT && !dir.startsWith(`${SCAN_ROOT}${path.sep}`)) {
+          const error = new Error(`path must be inside ${SCAN_ROOT}`);
+          error.status = 400;
+          throw error;
+        }
+        source = 'directory';
+        scanned = await this.scanDirectory(dir, config.secrets, signal);
+      } else {
+        source = diff ? 'diff' : 'pull_request';
+        const files = parseDiff(diff || await this.fetchDiff(repository, pr_number, diff_url));
+        scanned = { files: files.length, findings: scanDiffFiles(files, config.secrets) };
+      }
+
+      logger.info(`Secret scan of ${repository || params.path || 'diff'}: ${scanned.findings.length} finding(s) in ${scanned.files} file(s)`);
+
+      return {
+        status: scanned.findings.length > 0 ? 'leaks_found' : 'clean',
+        source,
+        files_scanned: scanned.files,
+        findings_count: scanned.findings.length,
+        findings: scanned.findings,
+        // Any finding fails the approval gate
+        blocking: scanned.findings.length > 0
+      };
+    } catch (error) {
+      logger.error('Secret scan failed:', error);
+      throw error;
+    }
+  }
+
+  async fetchDiff(repository, prNumber, diffUrl) {
+    // A bare diff_url is GitHub's
+    if (diffUrl && (!repository || scm.providerName(repository) === 'github')) {
+      const { data } = await axios.get(diffUrl, {
+        headers: {
+          'Authorization': `token ${process.env.GITHUB_TOKEN}`,
+          'Accept': 'application/vnd.github.v3.diff'
+        }
+      });
+      return data;
+    }
+
+    return scm.forRepository(repository).getPullRequestDiff(repository, prNumber);
+  }
+
+  // Scans every text file under `dir`, skipping what .dockerignore excludes
+  // from a build context. Returns { files, findings } with paths relative to `dir`.
+  async scanDirectory(dir, options, signal) {
+    const dockerignore = await this.readDockerignore(dir);
+    const findings = [];
+    let files = 0;
+
+    const walk = async (current) => {
+      throwIfCancelled(signal, 'Secret scan cancelled');
+      const entries = await fs.readdir(current, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const fullPath = path.join(current, entry.name);
+        const relative = path.relative(dir, fullPath).split(path.sep).join('/');
+        if (ALWAYS_IGNORED.includes(entry.name) || dockerignore.ignores(relative)) {
+          continue;
+        }
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const stat = await fs.stat(fullPath);
+          if (stat.size > MAX_FILE_BYTES) {
+            continue;
+          }
+          const content = await fs.readFile(fullPath);
+          // Binary files hold no readable secrets worth reporting
+          if (content.subarray(0, 8000).includes(0)) {
+            continue;
+          }
+          files++;
+          const lines = content.toString('utf8').split('\n').map((text, index) => ({ line: index + 1, content: text }));
+          findings.push(...scanLines(relative, lines, options));
+        }
+      }
+    };
+
+    await walk(dir);
+    return { files, findings };
+  }
+
+  // The directory's .dockerignore, matched the way dockerode applies it when
+  // it sends the build context, so the scan sees exactly what the image gets
+  async readDockerignore(dir) {
+    const dockerignore = DockerIgnore({ ignorecase: false });
+    try {
+      dockerignore.add(await fs.readFile(path.join(dir, '.dockerignore'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return dockerignore;
+  }
+}
+
+module.exports = new SecretScanAgent();
@@ -1,6 +1,15 @@
-const { OpenAI } = require('openai');
-const { Octokit } = require('@octokit/rest');
 const winston = require('winston');
+const fs = require('fs').promises;
+const path = require('path');
+const repoConfig = require('../config/repoConfig');
+const llmClient = require('../llm/llmClient');
+const scm = require('../scm');
+const sandbox = require('../testing/sandbox');
+const { coverageReport: compareCoverage } = require('../testing/coverage');
+const ProjectContext = require('../testing/projectContext');
+const { changedDefinitions, sourceExcerpt } = require('../testing/changedCode');
+const { estimateTokens } = require('../review/diffParser');
+const { throwIfCancelled } = require('../utils/cancellation');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -8,86 +17,173 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-class TestWriterAgent {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.github = new Octokit({
-      auth: process.env.GITHUB_TOKEN
-    });
-  }
+// Sources longer than this are sent as an excerpt when only parts changed
+const MAX_SOURCE_CHARS = 16000;
+const BASE_MAX_TOKENS = 3000;
+const MAX_MERGE_TOKENS = 8000;
+
+// Test names in a test file, to check that merging kept the existing ones
+const TEST_NAME_PATTERNS = {
+  Jest: /\b(?:it|test|describe)(?:\.\w+)?\(\s*(['"`])(.+?)\1/g,
+  Vitest: /\b(?:it|test|describe)(?:\.\w+)?\(\s*(['"`])(.+?)\1/g,
+  Mocha: /\b(?:it|describe|context|specify)(?:\.\w+)?\(\s*(['"`])(.+?)\1/g,
+  pytest: /^\s*(?:async\s+)?def\s+(test\w*)|^\s*class\s+(Test\w*)/gm,
+  testing: /^func\s+((?:Test|Benchmark|Example|Fuzz)\w*)\s*\(/gm,
+  JUnit: /@Test[\s\S]*?\bvoid\s+(\w+)\s*\(/g,
+  RSpec: /\b(?:it|describe|context)\s*\(?\s*(['"])(.+?)\1/g
+};
 
+class TestWriterAgent {
   async generateTests(params) {
-    const { repository, pr_number, changed_files, llm_model = 'gpt-4' } = params;
+    const { repository, pr_number, changed_files, llm_model, llm_provider, signal } = params;
     
     try {
-      const [owner, repo] = repository.split('/');
+      const config = await repoConfig.load(repository, params.head_sha || params.commit_sha);
+      const llmOptions = {
+        provider: llm_provider || config.llm.provider,
+        model: llm_model || config.llm.model,
+        signal
+      };
       
       // Get the changed files content
-      const filesContent = await this.getChangedFilesContent(owner, repo, pr_number);
-      
-      // Generate tests for each changed file
-      const generatedTests = [];
-      
-      for (const file of filesContent) {
-        if (this.shouldGenerateTests(file.filename)) {
-          const tests = await this.generateTestsForFile(file, llm_model);
-          if (tests) {
-            generatedTests.push({
-              original_file: file.filename,
-              test_file: this.getTestFileName(file.filename),
-              test_content: tests,
-              framework: this.detectTestFramework(file.filename)
+      const pr = await scm.forRepository(repository).getPullRequest(repository, pr_number);
+      const filesContent = await this.getChangedFilesContent(repository, pr_number, pr.head_sha);
+      
+      // The project's test setup decides the framework of each file
+      const sources = filesContent.filter(file => this.shouldGenerateTests(file.filename));
+      const context = await new ProjectContext(repository, pr.head_sha).load(sources.map(file => file.filename));
+      const testable = sources.map(file => ({ ...file, framework: this.detectTestFramework(file.filename, context) }));
+      
+      // Tests are run in a checkout of the PR head, which also measures the coverage
+      const verify = params.verify ?? config.tests.verify;
+      const session = verify && testable.some(file => sandbox.supports(file.framework))
+        ? await this.openSandbox(repository, pr, llmOptions, config.tests)
+        : null;
+      
+      try {
+        const coverageConfig = config.tests.coverage;
+        const measured = session?.dir && coverageConfig.enabled
+          ? testable.filter(file => sandbox.supportsCoverage(file.framework))
+          : [];
+        const baseline = measured.length > 0 ? await this.measureCoverage(session, measured, 'before') : null;
+        
+        // Generate tests for the changed functions of each file, added to its existing test file if there is one
+        const generatedTests = [];
+        const rejectedTests = [];
+        
+        for (const file of testable) {
+          // New files and files without a patch (too large for the host's diff) are tested whole
+          const targets = file.status === 'added' ? null : changedDefinitions(file.filename, file.content, file.patch);
+          if (targets && targets.length === 0) {
+            logger.info(`${file.filename}: no function or class changed, no tests generated`);
+            continue;
+          }
+          
+          const uncovered = baseline && coverageConfig.target_uncovered
+            ? (baseline.files[file.filename]?.functions || []).filter(fn => !fn.hit)
+            : [];
+          const testFile = await context.testFileName(file.filename, this.getTestFileName(file.filename));
+          const existingTest = await context.readFile(testFile);
+          const project = await context.forFile(file, testFile);
+          const tests = await this.generateTestsForFile(file, llmOptions, { testFile, uncovered, project, targets, existingTest });
+          if (!tests) {
+            continue;
+          }
+          
+          const generated = {
+            original_file: file.filename,
+            test_file: testFile,
+            test_content: tests,
+            framework: file.framework,
+            targets,
+            existing_content: existingTest
+          };
+          const dropped = this.droppedTests(generated, tests);
+          if (dropped.length > 0) {
+            logger.warn(`${testFile}: the merged file lost existing tests (${dropped.join(', ')})`);
+            rejectedTests.push({
+              test_file: testFile, original_file: file.filename, framework: file.framework,
+              reason: `merging removed existing tests: ${dropped.join(', ')}`, attempts: 0, output: null
             });
+            continue;
           }
+          generatedTests.push(generated);
+        }
+        
+        // Run them against the PR head; only passing tests are kept
+        const { tests, test_results, discarded_tests, verification } = verify && generatedTests.length > 0
+          ? await this.verifyTests(session, pr, generatedTests, filesContent, llmOptions, config.tests)
+          : {
+            tests: generatedTests,
+            test_results: generatedTests.map(t => ({ ...this.testSummary(t), status: 'not_run', attempts: 0, output: null })),
+            discarded_tests: [],
+            verification: null
+          };
+        
+        // The passing tests stay in the checkout for the second run
+        let coverageReport = null;
+        if (session && coverageConfig.enabled) {
+          const after = baseline && tests.length > 0 ? await this.measureCoverage(session, measured, 'after') : baseline;
+          const files = (measured.length > 0 ? measured : testable).map(file => file.filename);
+          coverageReport = {
+            tools: baseline ? baseline.tools : [],
+            ...compareCoverage(baseline?.files, after?.files, files, coverageConfig),
+            runs: [...(baseline?.runs || []), ...(after !== baseline ? after.runs : [])],
+            error: session.error || (measured.length === 0 ? 'no coverage tool for the changed files' : null)
+          };
+        }
+        
+        // Create test files as a PR comment or commit them
+        const output = params.output || config.tests.output;
+        const delivery = tests.length > 0
+          ? await this.createTestFiles(repository, pr, tests, output)
+          : null;
+        
+        return {
+          tests_generated: tests.length,
+          test_files: tests.map(t => t.test_file),
+          coverage_estimate: coverageReport ? coverageReport.total.lines.after : null,
+          coverage_report: coverageReport,
+          frameworks_used: [...new Set(tests.map(t => t.framework))],
+          test_results,
+          discarded_tests: [...rejectedTests, ...discarded_tests],
+          verification,
+          delivery
+        };
+      } finally {
+        if (session?.dir) {
+          await sandbox.remove(session.dir);
         }
       }
       
-      // Create test files as PR comments or commits
-      if (generatedTests.length > 0) {
-        await this.createTestFiles(owner, repo, pr_number, generatedTests);
-      }
-      
-      return {
-        tests_generated: generatedTests.length,
-        test_files: generatedTests.map(t => t.test_file),
-        coverage_estimate: this.estimateCoverage(generatedTests),
-        frameworks_used: [...new Set(generatedTests.map(t => t.framework))]
-      };
-      
     } catch (error) {
       logger.error('Test generation failed:', error);
       throw error;
     }
   }
 
-  async getChangedFilesContent(owner, repo, prNumber) {
+  async getChangedFilesContent(repository, prNumber, headSha) {
+    const provider = scm.forRepository(repository);
     try {
-      const { data: files } = await this.github.pulls.listFiles({
-        owner,
-        repo,
-        pull_number: prNumber
-      });
+      const files = await provider.listPullRequestFiles(repository, prNumber);
       
       const filesContent = [];
       
       for (const file of files) {
         if (file.status !== 'removed') {
           try {
-            const { data: content } = await this.github.repos.getContent({
-              owner,
-              repo,
-              path: file.filename,
-              ref: `refs/pull/${prNumber}/head`
-            });
+            const content = await provider.getContent(repository, file.filename, headSha);
+            if (!content || content.type !== 'file') {
+              continue;
+            }
             
             filesContent.push({
               filename: file.filename,
-              content: Buffer.from(content.content, 'base64').toString('utf-8'),
+              content: content.content,
+              status: file.status,
               additions: file.additions,
-              deletions: file.deletions
+              deletions: file.deletions,
+              patch: file.patch || null
             });
           } catch (error) {
             logger.warn(`Could not fetch content for ${file.filename}:`, error.message);
@@ -112,48 +208,305 @@ class TestWriterAgent {
     return hasTestableExtension && isNotTestFile;
   }
 
-  async generateTestsForFile(file, model) {
+  // `project` is the file's ProjectContext.forFile, `uncovered` the functions
+  // of the file the existing tests don't run, `targets` the changed
+  // definitions (null: the whole file) and `existingTest` the current content
+  // of the test file, which the new tests are added to
+  async generateTestsForFile(file, llmOptions, { testFile = this.getTestFileName(file.filename), uncovered = [], project = null, targets = null, existingTest = null } = {}) {
+    const files = (title, entries) => (entries.length > 0
+      ? `\n${title}\n${entries.map(entry => `--- ${entry.path} ---\n${entry.content.trimEnd()}`).join('\n')}\n`
+      : '');
+    const conventions = project && project.conventions.length > 0
+      ? `\nProject test setup:\n${project.conventions.map(convention => `- ${convention}`).join('\n')}\n`
+      : '';
+    // The test file itself is shown below when it exists
+    const examples = project ? project.examples.filter(example => example.path !== testFile) : [];
+    
+    let scope = '';
+    if (targets) {
+      const uncoveredNames = new Set(uncovered.map(fn => fn.name));
+      scope = `\nThe pull request changed only these; write tests for them and nothing else:\n${targets.map(target =>
+        `- ${target.name} (${target.kind}, lines ${target.start_line}-${target.end_line})` +
+        `${uncoveredNames.has(target.name.split('.').pop()) ? ', not run by the existing tests' : ''}`).join('\n')}\n`;
+    } else if (uncovered.length > 0) {
+      scope = `\nThe existing tests don't run these functions; focus the tests on them:\n${uncovered.map(fn => `- ${fn.name} (line ${fn.line})`).join('\n')}\n`;
+    }
+    
+    const existing = existingTest !== null
+      ? `\nThe test file already exists:\n--- ${testFile} ---\n${existingTest.trimEnd()}\n`
+      : '';
     const prompt = `
-You are an expert test writer. Generate comprehensive unit tests for the following code file.
+You are an expert test writer. Generate ${targets ? 'unit tests for the changed code of' : 'comprehensive unit tests for'} the following code file.
 
 File: ${file.filename}
 Content:
-${file.content}
+${this.sourceForPrompt(file, targets)}
 
+Test file: ${testFile}
+Test framework: ${file.framework || this.detectTestFramework(file.filename)}
+${conventions}${files('Test configuration:', project ? project.config_files : [])}${files('Existing tests; follow their style, imports, mocks and fixtures:', examples)}${files('Local modules the file imports:', project ? project.imports : [])}${scope}${existing}
 Requirements:
-1. Generate tests that cover all functions/methods
+1. ${targets ? 'Cover the changed functions and classes listed above; leave the rest of the file alone' : 'Generate tests that cover all functions/methods'}
 2. Include edge cases and error scenarios
-3. Use appropriate test framework for the language
-4. Follow best practices for the detected language
-5. Aim for high code coverage
+3. Use the test framework and libraries above, in the versions the project uses
+4. Import the code under test by its path relative to the test file
+5. ${existingTest !== null ? 'Add the new tests to the existing test file. Keep its tests, imports and helpers as they are and reuse its setup; replace an existing test only where the change makes it wrong' : 'Aim for high code coverage'}
 
-Respond with only the test code, no explanations.
+Respond with only the ${existingTest !== null ? 'complete updated test file' : 'test code'}, no explanations.
 `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: model,
+      const response = await llmClient.chat({
+        agent: 'test-writer',
+        ...llmOptions,
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.2,
-        max_tokens: 3000
+        max_tokens: this.maxTokens(existingTest)
       });
 
-      return response.choices[0].message.content;
+      return this.stripCodeFence(response.content);
     } catch (error) {
       logger.error(`Failed to generate tests for ${file.filename}:`, error);
       return null;
     }
   }
 
+  // Checks out the PR head for the test and coverage runs of one request.
+  // A failed checkout is recorded in the session rather than thrown.
+  async openSandbox(repository, pr, llmOptions, testsConfig) {
+    const session = {
+      dir: null,
+      error: null,
+      setups: new Map(),
+      options: { timeoutSeconds: testsConfig.timeout_seconds, signal: llmOptions.signal }
+    };
+    try {
+      session.dir = await sandbox.checkout(repository, pr, llmOptions.signal);
+    } catch (error) {
+      logger.error(`Failed to check out ${repository}#${pr.number}: ${error.message}`);
+      session.error = `Checkout failed: ${error.message}`;
+    }
+    return session;
+  }
+
+  // Installs a framework's dependencies once per checkout
+  async setupFramework(session, framework) {
+    if (!session.setups.has(framework)) {
+      session.setups.set(framework, await sandbox.setup(session.dir, framework, session.options)
+        .catch(error => ({ passed: false, output: `Sandbox error: ${error.message}` })));
+    }
+    return session.setups.get(framework);
+  }
+
+  // Runs the suite of each framework of `files` with coverage of them.
+  // -> { tools, files: the parsed reports, runs }
+  async measureCoverage(session, files, phase) {
+    const result = { tools: [], files: {}, runs: [] };
+    const frameworks = [...new Set(files.map(file => file.framework))];
+    
+    for (const framework of frameworks) {
+      throwIfCancelled(session.options.signal, 'Test generation cancelled');
+      const run = { phase, framework, tool: null, passed: false, duration_ms: null, error: null, output: null };
+      result.runs.push(run);
+      
+      const setup = await this.setupFramework(session, framework);
+      if (!setup.passed) {
+        Object.assign(run, { error: `${framework} setup failed`, output: setup.output });
+        continue;
+      }
+      
+      const sources = files.filter(file => file.framework === framework).map(file => file.filename);
+      try {
+        const coverage = await sandbox.coverage(session.dir, framework, sources, session.options);
+        Object.assign(run, {
+          tool: coverage.tool,
+          passed: coverage.run.passed,
+          duration_ms: coverage.run.duration_ms,
+          error: coverage.files ? null : 'no coverage report written',
+          output: coverage.run.passed && coverage.files ? null : coverage.run.output
+        });
+        result.tools.push(coverage.tool);
+        Object.assign(result.files, coverage.files);
+      } catch (error) {
+        run.error = `Sandbox error: ${error.message}`;
+      }
+      logger.info(`${framework} coverage (${phase}): ${run.error || (run.passed ? 'suite passed' : 'suite failed')}`);
+    }
+    return result;
+  }
+
+  // Runs each test file in the session's checkout. A failing file is sent
+  // back to the LLM with the test output up to `repair_rounds` times; files
+  // that still fail, and files of frameworks without a runner, are discarded.
+  // Passing files stay in the checkout.
+  async verifyTests(session, pr, generatedTests, filesContent, llmOptions, testsConfig) {
+    const { dir, options } = session;
+    const tests = [];
+    const testResults = [];
+    const discardedTests = [];
+    const discard = (test, reason, attempts = 0, output = null) => discardedTests.push({
+      test_file: test.test_file, original_file: test.original_file, framework: test.framework, reason, attempts, output
+    });
+    const summary = (error = null) => ({
+      tests,
+      test_results: testResults,
+      discarded_tests: discardedTests,
+      verification: { sandbox: sandbox.mode, head_sha: pr.head_sha, passed: tests.length, discarded: discardedTests.length, error }
+    });
+
+    const runnable = generatedTests.filter(test => sandbox.supports(test.framework));
+    generatedTests.filter(test => !runnable.includes(test))
+      .forEach(test => discard(test, `no sandbox runner for ${test.framework}`));
+    if (runnable.length === 0) {
+      return summary();
+    }
+
+    if (session.error) {
+      runnable.forEach(test => discard(test, 'checkout failed'));
+      return summary(session.error);
+    }
+
+    for (const test of runnable) {
+      throwIfCancelled(llmOptions.signal, 'Test generation cancelled');
+      
+      const setup = await this.setupFramework(session, test.framework);
+      if (!setup.passed) {
+        discard(test, `${test.framework} setup failed`, 0, setup.output);
+        continue;
+      }
+      
+      const testPath = path.resolve(dir, test.test_file);
+      if (!testPath.startsWith(`${dir}${path.sep}`)) {
+        discard(test, 'test file outside the repository');
+        continue;
+      }
+      await fs.mkdir(path.dirname(testPath), { recursive: true });
+      
+      const source = filesContent.find(file => file.filename === test.original_file);
+      let current = test;
+      let run;
+      let attempts = 0;
+      for (let round = 0; ; round++) {
+        await fs.writeFile(testPath, current.test_content);
+        attempts++;
+        run = await sandbox.runTest(dir, test.framework, test.test_file, options)
+          .catch(error => ({ passed: false, output: `Sandbox error: ${error.message}` }));
+        if (run.passed || round >= testsConfig.repair_rounds) {
+          break;
+        }
+        throwIfCancelled(llmOptions.signal, 'Test generation cancelled');
+        const repaired = await this.repairTests(source, current, run.output, llmOptions);
+        if (!repaired || this.droppedTests(current, repaired).length > 0) {
+          break;
+        }
+        current = { ...current, test_content: repaired };
+      }
+      
+      if (run.passed) {
+        tests.push(current);
+        testResults.push({ ...this.testSummary(test), status: 'passed', attempts, duration_ms: run.duration_ms, output: run.output });
+      } else {
+        // A broken file would also fail the next runs of its package; an
+        // existing test file gets its own tests back for them and the coverage
+        if (test.existing_content !== null) {
+          await fs.writeFile(testPath, test.existing_content);
+        } else {
+          await fs.rm(testPath, { force: true });
+        }
+        discard(current, run.timed_out ? 'timed out' : 'tests failed', attempts, run.output);
+      }
+      logger.info(`${test.test_file}: ${run.passed ? 'passed' : 'failed'} after ${attempts} run(s)`);
+    }
+    return summary();
+  }
+
+  async repairTests(source, test, output, llmOptions) {
+    const merged = test.existing_content !== null;
+    const prompt = `
+The test file ${test.test_file} (${test.framework}) fails. Fix it so that it passes.
+
+Source file ${source.filename}:
+${this.sourceForPrompt(source, test.targets)}
+
+Test file ${test.test_file}:
+${test.test_content}
+
+Test output:
+${output}
+
+Change only the test file; the source file stays as it is. Remove tests that
+expect behavior the source doesn't have.${merged ? ' Keep the tests the file had\nbefore the new ones were added.' : ''} Respond with only the complete
+corrected test file, no explanations.
+`;
+
+    try {
+      const response = await llmClient.chat({
+        agent: 'test-writer',
+        ...llmOptions,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2,
+        max_tokens: this.maxTokens(test.existing_content)
+      });
+
+      return this.stripCodeFence(response.content);
+    } catch (error) {
+      logger.error(`Failed to repair tests for ${source.filename}:`, error);
+      return null;
+    }
+  }
+
+  // Models often wrap the code in a Markdown fence despite the prompt
+  stripCodeFence(content) {
+    const fenced = content.trim().match(/^```[\w+-]*\n([\s\S]*?)\n```$/);
+    return `${(fenced ? fenced[1] : content).replace(/\s+$/, '')}\n`;
+  }
+
+  // Files over MAX_SOURCE_CHARS are cut down to their imports and the changed definitions
+  sourceForPrompt(file, targets) {
+    return targets && file.content.length > MAX_SOURCE_CHARS
+      ? `(excerpt)\n${sourceExcerpt(file.filename, file.content, targets)}`
+      : file.content;
+  }
+
+  // A merged test file is answered whole
+  maxTokens(existingTest) {
+    return existingTest ? Math.min(BASE_MAX_TOKENS + estimateTokens(existingTest), MAX_MERGE_TOKENS) : BASE_MAX_TOKENS;
+  }
+
+  // Names of the tests of the file it had before that `content` no longer has
+  droppedTests(test, content) {
+    if (!test.existing_content) {
+      return [];
+    }
+    const pattern = TEST_NAME_PATTERNS[test.framework];
+    if (!pattern) {
+      return [];
+    }
+    const names = (text) => new Set([...text.matchAll(pattern)].map(match => match.slice(1).filter(Boolean).pop()));
+    const kept = names(content);
+    return [...names(test.existing_content)].filter(name => !kept.has(name));
+  }
+
+  // A test file as listed in test_results
+  testSummary(test) {
+    return {
+      test_file: test.test_file,
+      framework: test.framework,
+      merged: test.existing_content !== null,
+      targets: test.targets ? test.targets.map(target => target.name) : null
+    };
+  }
+
   getTestFileName(originalFile) {
     const ext = originalFile.split('.').pop();
-    const nameWithoutExt = originalFile.replace(`.${ext}`, '');
+    const nameWithoutExt = originalFile.slice(0, -(ext.length + 1));
+    const slash = originalFile.lastIndexOf('/') + 1;
     
     // Language-specific test file naming conventions
     const conventions = {
       'js': `${nameWithoutExt}.test.js`,
       'ts': `${nameWithoutExt}.test.ts`,
-      'py': `test_${originalFile}`,
+      'py': `${originalFile.slice(0, slash)}test_${originalFile.slice(slash)}`,
       'java': `${nameWithoutExt}Test.java`,
       'go': `${nameWithoutExt}_test.go`,
       'rb': `${nameWithoutExt}_spec.rb`
@@ -162,7 +515,13 @@ Respond with only the test code, no explanations.
     return conventions[ext] || `${nameWithoutExt}.test.${ext}`;
   }
 
-  detectTestFramework(filename) {
+  // The project's framework for the file's language, else the usual one
+  detectTestFramework(filename, context = null) {
+    const detected = context && context.framework(filename);
+    if (detected) {
+      return detected;
+    }
+    
     const ext = filename.split('.').pop();
     
     const frameworks = {
@@ -177,23 +536,68 @@ Respond with only the test code, no explanations.
     return frameworks[ext] || 'Unknown';
   }
 
-  async createTestFiles(owner, repo, prNumber, generatedTests) {
+  // Delivers the tests: `comment` posts them as one pull request comment,
+  // `commit` commits them to the pull request branch and `pull_request`
+  // commits them to a companion branch with a pull request into that branch.
+  // Failures are reported in the result instead of failing the agent.
+  async createTestFiles(repository, pr, generatedTests, output = 'comment') {
+    const provider = scm.forRepository(repository);
+    const result = { mode: output, status: 'failed', reason: null, branch: null, commit_sha: null, html_url: null, pull_request: null, files: [] };
+    
     try {
-      // Create a comment with the generated tests
-      const testSummary = generatedTests.map(test => 
-        `### ${test.test_file}\n\`\`\`${this.getLanguageFromExtension(test.test_file)}\n${test.test_content}\n\`\`\``
-      ).join('\n\n');
-      
-      await this.github.issues.createComment({
-        owner,
-        repo,
-        issue_number: prNumber,
-        body: `## 🧪 Generated Tests\n\nI've generated the following tests for your changes:\n\n${testSummary}`
-      });
+      if (output === 'comment') {
+        // Create a comment with the generated tests
+        const testSummary = generatedTests.map(test => 
+          `### ${test.test_file}${test.existing_content !== null ? ' (the existing file with the new tests added)' : ''}\n\`\`\`${this.getLanguageFromExtension(test.test_file)}\n${test.test_content.trimEnd()}\n\`\`\``
+        ).join('\n\n');
+        
+        const comment = await provider.createComment(repository, pr.number,
+          `## 🧪 Generated Tests\n\nI've generated the following tests for your changes:\n\n${testSummary}`);
+        
+        logger.info(`Created test files comment for PR #${pr.number}`);
+        return { ...result, status: 'posted', html_url: comment.html_url };
+      }
+      
+      // The companion branch can live in the base repository; the pull request branch can't be in a fork
+      if (output === 'commit' && pr.head_repository !== repository) {
+        return { ...result, status: 'skipped', reason: 'the pull request branch is in a fork' };
+      }
       
-      logger.info(`Created test files comment for PR #${prNumber}`);
+      const files = generatedTests.map(test => ({ path: test.test_file, content: test.test_content }));
+      const message = `Add generated tests for #${pr.number}\n\n${generatedTests.map(test => `- ${test.test_file} (${test.original_file})`).join('\n')}`;
+      
+      let branch = pr.head_ref;
+      if (output === 'pull_request') {
+        // A rerun on the same commit gets a branch of its own instead of failing on the existing one
+        branch = `devops-agent/tests-${pr.number}-${pr.head_sha.substring(0, 7)}-${Date.now().toString(36)}`;
+        await provider.createBranch(repository, branch, pr.head_sha);
+      }
+      const commit = await provider.commitFiles(repository, { branch, parent: pr.head_sha, message, files });
+      const delivered = {
+        ...result,
+        status: 'committed',
+        branch,
+        commit_sha: commit.sha,
+        html_url: commit.html_url,
+        files: files.map(file => ({ path: file.path, html_url: provider.fileUrl(repository, file.path, commit.sha) }))
+      };
+      
+      if (output === 'pull_request') {
+        const testsPr = await provider.createPullRequest(repository, {
+          title: `Generated tests for #${pr.number}`,
+          body: `Tests generated for the changes of #${pr.number} at ${pr.head_sha.substring(0, 7)}:\n\n${delivered.files.map(file => `- [${file.path}](${file.html_url})`).join('\n')}`,
+          head: branch,
+          base: pr.head_ref
+        });
+        logger.info(`Opened ${repository}#${testsPr.number} with ${files.length} test file(s) for PR #${pr.number}`);
+        return { ...delivered, status: 'pull_request_opened', pull_request: testsPr };
+      }
+      
+      logger.info(`Committed ${files.length} test file(s) to ${branch} as ${commit.sha.substring(0, 7)}`);
+      return delivered;
     } catch (error) {
       logger.error('Failed to create test files:', error);
+      return { ...result, reason: error.message };
     }
   }
 
@@ -209,17 +613,6 @@ Respond with only the test code, no explanations.
     };
     return languages[ext] || ext;
   }
-
-  estimateCoverage(generatedTests) {
-    // Simple heuristic: estimate coverage based on number of test cases
-    const totalTests = generatedTests.reduce((sum, test) => {
-      const testCount = (test.test_content.match(/test|it\(/g) || []).length;
-      return sum + testCount;
-    }, 0);
-    
-    // Rough estimate: each test case covers ~10% of functionality
-    return Math.min(totalTests * 10, 95);
-  }
 }
 
 module.exports = new TestWriterAgent();
\ No newline at end of file
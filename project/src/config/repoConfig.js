@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const winston = require('winston');
+const { PROVIDERS: LLM_PROVIDERS } = require('../llm/llmClient');
+const scm = require('../scm');
+const { RULE_IDS } = require('../review/rules');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const CONFIG_FILE_NAME = '.devops-agent.yml';
+const CACHE_TTL_MS = parseInt(process.env.REPO_CONFIG_CACHE_SECONDS || '300', 10) * 1000;
+
+const resourceSchema = (cpu, memory) => Joi.object({
+  cpu: Joi.string().default(cpu),
+  memory: Joi.string().default(memory)
+}).default();
+
+// Every key is optional; whatever a repository leaves out falls back to the
+// defaults below, which are the values the agents used before this file existed.
+const schema = Joi.object({
+  review: Joi.object({
+    // Minimum LLM score (0-100) for the code review to approve the changes
+    approval_threshold: Joi.number().integer().min(0).max(100).default(80),
+    block_on_critical: Joi.boolean().default(true),
+    // Submit the result as a pull request review with inline comments
+    post_review: Joi.boolean().default(true),
+    // Re-review only the commits pushed since the last review of the pull request
+    incremental: Joi.boolean().default(true),
+    // Commit the review's suggested fixes to the pull request branch (commit)
+    // or to a new branch with a pull request into it (pull_request)
+    autofix: Joi.object({
+      enabled: Joi.boolean().default(false),
+      mode: Joi.string().valid('commit', 'pull_request').default('commit')
+    }).default(),
+    // Approval policies, evaluated in order before the default policy
+    // (approval_threshold, block_on_critical); see src/review/policy.js
+    policies: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      // Target branches the policy applies to (globs)
+      branches: Joi.array().items(Joi.string()).min(1),
+      // Applies when a changed file matches; issue counts are limited to those files
+      paths: Joi.array().items(Joi.string()).min(1),
+      docs_only: Joi.boolean(),
+      // Later policies and the default policy are not evaluated when this one applies
+      exclusive: Joi.boolean().default(false),
+      require: Joi.object({
+        min_score: Joi.number().min(0).max(100),
+        max_critical: Joi.number().integer().min(0),
+        max_major: Joi.number().integer().min(0),
+        max_minor: Joi.number().integer().min(0),
+        max_security_issues: Joi.number().integer().min(0)
+      }).min(1).required()
+    })).unique('name').default([]),
+    // Files that make a change docs-only
+    docs_paths: Joi.array().items(Joi.string())
+      .default(['**/*.md', '**/*.mdx', '**/*.rst', '**/*.txt', 'docs/**', 'LICENSE*', '**/*.png', '**/*.svg']),
+    // Overrides of the static analysis rules, keyed by rule id
+    rules: Joi.object().pattern(Joi.string().valid(...RULE_IDS), Joi.object({
+      enabled: Joi.boolean(),
+      severity: Joi.string().valid('critical', 'major', 'minor'),
+      // A blocking rule that fires prevents approval whatever the score
+      blocking: Joi.boolean(),
+      max_added_lines: Joi.number().integer().min(1)
+    })).default({}),
+    // Prompt size of one review batch; larger diffs are reviewed in several batches
+    batch_tokens: Joi.number().integer().min(500)
+      .default(() => parseInt(process.env.REVIEW_BATCH_TOKENS || '6000', 10))
+  }).default(),
+
+  secrets: Joi.object({
+    // Shannon entropy (bits per character) above which a random-looking value is reported
+    entropy_threshold: Joi.number().min(0).max(8).default(4.5),
+    hex_entropy_threshold: Joi.number().min(0).max(4).default(3.5),
+    min_length: Joi.number().integer().min(8).default(20),
+    // Fingerprints of accepted findings (test fixtures, public keys)
+    allowlist: Joi.array().items(Joi.string().pattern(/^[0-9a-f]{16}$/)).default([]),
+    // Fail the docker build when the build context contains secrets
+    scan_build_context: Joi.boolean().default(true)
+  }).default(),
+
+  tests: Joi.object({
+    // Where the test writer puts generated tests: a pull request comment, a
+    // commit to the pull request branch, or a companion branch with a pull request
+    output: Joi.string().valid('comment', 'commit', 'pull_request').default('comment'),
+    // Run the generated tests in a sandbox and keep only those that pass
+    verify: Joi.boolean().default(true),
+    // Times a failing test file is sent back to the LLM with its output
+    repair_rounds: Joi.number().integer().min(0).max(5).default(2),
+    // Limit of each dependency install and test run
+    timeout_seconds: Joi.number().integer().min(10).default(300),
+    // Coverage of the changed files by the test suite, measured in the sandbox
+    // before and after the generated tests are added (needs verify)
+    coverage: Joi.object({
+      enabled: Joi.boolean().default(true),
+      // Point the LLM at the functions the existing tests leave uncovered
+      target_uncovered: Joi.boolean().default(true),
+      // Thresholds of coverage_report.passed, in percent; unset ones aren't checked
+      min_line_coverage: Joi.number().min(0).max(100).allow(null).default(null),
+      min_branch_coverage: Joi.number().min(0).max(100).allow(null).default(null),
+      min_line_delta: Joi.number().min(-100).max(100).allow(null).default(null)
+    }).default()
+  }).default(),
+
+  llm: Joi.object({
+    // Unset means LLM_PROVIDER / the provider's default model
+    provider: Joi.string().valid(...LLM_PROVIDERS).allow(null).default(null),
+    model: Joi.string().allow(null).default(null)
+  }).default(),
+
+  app: Joi.object({
+    port: Joi.number().port().default(3000),
+    health_check_path: Joi.string().pattern(/^\//).default('/health')
+  }).default(),
+
+  docker: Joi.object({
+    registry: Joi.string().allow(null).default(() => process.env.DOCKER_REGISTRY || null),
+    // Image namespace; the repository owner is used when not set
+    username: Joi.string().allow(null).default(() => process.env.DOCKER_USERNAME || null),
+    base_image: Joi.string().default('node:18-alpine')
+  }).default(),
+
+  deploy: Joi.object({
+    // Defaults to the environment name when not set
+    namespace: Joi.string().pattern(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).max(63).allow(null).default(null),
+    replicas: Joi.number().integer().min(0).default(2),
+    service_port: Joi.number().port().default(80),
+    resources: Joi.object({
+      requests: resourceSchema('100m', '128Mi'),
+      limits: resourceSchema('500m', '512Mi')
+    }).default(),
+    domain: Joi.string().hostname().default(() => process.env.DOMAIN || 'example.com'),
+    rollout_timeout_seconds: Joi.number().integer().min(1).default(300)
+  }).default(),
+
+  monitor: Joi.object({
+    duration_seconds: Joi.number().integer().min(1).default(300),
+    interval_seconds: Joi.number().integer().min(1).default(30)
+  }).default(),
+
+  checks: Joi.object({
+    // Report pipeline stages as GitHub check runs on the commit
+    enabled: Joi.boolean().default(() => process.env.GITHUB_CHECKS_ENABLED !== 'false'),
+    name_prefix: Joi.string().default('devops-agent / ')
+  }).default()
+});
+
+// Loads the per-repository `.devops-agent.yml`. A file in the local config
+// directory (REPO_CONFIG_DIR/<owner>/<repo>.yml) wins over the one committed to
+// the repository, so operators can override a repo without touching it.
+class RepoConfig {
+  constructor(configDir = process.env.REPO_CONFIG_DIR || path.join(process.cwd(), 'config', 'repos')) {
+    this.configDir = configDir;
+    this.cache = new Map();
+  }
+
+  async load(repository, ref) {
+    if (!repository) {
+      return this.validate({}, 'defaults');
+    }
+
+    const cacheKey = `${repository}@${ref || ''}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.config;
+    }
+
+    const { content, source } = await this.readLocal(repository) ||
+      await this.readFromRepository(repository, ref) ||
+      { content: null, source: 'defaults' };
+
+    const config = this.parse(content, source, repository);
+    this.cache.set(cacheKey, { config, loadedAt: Date.now() });
+    logger.info(`Loaded pipeline configuration for ${repository} from ${source}`);
+    return config;
+  }
+
+  // Configuration from the text of a .devops-agent.yml (null for the defaults),
+  // e.g. one read from a local checkout
+  parse(content, source, repository = 'repository') {
+    let raw;
+    try {
+      raw = content ? yaml.load(content) || {} : {};
+    } catch (error) {
+      throw new Error(`Invalid ${CONFIG_FILE_NAME} for ${repository} (${source}): ${error.message}`);
+    }
+    return this.validate(raw, source, repository);
+  }
+
+  validate(raw, source, repository = 'repository') {
+    const { value, error } = schema.validate(raw, { abortEarly: false });
+    if (error) {
+      const details = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Invalid ${CONFIG_FILE_NAME} for ${repository} (${source}): ${details}`);
+    }
+    return { ...value, source };
+  }
+
+  async readLocal(repository) {
+    // GitLab projects can sit in nested groups (group/subgroup/project)
+    const parts = repository.split('/');
+    if (parts.length < 2 || parts.some(part => !part || part.startsWith('.'))) {
+      return null;
+    }
+    const name = parts.pop();
+
+    for (const extension of ['yml', 'yaml']) {
+      const filePath = path.join(this.configDir, ...parts, `${name}.${extension}`);
+      try {
+        return { content: await fs.readFile(filePath, 'utf8'), source: filePath };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async readFromRepository(repository, ref) {
+    try {
+      const file = await scm.forRepository(repository).getContent(repository, CONFIG_FILE_NAME, ref);
+      if (!file || file.type !== 'file') {
+        return null;
+      }
+      return {
+        content: file.content,
+        source: `${repository}/${CONFIG_FILE_NAME}${ref ? `@${ref}` : ''}`
+      };
+    } catch (error) {
+      // An unreachable host shouldn't stop the pipeline; the defaults still apply
+      logger.warn(`Could not fetch ${CONFIG_FILE_NAME} from ${repository}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new RepoConfig();
+module.exports.RepoConfig = RepoConfig;
+module.exports.schema = schema;
+module.exports.CONFIG_FILE_NAME = CONFIG_FILE_NAME;
@@ -0,0 +1,709 @@
+const { schemas: agentSchemas } = require('../validation/agentSchemas');
+const { toJsonSchema } = require('../validation/jsonSchema');
+const { version } = require('../../package.json');
+
+// OpenAPI 3.1 document for the agent, notification and health endpoints.
+// Request bodies of the agent routes come from the joi schemas the routes
+// validate with, so the contract can't drift from what the server enforces.
+// Response shapes mirror what each agent returns.
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const reviewIssue = {
+  type: 'object',
+  properties: {
+    file: { type: ['string', 'null'], description: 'Path of the file in the pull request' },
+    line: { type: ['integer', 'null'], description: 'Line in the new version of the file; null when not in the diff' },
+    type: { type: 'string' },
+    severity: { type: 'string', enum: ['critical', 'major', 'minor'] },
+    message: { type: 'string' },
+    source: { type: 'string', enum: ['rule', 'llm'], description: 'Static analysis rule or LLM review' },
+    rule: { type: 'string', description: 'Id of the rule that found the issue' },
+    fix: {
+      type: ['object', 'null'],
+      description: 'Suggested replacement of new-side lines start_line..end_line, posted as a suggested change',
+      properties: {
+        start_line: { type: 'integer' },
+        end_line: { type: 'integer' },
+        replacement: { type: 'string', description: 'Empty to delete the lines' },
+        original: { type: 'string', description: 'What the lines read when they were reviewed' }
+      }
+    }
+  }
+};
+
+const fixLocation = {
+  file: { type: 'string' },
+  start_line: { type: 'integer' },
+  end_line: { type: 'integer' }
+};
+
+// The agent results the n8n workflow and the orchestrator hand to the next stage
+const resultSchemas = {
+  CodeReviewResult: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['approved', 'changes_requested'] },
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      issues_found: { type: 'integer' },
+      source: {
+        type: 'string',
+        enum: ['pull_request', 'diff', 'patch', 'local_git'],
+        description: 'Where the reviewed diff came from'
+      },
+      review_mode: {
+        type: 'string',
+        enum: ['full', 'incremental', 'unchanged'],
+        description: 'incremental: only the commits pushed since the last review were analyzed'
+      },
+      reviewed_range: {
+        type: 'object',
+        properties: {
+          base: { type: ['string', 'null'], description: 'Head commit of the previous review; null for a full review' },
+          head: { type: ['string', 'null'] }
+        }
+      },
+      issues: { type: 'array', items: reviewIssue, description: 'New and carried-over issues' },
+      findings: {
+        type: 'object',
+        properties: {
+          new: { type: 'array', items: reviewIssue },
+          carried_over: { type: 'array', items: reviewIssue, description: 'Issues of earlier reviews on lines the new commits left alone' },
+          resolved: {
+            type: 'array',
+            items: {
+              ...reviewIssue,
+              properties: {
+                ...reviewIssue.properties,
+                resolution: { type: 'string', enum: ['line changed', 'file deleted'] }
+              }
+            }
+          }
+        }
+      },
+      files_reviewed: { type: 'integer' },
+      blocked_by_rules: { ...stringArray, description: 'Blocking static analysis rules that prevented approval' },
+      policy: {
+        type: 'object',
+        description: 'How the review policies decided on approval',
+        properties: {
+          decision: { type: 'string', enum: ['approved', 'changes_requested'] },
+          approved: { type: 'boolean' },
+          branch: { type: ['string', 'null'], description: 'Target branch the policies were selected for' },
+          docs_only: { type: 'boolean' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                policy: { type: 'string' },
+                applied: { type: 'boolean' },
+                reason: { type: 'string' },
+                passed: { type: 'boolean' },
+                checks: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      check: { type: 'string' },
+                      expected: {},
+                      actual: {},
+                      passed: { type: 'boolean' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          explanation: { ...stringArray, description: 'One line per policy: PASSED, FAILED or SKIPPED and why' }
+        }
+      },
+      review_batches: { type: 'integer', description: 'Number of LLM calls the diff was split into' },
+      suggestions: stringArray,
+      security_concerns: stringArray,
+      performance_issues: stringArray,
+      approved: { type: 'boolean' },
+      github_review: {
+        type: ['object', 'null'],
+        description: 'The review that was submitted (a note on GitLab, a comment on Bitbucket); null when posting is disabled or failed, or without a pull request',
+        properties: {
+          id: { type: 'integer' },
+          event: { type: 'string', enum: ['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED'] },
+          html_url: { type: ['string', 'null'] },
+          comments: { type: 'integer', description: 'Inline comments in the review' },
+          superseded: { type: 'array', items: { type: 'integer' }, description: 'Earlier agent reviews dismissed or marked superseded' }
+        }
+      },
+      autofix: {
+        type: ['object', 'null'],
+        description: 'The suggested fixes committed with autofix; null when autofix is off',
+        properties: {
+          mode: { type: 'string', enum: ['commit', 'pull_request'] },
+          status: { type: 'string', enum: ['committed', 'pull_request_opened', 'skipped', 'failed'] },
+          reason: { type: ['string', 'null'], description: 'Why nothing was committed' },
+          commit_sha: { type: ['string', 'null'] },
+          html_url: { type: ['string', 'null'] },
+          pull_request: {
+            type: ['object', 'null'],
+            description: 'The follow-up pull request (mode pull_request)',
+            properties: { number: { type: 'integer' }, html_url: { type: 'string' } }
+          },
+          applied: {
+            type: 'array',
+            items: { type: 'object', properties: { ...fixLocation, message: { type: 'string' } } }
+          },
+          skipped: {
+            type: 'array',
+            items: { type: 'object', properties: { ...fixLocation, reason: { type: 'string' } } }
+          }
+        }
+      },
+      review_comments: {
+        type: 'array',
+        description: 'Without a pull request: the inline comments a pull request review would get',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            line: { type: 'integer' },
+            start_line: { type: 'integer', description: 'First line of a multi-line suggested change' },
+            body: { type: 'string' }
+          }
+        }
+      },
+      review_body: { type: 'string', description: 'Without a pull request: the review summary in Markdown' },
+      repository: { type: 'string' },
+      commit_sha: { type: ['string', 'null'] },
+      branch: { type: 'string' }
+    }
+  },
+  SecretScanResult: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['clean', 'leaks_found'] },
+      source: { type: 'string', enum: ['pull_request', 'diff', 'directory'] },
+      files_scanned: { type: 'integer' },
+      findings_count: { type: 'integer' },
+      findings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            file: { type: 'string' },
+            line: { type: 'integer' },
+            type: { type: 'string', description: 'Detected format, e.g. github_token or high_entropy_string' },
+            name: { type: 'string' },
+            detector: { type: 'string', enum: ['pattern', 'entropy'] },
+            entropy: { type: 'number' },
+            redacted: { type: 'string', description: 'First characters of the value, the rest masked' },
+            fingerprint: { type: 'string', description: 'Hash of the value, for secrets.allowlist' },
+            snippet: { type: 'string', description: 'The line with every detected value redacted' }
+          }
+        }
+      },
+      blocking: { type: 'boolean' }
+    }
+  },
+  TestWriterResult: {
+    type: 'object',
+    properties: {
+      tests_generated: { type: 'integer' },
+      test_files: stringArray,
+      coverage_estimate: {
+        type: ['number', 'null'],
+        description: 'Line coverage of the changed files with the delivered tests (coverage_report.total.lines.after)'
+      },
+      coverage_report: {
+        type: ['object', 'null'],
+        description: 'Coverage of the changed files by the test suite before and after the generated tests were added; ' +
+          'null when verification or tests.coverage is off',
+        properties: {
+          tools: { type: 'array', items: { type: 'string', enum: ['istanbul', 'vitest', 'c8', 'coverage.py', 'go cover'] } },
+          total: {
+            type: 'object',
+            properties: { lines: ref('CoverageChange'), branches: ref('CoverageChange') }
+          },
+          files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                file: { type: 'string' },
+                lines: ref('CoverageChange'),
+                branches: ref('CoverageChange'),
+                uncovered_functions: stringArray
+              }
+            }
+          },
+          checks: {
+            type: 'array',
+            description: 'The tests.coverage thresholds; one that could not be measured fails',
+            items: {
+              type: 'object',
+              properties: {
+                check: { type: 'string', enum: ['min_line_coverage', 'min_branch_coverage', 'min_line_delta'] },
+                expected: { type: 'number' },
+                actual: { type: ['number', 'null'] },
+                passed: { type: 'boolean' }
+              }
+            }
+          },
+          passed: { type: 'boolean', description: 'Every threshold met; true without thresholds' },
+          runs: {
+            type: 'array',
+            description: 'Test suite runs with coverage, per framework',
+            items: {
+              type: 'object',
+              properties: {
+                phase: { type: 'string', enum: ['before', 'after'] },
+                framework: { type: 'string' },
+                tool: { type: ['string', 'null'] },
+                passed: { type: 'boolean', description: 'Whether the suite passed' },
+                duration_ms: { type: ['integer', 'null'] },
+                error: { type: ['string', 'null'] },
+                output: { type: ['string', 'null'], description: 'Runner output when the suite failed or wrote no report' }
+              }
+            }
+          },
+          error: { type: ['string', 'null'], description: 'Why coverage could not be measured' }
+        }
+      },
+      frameworks_used: stringArray,
+      test_results: {
+        type: 'array',
+        description: 'The delivered test files and their last sandbox run',
+        items: {
+          type: 'object',
+          properties: {
+            test_file: { type: 'string' },
+            framework: { type: 'string' },
+            merged: { type: 'boolean', description: 'The tests were added to the existing test file' },
+            targets: {
+              type: ['array', 'null'],
+              items: { type: 'string' },
+              description: 'The changed functions and classes the tests cover (Class.method); null when the whole file was tested'
+            },
+            status: { type: 'string', enum: ['passed', 'not_run'], description: 'not_run when verification is off' },
+            attempts: { type: 'integer', description: 'Runs including LLM repairs' },
+            duration_ms: { type: 'integer' },
+            output: { type: ['string', 'null'], description: 'Test runner output (its last 4000 characters)' }
+          }
+        }
+      },
+      discarded_tests: {
+        type: 'array',
+        description: 'Generated test files that were not delivered',
+        items: {
+          type: 'object',
+          properties: {
+            test_file: { type: 'string' },
+            original_file: { type: 'string' },
+            framework: { type: 'string' },
+            reason: { type: 'string' },
+            attempts: { type: 'integer' },
+            output: { type: ['string', 'null'] }
+          }
+        }
+      },
+      verification: {
+        type: ['object', 'null'],
+        description: 'The sandbox run; null when verification is off',
+        properties: {
+          sandbox: { type: 'string', enum: ['docker', 'local'] },
+          head_sha: { type: 'string' },
+          passed: { type: 'integer' },
+          discarded: { type: 'integer' },
+          error: { type: ['string', 'null'] }
+        }
+      },
+      delivery: {
+        type: ['object', 'null'],
+        description: 'Where the tests went (output); null when no tests were generated',
+        properties: {
+          mode: { type: 'string', enum: ['comment', 'commit', 'pull_request'] },
+          status: { type: 'string', enum: ['posted', 'committed', 'pull_request_opened', 'skipped', 'failed'] },
+          reason: { type: ['string', 'null'], description: 'Why the tests were not delivered' },
+          branch: { type: ['string', 'null'], description: 'Branch the tests were committed to' },
+          commit_sha: { type: ['string', 'null'] },
+          html_url: { type: ['string', 'null'], description: 'The commit, or the comment in comment mode' },
+          pull_request: {
+            type: ['object', 'null'],
+            properties: { number: { type: 'integer' }, html_url: { type: 'string' } }
+          },
+          files: {
+            type: 'array',
+            items: { type: 'object', properties: { path: { type: 'string' }, html_url: { type: 'string' } } }
+          }
+        }
+      }
+    }
+  },
+  CoverageChange: {
+    type: ['object', 'null'],
+    description: 'Coverage in percent; null where it was not measured (branches: Go)',
+    properties: {
+      before: { type: ['number', 'null'] },
+      after: { type: ['number', 'null'] },
+      delta: { type: ['number', 'null'], description: 'Percentage points' }
+    }
+  },
+  BuildPredictionResult: {
+    type: 'object',
+    properties: {
+      prediction: { type: 'string', enum: ['success', 'warning', 'failure'] },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      estimated_duration: { type: 'number', description: 'Estimated build duration in minutes' },
+      potential_issues: stringArray,
+      recommendations: stringArray,
+      build_strategy: { type: 'string' },
+      resource_requirements: {
+        type: 'object',
+        properties: {
+          cpu: { type: 'string' },
+          memory: { type: 'string' },
+          disk: { type: 'string' }
+        }
+      },
+      prediction_source: {
+        type: 'string',
+        enum: ['llm', 'fallback'],
+        description: 'fallback when the LLM answer was unusable and the prediction comes from build history'
+      },
+      fallback_reason: {
+        type: ['string', 'null'],
+        description: 'Why the fallback was used, prefixed with llm_error, invalid_json or schema_mismatch'
+      }
+    }
+  },
+  KubernetesManifests: {
+    type: 'object',
+    description: 'Generated Deployment, Service and Ingress manifests',
+    properties: {
+      deployment: { type: 'object' },
+      service: { type: 'object' },
+      ingress: { type: 'object' }
+    }
+  },
+  DockerHandlerResult: {
+    description: 'Shape depends on the requested action',
+    oneOf: [
+      {
+        title: 'build_and_push',
+        type: 'object',
+        properties: {
+          image_name: { type: 'string' },
+          image_tag: { type: 'string' },
+          full_image_name: { type: 'string' },
+          registry_url: { type: ['string', 'null'] },
+          build_status: { type: 'string' },
+          k8s_manifests: ref('KubernetesManifests')
+        }
+      },
+      { title: 'generate_k8s_manifests', ...ref('KubernetesManifests') },
+      {
+        title: 'deploy_to_k8s',
+        type: 'object',
+        properties: {
+          deployment_status: { type: 'string' },
+          deployed_resources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { type: { type: 'string' }, status: { type: 'string' } }
+            }
+          },
+          namespace: { type: 'string' }
+        }
+      }
+    ]
+  },
+  DeployResult: {
+    type: 'object',
+    properties: {
+      deployment_id: { type: 'string', format: 'uuid' },
+      status: { type: 'string' },
+      environment: { type: 'string' },
+      namespace: { type: 'string' },
+      deployment_url: { type: 'string' },
+      deployed_resources: { type: 'array', items: { type: 'object' } },
+      rollout_status: { type: 'string' }
+    }
+  },
+  MonitorResult: {
+    type: 'object',
+    properties: {
+      deployment_id: { type: 'string', format: 'uuid' },
+      monitoring_status: { type: 'string' },
+      duration: { type: 'integer', description: 'Monitoring duration in seconds' },
+      health_status: { type: 'string', enum: ['healthy', 'warning', 'unhealthy', 'unknown'] },
+      metrics: {
+        type: 'object',
+        properties: {
+          monitoring_duration: { type: 'integer' },
+          average_ready_replicas: { type: 'number' },
+          average_running_pods: { type: 'number' },
+          health_success_rate: { type: 'string' },
+          data_points: { type: 'integer' }
+        }
+      },
+      alerts: stringArray,
+      recommendations: stringArray,
+      dashboard_url: { type: 'string' }
+    }
+  },
+  ProvisionAksResult: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['success', 'pending'] },
+      cluster_name: { type: 'string' },
+      repository: { type: 'string' },
+      environment: { type: 'string' },
+      provisioning_state: { type: 'string' },
+      estimated_time_minutes: { type: 'integer' },
+      mock: { type: 'boolean' },
+      deployment_ready: { type: 'boolean' },
+      message: { type: 'string' },
+      error: { type: 'string' }
+    }
+  },
+  Job: {
+    type: 'object',
+    description: 'Background job started with ?async=true; poll status_url for the result',
+    properties: {
+      job_id: { type: 'string', format: 'uuid' },
+      type: { type: 'string' },
+      status: { type: 'string', enum: ['running', 'succeeded', 'failed', 'cancelled'] },
+      result: { type: ['object', 'null'] },
+      error: { type: ['string', 'null'] },
+      created_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' },
+      status_url: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+            type: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  NotificationRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' },
+      deployment_url: { type: 'string' }
+    }
+  },
+  SlackNotificationRequest: {
+    allOf: [
+      ref('NotificationRequest'),
+      {
+        type: 'object',
+        properties: {
+          channel: { type: 'string', default: '#devops-alerts' }
+        }
+      }
+    ]
+  },
+  NotificationResult: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'number' },
+      version: { type: 'string' },
+      environment: { type: 'string' }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not_ready'] },
+      checks: { type: 'object', additionalProperties: { type: 'string' } },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const agentRoutes = [
+  {
+    name: 'code-review',
+    summary: 'Review the changes of a pull request, a diff, a .patch upload or a local checkout',
+    result: 'CodeReviewResult',
+    // multipart/form-data with the diff as this file field
+    upload: 'patch'
+  },
+  { name: 'secret-scan', summary: 'Scan a pull request, a diff or a build context for secrets', result: 'SecretScanResult' },
+  { name: 'test-writer', summary: 'Generate tests for the files changed in a pull request', result: 'TestWriterResult' },
+  { name: 'build-predictor', summary: 'Predict the build outcome of a commit', result: 'BuildPredictionResult' },
+  { name: 'docker-handler', summary: 'Build and push the image, generate or apply Kubernetes manifests', result: 'DockerHandlerResult' },
+  { name: 'deploy', summary: 'Deploy the image to Kubernetes', result: 'DeployResult' },
+  { name: 'monitor', summary: 'Monitor a deployment', result: 'MonitorResult' },
+  {
+    name: 'provision-aks',
+    summary: 'Provision an AKS cluster (mocked when Azure credentials are not set)',
+    result: 'ProvisionAksResult',
+    // 202 while the cluster is still being created
+    statuses: ['200', '202']
+  }
+];
+
+const requestSchemaName = (name) => `${name.replace(/(^|-)([a-z])/g, (match, dash, letter) => letter.toUpperCase())}Request`;
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponses = {
+  400: { description: 'Invalid request body', content: jsonContent(ref('ValidationError')) },
+  401: { description: 'Missing or invalid token', content: jsonContent(ref('Error')) },
+  500: { description: 'The agent failed', content: jsonContent(ref('Error')) }
+};
+
+function agentPath({ name, summary, result, statuses = ['200'], upload }) {
+  const responses = {};
+  for (const status of statuses) {
+    responses[status] = { description: `${summary}: result`, content: jsonContent(ref(result)) };
+  }
+  // With ?async=true every agent answers 202 with a job instead
+  responses['202'] = {
+    description: statuses.includes('202')
+      ? 'Still in progress, or a background job when called with ?async=true'
+      : 'Background job started (?async=true)',
+    content: jsonContent(statuses.includes('202') ? { oneOf: [ref(result), ref('Job')] } : ref('Job'))
+  };
+
+  return {
+    post: {
+      tags: ['Agents'],
+      operationId: name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()),
+      summary,
+      security: [{ bearerAuth: [] }],
+      parameters: [{
+        name: 'async',
+        in: 'query',
+        required: false,
+        description: 'Run as a background job and answer 202 with the job',
+        schema: { type: 'boolean' }
+      }],
+      requestBody: {
+        required: true,
+        content: {
+          ...jsonContent(ref(requestSchemaName(name))),
+          ...(upload && {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                description: `The request fields as form fields and the diff as the \`${upload}\` file`,
+                properties: { [upload]: { type: 'string', format: 'binary' } },
+                required: [upload],
+                additionalProperties: { type: 'string' }
+              }
+            }
+          })
+        }
+      },
+      responses: { ...responses, ...errorResponses }
+    }
+  };
+}
+
+function notificationPath(channel, requestSchema) {
+  return {
+    post: {
+      tags: ['Notifications'],
+      operationId: `notify${channel}`,
+      summary: `Send a ${channel} notification (skipped when the webhook URL is not configured)`,
+      requestBody: { required: true, content: jsonContent(ref(requestSchema)) },
+      responses: {
+        200: { description: 'Notification sent', content: jsonContent(ref('NotificationResult')) },
+        500: { description: 'Notification failed', content: jsonContent(ref('Error')) }
+      }
+    }
+  };
+}
+
+function buildOpenApiDocument() {
+  const schemas = { ...resultSchemas };
+  const paths = {};
+
+  for (const route of agentRoutes) {
+    const { $schema, title, ...requestSchema } = toJsonSchema(agentSchemas[route.name]);
+    schemas[requestSchemaName(route.name)] = requestSchema;
+    paths[`/agent/${route.name}`] = agentPath(route);
+  }
+
+  paths['/notifications/slack'] = notificationPath('Slack', 'SlackNotificationRequest');
+  paths['/notifications/teams'] = notificationPath('Teams', 'NotificationRequest');
+
+  paths['/health'] = {
+    get: {
+      tags: ['Health'],
+      operationId: 'health',
+      summary: 'Liveness check',
+      responses: { 200: { description: 'Server is running', content: jsonContent(ref('Health')) } }
+    }
+  };
+  paths['/health/ready'] = {
+    get: {
+      tags: ['Health'],
+      operationId: 'ready',
+      summary: 'Readiness check of the LLM, GitHub, Docker and Kubernetes integrations',
+      responses: {
+        200: { description: 'All integrations configured', content: jsonContent(ref('Readiness')) },
+        503: { description: 'Some integration is not configured', content: jsonContent(ref('Readiness')) }
+      }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MCP DevOps Server',
+      version,
+      description: 'AI agents for code review, test generation, build prediction, Docker/Kubernetes handling, deployment and monitoring.'
+    },
+    tags: [
+      { name: 'Agents', description: 'Pipeline agents called by n8n or the orchestrator' },
+      { name: 'Notifications', description: 'Slack and Teams notifications' },
+      { name: 'Health', description: 'Health and readiness checks' }
+    ],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
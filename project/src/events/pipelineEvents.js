@@ -0,0 +1,75 @@
+const { EventEmitter } = require('events');
+
+// Recent events kept per pipeline so a client that connects late (or reconnects
+// with Last-Event-ID) still sees what already happened
+const MAX_BACKLOG = 500;
+const FINISHED_RETENTION_MS = 10 * 60 * 1000;
+
+// In-process bus of structured pipeline progress events (stage transitions,
+// docker build lines, rollout replica counts, monitor samples), streamed to
+// clients by GET /pipelines/:id/events.
+class PipelineEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.backlogs = new Map();
+  }
+
+  publish(pipelineId, type, data = {}, stage = null) {
+    if (!pipelineId) {
+      return null;
+    }
+
+    const backlog = this.backlogs.get(pipelineId) || { seq: 0, events: [] };
+    this.backlogs.set(pipelineId, backlog);
+
+    const event = {
+      id: ++backlog.seq,
+      pipeline_id: pipelineId,
+      type,
+      stage,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    backlog.events.push(event);
+    if (backlog.events.length > MAX_BACKLOG) {
+      backlog.events.shift();
+    }
+
+    this.emitter.emit(pipelineId, event);
+
+    if (type === 'pipeline.finished') {
+      setTimeout(() => {
+        if (this.backlogs.get(pipelineId) === backlog) {
+          this.backlogs.delete(pipelineId);
+        }
+      }, FINISHED_RETENTION_MS).unref();
+    }
+
+    return event;
+  }
+
+  // Progress callback handed to agents as `params.onProgress`; a no-op outside a pipeline
+  forStage(pipelineId, stage) {
+    return (type, data) => {
+      this.publish(pipelineId, type, data, stage);
+    };
+  }
+
+  has(pipelineId) {
+    return this.backlogs.has(pipelineId);
+  }
+
+  history(pipelineId, afterId = 0) {
+    const backlog = this.backlogs.get(pipelineId);
+    return backlog ? backlog.events.filter(event => event.id > afterId) : [];
+  }
+
+  subscribe(pipelineId, listener) {
+    this.emitter.on(pipelineId, listener);
+    return () => this.emitter.off(pipelineId, listener);
+  }
+}
+
+module.exports = new PipelineEvents();
@@ -0,0 +1,252 @@
+const winston = require('winston');
+
+const { createOctokit } = require('./client');
+const repoConfig = require('../config/repoConfig');
+const scm = require('../scm');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Stages reported as check runs
+const CHECK_STAGES = ['code-review', 'build-predictor', 'docker-handler', 'deploy', 'monitor'];
+
+// The Checks API takes at most 50 annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_LENGTH = 65535;
+
+// Findings without a file are annotated on .github, as GitHub Actions does
+const REPOSITORY_PATH = '.github';
+
+const ANNOTATION_LEVELS = {
+  critical: 'failure',
+  major: 'warning',
+  minor: 'notice'
+};
+
+const STAGE_TITLES = {
+  'code-review': 'Code review',
+  'build-predictor': 'Build prediction',
+  'docker-handler': 'Docker build',
+  deploy: 'Deployment',
+  monitor: 'Deployment monitoring'
+};
+
+const list = (items) => items.map(item => `- ${item}`).join('\n');
+
+// Check run output of a successful stage: conclusion, title, summary, annotations
+const formatters = {
+  'code-review': (result) => ({
+    conclusion: result.approved ? 'success' : 'failure',
+    title: `Score ${result.score}/100, ${result.issues_found} issue(s)`,
+    summary: [
+      `**${result.approved ? 'Approved' : 'Changes requested'}** with a score of ${result.score}/100.`,
+      result.blocked_by_rules?.length ? `Blocked by the rules ${result.blocked_by_rules.join(', ')}.` : null,
+      result.policy ? `### Review policies\n${list(result.policy.explanation)}` : null,
+      result.security_concerns?.length ? `### Security\n${list(result.security_concerns)}` : null,
+      result.performance_issues?.length ? `### Performance\n${list(result.performance_issues)}` : null,
+      result.suggestions?.length ? `### Suggestions\n${list(result.suggestions)}` : null
+    ].filter(Boolean).join('\n\n'),
+    annotations: (result.issues || []).map(issue => ({
+      path: issue.file || REPOSITORY_PATH,
+      start_line: issue.line || 1,
+      end_line: issue.line || 1,
+      annotation_level: ANNOTATION_LEVELS[issue.severity] || 'notice',
+      title: issue.rule ? `${issue.severity}: rule ${issue.rule}` : issue.type ? `${issue.severity}: ${issue.type}` : issue.severity,
+      message: issue.message
+    }))
+  }),
+
+  'build-predictor': (result) => ({
+    conclusion: { success: 'success', warning: 'neutral', failure: 'failure' }[result.prediction] || 'neutral',
+    title: `Predicted ${result.prediction} (${result.confidence}% confidence)`,
+    summary: [
+      `Estimated duration: ${result.estimated_duration} minutes, ${result.build_strategy} build strategy.`,
+      result.prediction_source === 'fallback'
+        ? `Predicted from build history because the LLM answer was unusable (${result.fallback_reason}).`
+        : null,
+      result.recommendations?.length ? `### Recommendations\n${list(result.recommendations)}` : null
+    ].filter(Boolean).join('\n\n'),
+    annotations: (result.potential_issues || []).map(issue => ({
+      path: REPOSITORY_PATH,
+      start_line: 1,
+      end_line: 1,
+      annotation_level: 'warning',
+      title: 'Potential build issue',
+      message: issue
+    }))
+  }),
+
+  'docker-handler': (result) => ({
+    conclusion: 'success',
+    title: result.full_image_name ? `Built ${result.full_image_name}` : 'Kubernetes manifests ready',
+    summary: result.full_image_name
+      ? `Pushed \`${result.registry_url || result.full_image_name}\`.`
+      : `Status: ${result.deployment_status || 'generated'}.`
+  }),
+
+  deploy: (result) => ({
+    conclusion: 'success',
+    title: `Deployed to ${result.namespace}`,
+    summary: `Deployment \`${result.deployment_id}\` rolled out to ${result.environment} (namespace \`${result.namespace}\`)` +
+      (result.deployment_url ? ` at ${result.deployment_url}.` : '.')
+  }),
+
+  monitor: (result) => ({
+    conclusion: result.health_status === 'healthy' ? 'success' : result.health_status === 'warning' ? 'neutral' : 'failure',
+    title: `Deployment ${result.health_status}`,
+    summary: [
+      `Monitored for ${result.duration} seconds.`,
+      result.alerts?.length ? `### Alerts\n${list(result.alerts)}` : null,
+      result.dashboard_url ? `[Dashboard](${result.dashboard_url})` : null
+    ].filter(Boolean).join('\n\n')
+  })
+};
+
+// Reports pipeline stages as GitHub check runs on the commit: in_progress
+// while the agent runs, then its conclusion, a summary and annotations.
+// GitLab and Bitbucket have no check runs; there the stage is a commit
+// status with the title as description. Reporting never fails a stage;
+// problems with the host's API are logged.
+class CheckRunReporter {
+  constructor() {
+    this.github = createOctokit();
+  }
+
+  // Runs `fn` (a stage) inside a check run for `head_sha`, when the
+  // repository has checks enabled
+  async track(stage, { repository, head_sha, pipeline_id }, fn) {
+    const checkRun = await this.start(stage, repository, head_sha, pipeline_id);
+    if (!checkRun) {
+      return fn();
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      await this.complete(checkRun, {
+        conclusion: 'failure',
+        title: `${STAGE_TITLES[stage]} failed`,
+        summary: `\`\`\`\n${error.message}\n\`\`\``
+      });
+      throw error;
+    }
+
+    await this.complete(checkRun, this.output(stage, result));
+    return result;
+  }
+
+  // Check run output of a successful stage. A result the formatter can't
+  // handle still finishes the check, with a generic summary.
+  output(stage, result) {
+    try {
+      return formatters[stage](result);
+    } catch (error) {
+      logger.warn(`Failed to summarize the ${stage} result: ${error.message}`);
+      return {
+        conclusion: 'neutral',
+        title: `${STAGE_TITLES[stage]} finished`,
+        summary: 'The stage finished, but its result could not be summarized.'
+      };
+    }
+  }
+
+  async start(stage, repository, headSha, pipelineId) {
+    if (!CHECK_STAGES.includes(stage) || !repository || !headSha) {
+      return null;
+    }
+
+    const [owner, repo] = repository.split('/');
+    try {
+      const config = await repoConfig.load(repository, headSha);
+      if (!config.checks.enabled) {
+        return null;
+      }
+
+      const provider = scm.forRepository(repository);
+      if (provider.name !== 'github') {
+        const context = `${config.checks.name_prefix}${stage}`;
+        await provider.setCommitStatus(repository, headSha, {
+          state: 'pending',
+          context,
+          description: `${STAGE_TITLES[stage]} in progress`
+        });
+        return { provider, repository, head_sha: headSha, context, stage };
+      }
+
+      const { data } = await this.github.checks.create({
+        owner,
+        repo,
+        name: `${config.checks.name_prefix}${stage}`,
+        head_sha: headSha,
+        status: 'in_progress',
+        started_at: new Date().toISOString(),
+        external_id: pipelineId || undefined,
+        output: {
+          title: `${STAGE_TITLES[stage]} in progress`,
+          summary: pipelineId ? `Pipeline run \`${pipelineId}\`` : 'Running'
+        }
+      });
+      logger.info(`Check run ${data.id} (${stage}) started on ${repository}@${headSha.substring(0, 7)}`);
+      return { id: data.id, owner, repo, stage };
+    } catch (error) {
+      logger.warn(`Failed to create ${stage} check run on ${repository}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async complete(checkRun, { conclusion, title, summary, annotations = [] }) {
+    if (checkRun.provider) {
+      return this.completeStatus(checkRun, conclusion, title);
+    }
+
+    const { id, owner, repo, stage } = checkRun;
+    const output = {
+      title,
+      summary: summary.length > MAX_SUMMARY_LENGTH ? `${summary.substring(0, MAX_SUMMARY_LENGTH - 3)}...` : summary
+    };
+
+    try {
+      await this.github.checks.update({
+        owner,
+        repo,
+        check_run_id: id,
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        output: { ...output, annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST) }
+      });
+
+      // Further updates append their annotations to the check run
+      for (let offset = ANNOTATIONS_PER_REQUEST; offset < annotations.length; offset += ANNOTATIONS_PER_REQUEST) {
+        await this.github.checks.update({
+          owner,
+          repo,
+          check_run_id: id,
+          output: { ...output, annotations: annotations.slice(offset, offset + ANNOTATIONS_PER_REQUEST) }
+        });
+      }
+      logger.info(`Check run ${id} (${stage}) completed: ${conclusion}, ${annotations.length} annotation(s)`);
+    } catch (error) {
+      logger.warn(`Failed to complete ${stage} check run ${id}: ${error.message}`);
+    }
+  }
+
+  // Commit statuses only know success and failure
+  async completeStatus({ provider, repository, head_sha: headSha, context, stage }, conclusion, title) {
+    const state = conclusion === 'failure' ? 'failure' : 'success';
+    try {
+      await provider.setCommitStatus(repository, headSha, { state, context, description: title });
+      logger.info(`Commit status ${context} on ${repository}@${headSha.substring(0, 7)}: ${state}`);
+    } catch (error) {
+      logger.warn(`Failed to complete ${stage} commit status on ${repository}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CheckRunReporter();
+module.exports.CheckRunReporter = CheckRunReporter;
+module.exports.CHECK_STAGES = CHECK_STAGES;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const SHA = '245cd4a9c1f1e2d3b4a5968778695a4b3c2d1e0f';
+
+// Local .devops-agent.yml overrides, so loading the configuration makes no API calls
+const CONFIGS = {
+  'octo-org/sample-app.yml': 'checks:\n  enabled: true\n',
+  'octo-org/quiet-app.yml': 'checks:\n  enabled: false\n',
+  'platform/backend/api.yml': 'checks:\n  name_prefix: "ci / "\n',
+  'acme-team/web.yml': 'checks:\n  enabled: true\n'
+};
+
+process.env.REPO_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-configs-'));
+process.env.SCM_PROVIDERS = 'platform/**=gitlab,acme-team/*=bitbucket';
+delete process.env.GITHUB_TOKEN;
+
+for (const [name, content] of Object.entries(CONFIGS)) {
+  fs.mkdirSync(path.dirname(path.join(process.env.REPO_CONFIG_DIR, name)), { recursive: true });
+  fs.writeFileSync(path.join(process.env.REPO_CONFIG_DIR, name), content);
+}
+
+let server;
+let checkRuns;
+// Requests the stand-in received, and the status to answer the next check run creation with
+let requests;
+let createStatus;
+
+// Stand-in for the GitHub, GitLab and Bitbucket APIs under /github, /gitlab and /bitbucket
+const standIn = (req, res) => {
+  let text = '';
+  req.on('data', (chunk) => { text += chunk; });
+  req.on('end', () => {
+    const body = text ? JSON.parse(text) : null;
+    requests.push({ method: req.method, url: req.url, body });
+
+    let status = 404;
+    let response = { message: 'Not Found' };
+    if (req.method === 'POST' && req.url === '/github/repos/octo-org/sample-app/check-runs') {
+      [status, response] = [createStatus, createStatus === 201 ? { id: 7 } : { message: 'Server Error' }];
+    } else if (req.method === 'PATCH' && req.url === '/github/repos/octo-org/sample-app/check-runs/7') {
+      [status, response] = [200, { id: 7 }];
+    } else if (req.method === 'POST' && /^\/(gitlab|bitbucket)\/.*\/statuses\b/.test(req.url)) {
+      [status, response] = [201, {}];
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+};
+
+beforeAll((done) => {
+  server = http.createServer(standIn).listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    process.env.GITHUB_API_URL = `${base}/github`;
+    process.env.GITLAB_API_URL = `${base}/gitlab/api/v4`;
+    process.env.BITBUCKET_API_URL = `${base}/bitbucket/2.0`;
+    // The clients read the API roots when they are created
+    checkRuns = require('./checkRuns');
+    done();
+  });
+});
+
+beforeEach(() => {
+  requests = [];
+  createStatus = 201;
+});
+
+afterAll((done) => {
+  fs.rmSync(process.env.REPO_CONFIG_DIR, { recursive: true, force: true });
+  server.close(done);
+});
+
+const review = (issues) => ({
+  approved: false,
+  score: 55,
+  issues_found: issues,
+  issues: Array.from({ length: issues }, (_, index) => ({
+    file: 'src/app.js', line: index + 1, severity: 'major', type: 'style', message: `Issue ${index + 1}`
+  }))
+});
+
+describe('check runs on GitHub', () => {
+  const params = { repository: 'octo-org/sample-app', head_sha: SHA, pipeline_id: 'run-1' };
+
+  test('creates an in-progress check run and completes it with the result', async () => {
+    const result = review(60);
+
+    await expect(checkRuns.track('code-review', params, async () => result)).resolves.toBe(result);
+
+    expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+      'POST /github/repos/octo-org/sample-app/check-runs',
+      'PATCH /github/repos/octo-org/sample-app/check-runs/7',
+      'PATCH /github/repos/octo-org/sample-app/check-runs/7'
+    ]);
+    expect(requests[0].body).toMatchObject({
+      name: 'devops-agent / code-review',
+      head_sha: SHA,
+      status: 'in_progress',
+      external_id: 'run-1',
+      output: { title: 'Code review in progress', summary: 'Pipeline run `run-1`' }
+    });
+    expect(requests[1].body).toMatchObject({
+      status: 'completed',
+      conclusion: 'failure',
+      output: { title: 'Score 55/100, 60 issue(s)' }
+    });
+    // The annotations beyond the first 50 go in a second update
+    expect(requests[1].body.output.annotations).toHaveLength(50);
+    expect(requests[2].body.output.annotations).toHaveLength(10);
+    expect(requests[2].body.output.annotations[0]).toEqual({
+      path: 'src/app.js',
+      start_line: 51,
+      end_line: 51,
+      annotation_level: 'warning',
+      title: 'major: style',
+      message: 'Issue 51'
+    });
+  });
+
+  test('fails the check run when the stage throws', async () => {
+    await expect(checkRuns.track('deploy', params, async () => { throw new Error('rollout timed out'); }))
+      .rejects.toThrow('rollout timed out');
+
+    expect(requests[1].body).toMatchObject({
+      status: 'completed',
+      conclusion: 'failure',
+      output: { title: 'Deployment failed', summary: '```\nrollout timed out\n```' }
+    });
+  });
+
+  test('finishes the check run with a generic summary when the result cannot be formatted', async () => {
+    const result = { ...review(0), policy: { explanation: 'not a list' } };
+
+    await expect(checkRuns.track('code-review', params, async () => result)).resolves.toBe(result);
+
+    expect(requests[1].body).toMatchObject({
+      status: 'completed',
+      conclusion: 'neutral',
+      output: { title: 'Code review finished', summary: 'The stage finished, but its result could not be summarized.' }
+    });
+  });
+
+  test('runs the stage when the check run cannot be created', async () => {
+    createStatus = 500;
+
+    await expect(checkRuns.track('monitor', params, async () => 'done')).resolves.toBe('done');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('skips repositories with checks disabled and stages without a check', async () => {
+    await checkRuns.track('deploy', { ...params, repository: 'octo-org/quiet-app' }, async () => 'done');
+    await checkRuns.track('secret-scan', params, async () => 'done');
+    await checkRuns.track('deploy', { ...params, head_sha: undefined }, async () => 'done');
+
+    expect(requests).toEqual([]);
+  });
+});
+
+describe('commit status fallback', () => {
+  test('reports the stage as a GitLab commit status', async () => {
+    await checkRuns.track('build-predictor', { repository: 'platform/backend/api', head_sha: SHA }, async () => ({
+      prediction: 'success', confidence: 90, estimated_duration: 4, build_strategy: 'incremental'
+    }));
+
+    expect(requests).toEqual([
+      {
+        method: 'POST',
+        url: `/gitlab/api/v4/projects/platform%2Fbackend%2Fapi/statuses/${SHA}`,
+        body: { state: 'running', name: 'ci / build-predictor', description: 'Build prediction in progress' }
+      },
+      {
+        method: 'POST',
+        url: `/gitlab/api/v4/projects/platform%2Fbackend%2Fapi/statuses/${SHA}`,
+        body: { state: 'success', name: 'ci / build-predictor', description: 'Predicted success (90% confidence)' }
+      }
+    ]);
+  });
+
+  test('reports a failed stage as a failed Bitbucket build status', async () => {
+    await expect(checkRuns.track('docker-handler', { repository: 'acme-team/web', head_sha: SHA }, async () => {
+      throw new Error('docker build failed');
+    })).rejects.toThrow('docker build failed');
+
+    expect(requests.map(request => [request.url, request.body.state, request.body.description])).toEqual([
+      [`/bitbucket/2.0/repositories/acme-team/web/commit/${SHA}/statuses/build`, 'INPROGRESS', 'Docker build in progress'],
+      [`/bitbucket/2.0/repositories/acme-team/web/commit/${SHA}/statuses/build`, 'FAILED', 'Docker build failed']
+    ]);
+    expect(requests[0].body).toMatchObject({
+      key: 'devops-agent-docker-handler',
+      url: `https://bitbucket.org/acme-team/web/commits/${SHA}`
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const { Octokit } = require('@octokit/rest');
+
+// GitHub API root. Point GITHUB_API_URL at GitHub Enterprise Server
+// (https://<host>/api/v3) or at a local stand-in of the API for tests.
+const apiUrl = () => (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+
+// Web root matching the API root: github.com, or the Enterprise Server host
+const webUrl = () => {
+  const api = apiUrl();
+  return api === 'https://api.github.com' ? 'https://github.com' : api.replace(/\/api\/v3$/, '');
+};
+
+// Octokit for the configured API root and GITHUB_TOKEN
+const createOctokit = () => new Octokit({
+  auth: process.env.GITHUB_TOKEN,
+  baseUrl: apiUrl()
+});
+
+module.exports = {
+  createOctokit,
+  apiUrl,
+  webUrl
+};
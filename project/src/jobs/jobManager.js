@@ -0,0 +1,104 @@
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Finished jobs are kept around this long so callers can still poll the result
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MINUTES || '60', 10) * 60 * 1000;
+
+// In-memory background jobs for agent calls that outlive an HTTP request
+// (monitoring, AKS provisioning). Each job gets an AbortSignal that the
+// long-running agents check between iterations so a job can be cancelled.
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  submit(type, params, fn) {
+    const controller = new AbortController();
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'running',
+      params,
+      result: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      finished_at: null,
+      controller
+    };
+
+    this.jobs.set(job.id, job);
+    logger.info(`Job ${job.id} (${type}) started`);
+
+    Promise.resolve()
+      .then(() => fn(controller.signal))
+      .then((result) => {
+        if (job.status !== 'running') {
+          return;
+        }
+        job.status = 'succeeded';
+        job.result = result;
+        logger.info(`Job ${job.id} (${type}) succeeded`);
+      })
+      .catch((error) => {
+        if (job.status !== 'running') {
+          return;
+        }
+        job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+        job.error = error.message;
+        logger.error(`Job ${job.id} (${type}) ${job.status}: ${error.message}`);
+      })
+      .finally(() => {
+        job.finished_at = job.finished_at || new Date().toISOString();
+        this.scheduleCleanup(job.id);
+      });
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'running') {
+      // Mark it right away; the agent stops at its next cancellation check
+      job.status = 'cancelled';
+      job.error = 'Job cancelled';
+      job.finished_at = new Date().toISOString();
+      job.controller.abort();
+      logger.info(`Job ${job.id} (${job.type}) cancelled`);
+    }
+
+    return job;
+  }
+
+  scheduleCleanup(id) {
+    setTimeout(() => this.jobs.delete(id), JOB_RETENTION_MS).unref();
+  }
+
+  toResponse(job) {
+    return {
+      job_id: job.id,
+      type: job.type,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      created_at: job.created_at,
+      finished_at: job.finished_at,
+      status_url: `/jobs/${job.id}`
+    };
+  }
+}
+
+module.exports = new JobManager();
@@ -0,0 +1,70 @@
+const winston = require('winston');
+
+const OpenAIProvider = require('./providers/openaiProvider');
+const AzureOpenAIProvider = require('./providers/azureOpenAIProvider');
+const OllamaProvider = require('./providers/ollamaProvider');
+const FixtureProvider = require('./providers/fixtureProvider');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const PROVIDERS = ['openai', 'azure-openai', 'ollama', 'fixture'];
+
+// Shared chat client for the agents. The provider is chosen per call: the
+// request's llm_provider, then the repository's .devops-agent.yml, then
+// LLM_PROVIDER, then OpenAI. The model falls back the same way, ending at
+// the provider's default.
+class LlmClient {
+  constructor() {
+    this.providers = {
+      openai: new OpenAIProvider(),
+      'azure-openai': new AzureOpenAIProvider(),
+      ollama: new OllamaProvider(),
+      fixture: new FixtureProvider()
+    };
+  }
+
+  resolve({ provider, model } = {}) {
+    const name = provider || process.env.LLM_PROVIDER || 'openai';
+    const selected = this.providers[name];
+    if (!selected) {
+      throw new Error(`Unknown LLM provider: ${name} (expected one of ${PROVIDERS.join(', ')})`);
+    }
+    return { provider: selected, model: model || selected.defaultModel() };
+  }
+
+  // Whether the default provider (LLM_PROVIDER) has what it needs to make calls
+  isConfigured() {
+    try {
+      return this.resolve().provider.isConfigured();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // `agent` names the caller; it's used for logging and to find fixtures
+  async chat({ agent, provider, model, messages, temperature, max_tokens, response_format, signal }) {
+    const resolved = this.resolve({ provider, model });
+    const request = { agent, model: resolved.model, messages, temperature, max_tokens, response_format, signal };
+
+    logger.info(`LLM call for ${agent || 'agent'}: ${resolved.provider.name}/${resolved.model}`);
+    const result = await resolved.provider.complete(request);
+
+    if (process.env.LLM_FIXTURE_RECORD === 'true' && resolved.provider.name !== 'fixture') {
+      const filePath = await this.providers.fixture.record(request, result);
+      logger.info(`Recorded LLM fixture ${filePath}`);
+    }
+
+    return {
+      ...result,
+      provider: resolved.provider.name,
+      model: result.model || resolved.model
+    };
+  }
+}
+
+module.exports = new LlmClient();
+module.exports.PROVIDERS = PROVIDERS;
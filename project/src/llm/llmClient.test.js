@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const llmClient = require('./llmClient');
+const FixtureProvider = require('./providers/fixtureProvider');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+const fixture = (agent) => JSON.parse(fs.readFileSync(path.join(FIXTURES, agent, 'default.json'), 'utf8'));
+
+const messages = [{ role: 'user', content: 'Review this change' }];
+
+describe('llmClient', () => {
+  const provider = process.env.LLM_PROVIDER;
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'fixture';
+  });
+
+  afterEach(() => {
+    if (provider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = provider;
+    }
+  });
+
+  test.each(['code-review', 'build-predictor', 'test-writer'])('replays the recorded %s response', async (agent) => {
+    const result = await llmClient.chat({ agent, messages });
+
+    expect(result.content).toBe(fixture(agent).content);
+    expect(result).toMatchObject({ provider: 'fixture', model: 'fixture' });
+  });
+
+  test('takes the provider of the call over LLM_PROVIDER', async () => {
+    process.env.LLM_PROVIDER = 'openai';
+    const result = await llmClient.chat({ agent: 'code-review', provider: 'fixture', model: 'gpt-4o', messages });
+    expect(result.provider).toBe('fixture');
+  });
+
+  test('rejects unknown providers', async () => {
+    await expect(llmClient.chat({ agent: 'code-review', provider: 'nope', messages }))
+      .rejects.toThrow('Unknown LLM provider: nope');
+    process.env.LLM_PROVIDER = 'nope';
+    expect(llmClient.isConfigured()).toBe(false);
+  });
+
+  test('fails for an agent without fixtures', async () => {
+    await expect(llmClient.chat({ agent: 'no-such-agent', messages })).rejects.toThrow('No LLM fixture for no-such-agent');
+  });
+
+  describe('with recorded conversations', () => {
+    const original = llmClient.providers.fixture;
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+      llmClient.providers.fixture = new FixtureProvider(dir);
+    });
+
+    afterEach(() => {
+      llmClient.providers.fixture = original;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('prefers the response recorded for the exact conversation', async () => {
+      const provider = llmClient.providers.fixture;
+      await provider.record({ agent: 'code-review', model: 'fixture', messages }, { model: 'gpt-4o', content: 'recorded' });
+      fs.writeFileSync(path.join(dir, 'code-review', 'default.json'), JSON.stringify({ content: 'default' }));
+
+      expect(await llmClient.chat({ agent: 'code-review', messages })).toMatchObject({ content: 'recorded', model: 'gpt-4o' });
+      expect((await llmClient.chat({ agent: 'code-review', messages: [{ role: 'user', content: 'other' }] })).content)
+        .toBe('default');
+    });
+  });
+});
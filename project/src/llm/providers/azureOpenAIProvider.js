@@ -0,0 +1,44 @@
+const { AzureOpenAI } = require('openai');
+const { DefaultAzureCredential, getBearerTokenProvider } = require('@azure/identity');
+const OpenAIProvider = require('./openaiProvider');
+
+// Azure OpenAI. The model is the deployment name. Without an API key the
+// client authenticates with Entra ID through the same AZURE_* service
+// principal the AKS provisioner uses (or a managed identity).
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor() {
+    super('azure-openai');
+  }
+
+  defaultModel() {
+    return process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.AZURE_OPENAI_ENDPOINT);
+  }
+
+  createClient() {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+    if (!endpoint) {
+      throw new Error('AZURE_OPENAI_ENDPOINT is required for the azure-openai provider');
+    }
+
+    const auth = process.env.AZURE_OPENAI_API_KEY
+      ? { apiKey: process.env.AZURE_OPENAI_API_KEY }
+      : {
+        azureADTokenProvider: getBearerTokenProvider(
+          new DefaultAzureCredential(),
+          'https://cognitiveservices.azure.com/.default'
+        )
+      };
+
+    return new AzureOpenAI({
+      endpoint,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      ...auth
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Deterministic offline provider that replays recorded responses, for tests
+// and demos without an LLM. A response is looked up by a hash of the model
+// and messages under <LLM_FIXTURE_DIR>/<agent>/<hash>.json, falling back to
+// <agent>/default.json. Set LLM_FIXTURE_RECORD=true to record the responses
+// of a real provider into the same layout.
+class FixtureProvider {
+  constructor(fixtureDir = process.env.LLM_FIXTURE_DIR || path.join(__dirname, '..', '..', '..', 'fixtures', 'llm')) {
+    this.name = 'fixture';
+    this.fixtureDir = fixtureDir;
+  }
+
+  defaultModel() {
+    return 'fixture';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  fixtureKey(model, messages) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ model, messages }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  async complete({ agent = 'default', model, messages }) {
+    const key = this.fixtureKey(model, messages);
+    const candidates = [
+      path.join(this.fixtureDir, agent, `${key}.json`),
+      path.join(this.fixtureDir, agent, 'default.json')
+    ];
+
+    for (const filePath of candidates) {
+      try {
+        const fixture = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return {
+          content: fixture.content,
+          model: fixture.model || model,
+          usage: null
+        };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error(`No LLM fixture for ${agent}: expected ${candidates.join(' or ')}`);
+  }
+
+  async record({ agent = 'default', model, messages }, result) {
+    const filePath = path.join(this.fixtureDir, agent, `${this.fixtureKey(model, messages)}.json`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ model: result.model, content: result.content }, null, 2));
+    return filePath;
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,29 @@
+const { OpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+// A local Ollama server, or any other OpenAI-compatible endpoint
+// (vLLM, LM Studio, llama.cpp server) via OLLAMA_BASE_URL.
+class OllamaProvider extends OpenAIProvider {
+  constructor() {
+    super('ollama');
+  }
+
+  defaultModel() {
+    return process.env.OLLAMA_MODEL || 'llama3.1';
+  }
+
+  // A local endpoint needs no credentials
+  isConfigured() {
+    return true;
+  }
+
+  createClient() {
+    return new OpenAI({
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+      // Ollama ignores the key, but the SDK requires one
+      apiKey: process.env.OLLAMA_API_KEY || 'ollama'
+    });
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,51 @@
+const { OpenAI } = require('openai');
+
+// OpenAI's hosted API. Also the base for the Azure and Ollama providers,
+// which speak the same chat completions protocol.
+class OpenAIProvider {
+  constructor(name = 'openai') {
+    this.name = name;
+    this.client = null;
+  }
+
+  defaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  // Created on first use so a server that only uses other providers
+  // doesn't need an OpenAI key
+  getClient() {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  createClient() {
+    return new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+
+  async complete({ model, messages, temperature, max_tokens, response_format, signal }) {
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens,
+      ...(response_format && { response_format })
+    }, { signal });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || model,
+      usage: response.usage || null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
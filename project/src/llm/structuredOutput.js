@@ -0,0 +1,142 @@
+const winston = require('winston');
+
+const llmClient = require('./llmClient');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// How many times a malformed answer is sent back to the model for correction
+const MAX_REPAIRS = parseInt(process.env.LLM_JSON_MAX_REPAIRS || '1', 10);
+
+// Why a JSON completion could not be used: 'llm_error' (the call failed),
+// 'invalid_json' (no parsable object) or 'schema_mismatch' (parsed, but the
+// shape is wrong). Agents surface the reason when they fall back.
+class StructuredOutputError extends Error {
+  constructor(reason, message, details = []) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+// Pull the JSON object out of a completion that may wrap it in a code fence
+// or surround it with prose
+const extractJson = (content) => {
+  const text = String(content || '').trim();
+  const candidates = [text];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.substring(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // try the next candidate
+    }
+  }
+  return null;
+};
+
+// Models that rejected response_format, so they aren't asked again
+const jsonModeUnsupported = new Set();
+
+const isJsonModeRejection = (error) => error.status === 400 && /response_format|json/i.test(error.message);
+
+async function chatJson(options, messages) {
+  const key = `${options.provider || process.env.LLM_PROVIDER || 'openai'}/${options.model || ''}`;
+  const useJsonMode = !jsonModeUnsupported.has(key);
+
+  try {
+    return await llmClient.chat({
+      ...options,
+      messages,
+      ...(useJsonMode && { response_format: { type: 'json_object' } })
+    });
+  } catch (error) {
+    if (!useJsonMode || !isJsonModeRejection(error)) {
+      throw error;
+    }
+    // Older models (e.g. gpt-4) have no JSON mode; the prompt and the
+    // validation below still keep the answer in shape
+    logger.warn(`${key} does not support JSON mode, retrying without it`);
+    jsonModeUnsupported.add(key);
+    return llmClient.chat({ ...options, messages });
+  }
+}
+
+// Ask for a JSON object and validate it against a joi schema. A malformed
+// answer is sent back to the model with the problems listed, up to
+// LLM_JSON_MAX_REPAIRS times. Resolves to { data, attempts, repaired,
+// provider, model }; rejects with a StructuredOutputError.
+async function completeJson({ schema, messages, maxRepairs = MAX_REPAIRS, ...options }) {
+  const conversation = [...messages];
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    let response;
+    try {
+      response = await chatJson(options, conversation);
+    } catch (error) {
+      throw new StructuredOutputError('llm_error', `LLM call failed: ${error.message}`);
+    }
+
+    const parsed = extractJson(response.content);
+    let problems;
+    if (!parsed) {
+      lastError = new StructuredOutputError('invalid_json', 'LLM response is not a JSON object');
+      problems = 'The response was not a JSON object.';
+    } else {
+      const { value, error } = schema.validate(parsed, { abortEarly: false, convert: true });
+      if (!error) {
+        if (attempt > 1) {
+          logger.info(`LLM JSON for ${options.agent} repaired after ${attempt} attempts`);
+        }
+        return {
+          data: value,
+          attempts: attempt,
+          repaired: attempt > 1,
+          provider: response.provider,
+          model: response.model
+        };
+      }
+
+      const details = error.details.map(detail => detail.message);
+      lastError = new StructuredOutputError(
+        'schema_mismatch',
+        `LLM response does not match the expected schema: ${details.join('; ')}`,
+        details
+      );
+      problems = `The response did not match the required format: ${details.join('; ')}.`;
+    }
+
+    logger.warn(`Attempt ${attempt} of LLM JSON for ${options.agent}: ${lastError.message}`);
+    conversation.push(
+      { role: 'assistant', content: response.content || '' },
+      { role: 'user', content: `${problems} Respond again with only the corrected JSON object, no other text.` }
+    );
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  completeJson,
+  extractJson,
+  StructuredOutputError
+};
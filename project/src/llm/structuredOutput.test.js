@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Joi = require('joi');
+
+const llmClient = require('./llmClient');
+const FixtureProvider = require('./providers/fixtureProvider');
+const { completeJson, extractJson, StructuredOutputError } = require('./structuredOutput');
+
+// The part of the code review answer the tests check
+const schema = Joi.object({
+  score: Joi.number().min(0).max(100).required(),
+  approved: Joi.boolean().required(),
+  issues: Joi.array().items(Joi.object().unknown(true)).required()
+}).unknown(true);
+
+const messages = [{ role: 'user', content: 'Review this change' }];
+
+const VALID = '{"score": 91, "approved": true, "issues": []}';
+
+describe('completeJson', () => {
+  const original = llmClient.providers.fixture;
+  let dir;
+  let provider;
+
+  // Records `content` as the answer to `conversation`, or to any conversation without one of its own
+  const answer = (content, conversation = null) => {
+    const file = conversation
+      ? path.join(dir, 'code-review', `${provider.fixtureKey('fixture', conversation)}.json`)
+      : path.join(dir, 'code-review', 'default.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ content }));
+  };
+
+  const run = (options = {}) => completeJson({ agent: 'code-review', provider: 'fixture', schema, messages, ...options });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    provider = new FixtureProvider(dir);
+    llmClient.providers.fixture = provider;
+  });
+
+  afterEach(() => {
+    llmClient.providers.fixture = original;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('validates the recorded code review answer', async () => {
+    llmClient.providers.fixture = original;
+    const result = await run();
+
+    expect(result).toMatchObject({ attempts: 1, repaired: false, provider: 'fixture', model: 'fixture' });
+    expect(result.data).toMatchObject({ score: 86, approved: true });
+    expect(result.data.issues[0].severity).toBe('minor');
+  });
+
+  test('sends a malformed answer back and uses the corrected one', async () => {
+    answer('Looks good to me, score 91.', messages);
+    answer(VALID);
+    const complete = jest.spyOn(provider, 'complete');
+
+    const result = await run({ maxRepairs: 1 });
+
+    expect(result).toMatchObject({ attempts: 2, repaired: true, data: { score: 91 } });
+    const repairConversation = complete.mock.calls[1][0].messages;
+    expect(repairConversation.slice(1)).toEqual([
+      { role: 'assistant', content: 'Looks good to me, score 91.' },
+      { role: 'user', content: expect.stringMatching(/^The response was not a JSON object\. Respond again/) }
+    ]);
+  });
+
+  test('lists the schema problems in the repair request', async () => {
+    answer('{"score": "high", "approved": true}', messages);
+    answer(VALID);
+    const complete = jest.spyOn(provider, 'complete');
+
+    await run({ maxRepairs: 1 });
+
+    expect(complete.mock.calls[1][0].messages[2].content)
+      .toMatch(/"score" must be a number; "issues" is required/);
+  });
+
+  test('fails with invalid_json once the repairs are used up', async () => {
+    answer('I cannot answer that.');
+    const complete = jest.spyOn(provider, 'complete');
+
+    const error = await run({ maxRepairs: 2 }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.reason).toBe('invalid_json');
+    expect(complete).toHaveBeenCalledTimes(3);
+  });
+
+  test('fails with schema_mismatch and the problems as details', async () => {
+    answer('{"score": 140, "approved": "yes", "issues": []}');
+
+    const error = await run({ maxRepairs: 0 }).catch(caught => caught);
+
+    expect(error.reason).toBe('schema_mismatch');
+    expect(error.details).toEqual(['"score" must be less than or equal to 100', '"approved" must be a boolean']);
+  });
+
+  test('fails with llm_error when the call fails', async () => {
+    const error = await run({ agent: 'no-such-agent' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.reason).toBe('llm_error');
+    expect(error.message).toMatch(/^LLM call failed: No LLM fixture for no-such-agent/);
+  });
+
+  test('retries without JSON mode when the model rejects it', async () => {
+    answer(VALID);
+    const complete = jest.spyOn(provider, 'complete')
+      .mockRejectedValueOnce(Object.assign(new Error("'response_format' is not supported with this model"), { status: 400 }));
+
+    const result = await run({ model: 'legacy-model' });
+
+    expect(result.data.score).toBe(91);
+    expect(complete.mock.calls[0][0].response_format).toEqual({ type: 'json_object' });
+    expect(complete.mock.calls[1][0].response_format).toBeUndefined();
+  });
+});
+
+describe('extractJson', () => {
+  test('finds the object in a fenced block or surrounding prose', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('Here you go: {"a": {"b": 2}} Hope that helps')).toEqual({ a: { b: 2 } });
+  });
+
+  test('returns null for anything but an object', () => {
+    expect(extractJson('[1, 2]')).toBeNull();
+    expect(extractJson('no json')).toBeNull();
+    expect(extractJson(null)).toBeNull();
+  });
+});
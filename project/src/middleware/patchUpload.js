@@ -0,0 +1,98 @@
+const express = require('express');
+
+const MAX_UPLOAD_BYTES = '10mb';
+
+const rawMultipart = express.raw({ type: 'multipart/form-data', limit: MAX_UPLOAD_BYTES });
+
+// Splits a multipart/form-data body into text fields and uploaded files
+// ({ field, filename, content_type, content }). Enough for the small text
+// uploads this server takes; nothing is written to disk.
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error('multipart/form-data without a boundary');
+  }
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new Error('Empty upload');
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // The closing delimiter ends in "--"
+    if (body.subarray(start, start + 2).toString() === '--') {
+      break;
+    }
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) {
+      throw new Error('Truncated multipart body');
+    }
+
+    // Each part is CRLF, headers, an empty line, the content and a CRLF
+    const part = body.subarray(start + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const disposition = /^content-disposition:(.*)$/im.exec(headers)?.[1] || '';
+      const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+      const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+
+      if (name !== undefined && filename !== undefined) {
+        files.push({
+          field: name,
+          filename,
+          content_type: /^content-type:\s*(.+)$/im.exec(headers)?.[1].trim() || null,
+          content
+        });
+      } else if (name !== undefined) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+    start = end;
+  }
+
+  return { fields, files };
+}
+
+// Lets the code review take its diff as a `.patch` file uploaded in the
+// `patch` field of a multipart/form-data request. The other form fields
+// become the request body, the file's text its `diff` and the file name
+// `patch_filename`. JSON requests pass through untouched.
+const patchUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  rawMultipart(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    let upload;
+    try {
+      upload = parseMultipart(req.body, req.headers['content-type']);
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Invalid upload', message: parseError.message });
+    }
+
+    const patch = upload.files.find(file => file.field === 'patch');
+    if (!patch) {
+      return res.status(400).json({ error: 'Invalid upload', message: 'Expected the diff as a file in the `patch` field' });
+    }
+
+    req.body = {
+      ...upload.fields,
+      diff: patch.content.toString('utf8'),
+      patch_filename: patch.filename
+    };
+    next();
+  });
+};
+
+module.exports = patchUpload;
+module.exports.parseMultipart = parseMultipart;
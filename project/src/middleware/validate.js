@@ -0,0 +1,46 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Validate a payload against a joi schema, collecting every problem instead
+// of stopping at the first one. Returns the coerced value or the error list.
+const validatePayload = (schema, payload) => {
+  const { value, error } = schema.validate(payload || {}, { abortEarly: false, convert: true });
+  if (!error) {
+    return { value, errors: null };
+  }
+
+  return {
+    value: null,
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      type: detail.type
+    }))
+  };
+};
+
+// Express middleware: answer 400 with all invalid fields, otherwise replace
+// req.body with the coerced value ("300" -> 300, "true" -> true, defaults applied)
+const validate = (schema) => (req, res, next) => {
+  const { value, errors } = validatePayload(schema, req.body);
+
+  if (errors) {
+    logger.warn(`Invalid request to ${req.method} ${req.originalUrl}: ${errors.map(e => e.field).join(', ')}`);
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `Request body has ${errors.length} invalid field${errors.length === 1 ? '' : 's'}`,
+      details: errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = validate;
+module.exports.validatePayload = validatePayload;
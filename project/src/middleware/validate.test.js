@@ -0,0 +1,76 @@
+const http = require('http');
+const express = require('express');
+const Joi = require('joi');
+
+const validate = require('./validate');
+
+const schema = Joi.object({
+  repository: Joi.string().pattern(/^[\w.-]+\/[\w.-]+$/).required(),
+  node_count: Joi.number().integer().min(1),
+  wait_for_ready: Joi.boolean().default(false)
+});
+
+let server;
+let baseUrl;
+
+const post = (body) => new Promise((resolve, reject) => {
+  const request = http.request(`${baseUrl}/provision`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  }, (response) => {
+    let text = '';
+    response.on('data', (chunk) => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+  });
+  request.on('error', reject);
+  request.end(JSON.stringify(body));
+});
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  // Echoes the body the handler receives
+  app.post('/provision', validate(schema), (req, res) => res.json(req.body));
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('validate middleware', () => {
+  test('passes the coerced body with defaults on to the handler', async () => {
+    const response = await post({ repository: 'octo-org/sample-app', node_count: '3' });
+
+    expect(response).toEqual({
+      status: 200,
+      body: { repository: 'octo-org/sample-app', node_count: 3, wait_for_ready: false }
+    });
+  });
+
+  test('answers 400 listing every invalid field', async () => {
+    const response = await post({ repository: 'sample-app', node_count: 'three', wait_for_ready: 'maybe' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Validation failed',
+      message: 'Request body has 3 invalid fields',
+      details: [
+        { field: 'repository', message: expect.stringContaining('fails to match the required pattern'), type: 'string.pattern.base' },
+        { field: 'node_count', message: '"node_count" must be a number', type: 'number.base' },
+        { field: 'wait_for_ready', message: '"wait_for_ready" must be a boolean', type: 'boolean.base' }
+      ]
+    });
+  });
+
+  test('uses the singular for a single invalid field', async () => {
+    const response = await post({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Request body has 1 invalid field');
+    expect(response.body.details).toEqual([{ field: 'repository', message: '"repository" is required', type: 'any.required' }]);
+  });
+});
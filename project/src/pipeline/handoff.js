@@ -0,0 +1,51 @@
+// Field hand-off between pipeline stages.
+// Each agent names its outputs differently (head_sha vs commit_sha, full_image_name
+// vs image, ...). These helpers are the single place that maps one agent's result
+// onto the next agent's input, shared by the /agent routes and the orchestrator.
+
+const resolveCommitSha = (params = {}) => {
+  return params.commit_sha ||
+    params.head_sha ||
+    params.build_prediction?.commit_sha ||
+    params.code_review_result?.commit_sha ||
+    null;
+};
+
+const resolveImage = (dockerResult = {}) => {
+  return dockerResult.image ||
+    dockerResult.registry_url ||
+    dockerResult.full_image_name ||
+    null;
+};
+
+// Fields the next agent needs on top of the code review result
+const withCodeReviewHandoff = (params, result) => ({
+  ...result,
+  repository: params.repository,
+  commit_sha: resolveCommitSha(params),
+  branch: params.branch || 'main'
+});
+
+// Fields the next agent needs on top of the build prediction
+const withBuildPredictionHandoff = (params, result) => ({
+  ...result,
+  repository: params.repository,
+  commit_sha: resolveCommitSha(params),
+  branch: params.branch || 'main'
+});
+
+// Fields the deploy agent needs on top of the docker handler result
+const withDockerHandoff = (params, result) => ({
+  ...result,
+  repository: params.repository,
+  commit_sha: resolveCommitSha(params),
+  image: resolveImage(result)
+});
+
+module.exports = {
+  resolveCommitSha,
+  resolveImage,
+  withCodeReviewHandoff,
+  withBuildPredictionHandoff,
+  withDockerHandoff
+};
@@ -0,0 +1,296 @@
+const winston = require('winston');
+
+const codeReviewAgent = require('../agents/codeReviewAgent');
+const buildPredictorAgent = require('../agents/buildPredictorAgent');
+const dockerHandlerAgent = require('../agents/dockerHandlerAgent');
+const deployAgent = require('../agents/deployAgent');
+const monitorAgent = require('../agents/monitorAgent');
+const runStore = require('../store/runStore');
+const pipelineEvents = require('../events/pipelineEvents');
+const checkRuns = require('../github/checkRuns');
+const {
+  resolveCommitSha,
+  withCodeReviewHandoff,
+  withBuildPredictionHandoff,
+  withDockerHandoff
+} = require('./handoff');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const STAGE_NAMES = ['code-review', 'build-predictor', 'docker-handler', 'deploy', 'monitor'];
+
+class PipelineOrchestrator {
+  constructor() {
+    // Stages run in this order. Each one builds its input from the shared
+    // context and writes the fields later stages depend on back into it.
+    this.stages = [
+      {
+        name: 'code-review',
+        input: (ctx) => ({
+          repository: ctx.repository,
+          pr_number: ctx.pr_number,
+          diff_url: ctx.diff_url,
+          head_sha: ctx.commit_sha,
+          base_branch: ctx.base_branch,
+          llm_model: ctx.llm_model,
+          llm_provider: ctx.llm_provider
+        }),
+        run: (input, options) => codeReviewAgent.analyze({ ...input, ...options }),
+        output: (ctx, result) => {
+          ctx.code_review = withCodeReviewHandoff(ctx, result);
+          return ctx.code_review;
+        }
+      },
+      {
+        name: 'build-predictor',
+        input: (ctx) => ({
+          repository: ctx.repository,
+          branch: ctx.branch,
+          commit_sha: ctx.commit_sha,
+          code_review_result: ctx.code_review,
+          llm_model: ctx.llm_model,
+          llm_provider: ctx.llm_provider
+        }),
+        run: (input, options) => buildPredictorAgent.predict({ ...input, ...options }),
+        output: (ctx, result) => {
+          ctx.build_prediction = withBuildPredictionHandoff(ctx, result);
+          return ctx.build_prediction;
+        }
+      },
+      {
+        name: 'docker-handler',
+        input: (ctx) => ({
+          repository: ctx.repository,
+          commit_sha: ctx.commit_sha,
+          build_prediction: ctx.build_prediction,
+          action: 'build_and_push'
+        }),
+        run: (input, options) => dockerHandlerAgent.handle({ ...input, ...options }),
+        output: (ctx, result) => {
+          const handoff = withDockerHandoff(ctx, result);
+          ctx.image = handoff.image;
+          ctx.image_tag = handoff.image_tag;
+          ctx.kubernetes_config = handoff.k8s_manifests;
+          return handoff;
+        }
+      },
+      {
+        name: 'deploy',
+        input: (ctx) => ({
+          repository: ctx.repository,
+          commit_sha: ctx.commit_sha,
+          image: ctx.image,
+          image_tag: ctx.image_tag,
+          kubernetes_config: ctx.kubernetes_config,
+          environment: ctx.environment,
+          namespace: ctx.namespace,
+          pipeline_id: ctx.pipeline_id
+        }),
+        run: (input, options) => deployAgent.deploy({ ...input, ...options }),
+        output: (ctx, result) => {
+          ctx.deployment_id = result.deployment_id;
+          ctx.deployment_url = result.deployment_url;
+          return result;
+        }
+      },
+      {
+        name: 'monitor',
+        input: (ctx) => ({
+          repository: ctx.repository,
+          commit_sha: ctx.commit_sha,
+          deployment_id: ctx.deployment_id,
+          environment: ctx.environment,
+          namespace: ctx.namespace,
+          monitoring_duration: ctx.monitoring_duration
+        }),
+        run: (input, options) => monitorAgent.monitor({ ...input, ...options }),
+        output: (ctx, result) => result
+      }
+    ];
+  }
+
+  async run(params) {
+    const {
+      repository,
+      pr_number,
+      diff_url,
+      branch = 'main',
+      environment = 'staging',
+      namespace,
+      llm_model,
+      llm_provider,
+      monitoring_duration,
+      skip_approval = false
+    } = params;
+    // The AbortSignal of a background job is not part of the recorded input
+    const { signal, ...runInput } = params;
+
+    const stageNames = params.stages || STAGE_NAMES;
+    const unknownStages = stageNames.filter(name => !STAGE_NAMES.includes(name));
+    if (unknownStages.length > 0) {
+      throw new Error(`Unknown pipeline stages: ${unknownStages.join(', ')}`);
+    }
+
+    const commitSha = resolveCommitSha(params);
+    const run = (params.pipeline_id && await runStore.getRun(params.pipeline_id)) ||
+      await runStore.createRun({
+        id: params.pipeline_id,
+        trigger: params.trigger || 'api',
+        repository,
+        pr_number,
+        branch,
+        commit_sha: commitSha,
+        environment,
+        input: runInput
+      });
+
+    const ctx = {
+      pipeline_id: run.id,
+      repository,
+      pr_number,
+      diff_url,
+      branch,
+      base_branch: params.base_branch,
+      environment,
+      // Left unset so the agents can fall back to the repository's configured namespace
+      namespace,
+      llm_model,
+      llm_provider,
+      monitoring_duration,
+      commit_sha: commitSha,
+      // Allow callers to resume from a later stage with earlier results supplied
+      code_review: params.code_review_result,
+      build_prediction: params.build_prediction,
+      image: params.image,
+      image_tag: params.image_tag,
+      kubernetes_config: params.kubernetes_config,
+      deployment_id: params.deployment_id,
+      signal
+    };
+
+    const startedAt = new Date();
+    const stageResults = [];
+    let status = 'success';
+
+    logger.info(`Pipeline ${ctx.pipeline_id} started for ${repository} (${stageNames.join(' -> ')})`);
+    pipelineEvents.publish(ctx.pipeline_id, 'pipeline.started', { repository, commit_sha: ctx.commit_sha, stages: stageNames });
+
+    for (const stage of this.stages) {
+      if (!stageNames.includes(stage.name)) {
+        continue;
+      }
+
+      // Cancellation (async jobs) is honoured between stages
+      if (status === 'success' && signal?.aborted) {
+        logger.info(`Pipeline ${ctx.pipeline_id} cancelled before stage ${stage.name}`);
+        status = 'cancelled';
+      }
+
+      if (status !== 'success') {
+        await runStore.skipStage(ctx.pipeline_id, stage.name);
+        pipelineEvents.publish(ctx.pipeline_id, 'stage.skipped', {}, stage.name);
+        stageResults.push({ stage: stage.name, status: 'skipped' });
+        continue;
+      }
+
+      const stageResult = await this.runStage(stage, ctx);
+      stageResults.push(stageResult);
+
+      if (stageResult.status === 'failed') {
+        status = signal?.aborted ? 'cancelled' : 'failed';
+      } else if (stage.name === 'code-review' && !stageResult.output.approved && !skip_approval) {
+        // Same gate the n8n workflow applies before building
+        logger.info(`Pipeline ${ctx.pipeline_id} stopped: code review did not approve the changes`);
+        status = 'rejected';
+      }
+    }
+
+    const finishedAt = new Date();
+    logger.info(`Pipeline ${ctx.pipeline_id} finished with status ${status}`);
+
+    const result = {
+      pipeline_id: ctx.pipeline_id,
+      status,
+      repository,
+      branch,
+      environment,
+      commit_sha: ctx.commit_sha,
+      image: ctx.image || null,
+      deployment_id: ctx.deployment_id || null,
+      deployment_url: ctx.deployment_url || null,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt - startedAt,
+      stages: stageResults
+    };
+
+    const failedStage = stageResults.find(stage => stage.status === 'failed');
+    await runStore.finishRun(ctx.pipeline_id, {
+      status,
+      output: {
+        commit_sha: result.commit_sha,
+        image: result.image,
+        deployment_id: result.deployment_id,
+        deployment_url: result.deployment_url
+      },
+      error: failedStage ? `${failedStage.stage}: ${failedStage.error}` : null
+    });
+    pipelineEvents.publish(ctx.pipeline_id, 'pipeline.finished', { status, duration_ms: result.duration_ms });
+
+    return result;
+  }
+
+  async runStage(stage, ctx) {
+    const input = stage.input(ctx);
+    const startedAt = new Date();
+
+    logger.info(`Pipeline ${ctx.pipeline_id}: running stage ${stage.name}`);
+    await runStore.startStage(ctx.pipeline_id, stage.name, input);
+    pipelineEvents.publish(ctx.pipeline_id, 'stage.started', {}, stage.name);
+
+    try {
+      const result = await checkRuns.track(stage.name, {
+        repository: ctx.repository,
+        head_sha: ctx.commit_sha,
+        pipeline_id: ctx.pipeline_id
+      }, () => stage.run(input, {
+        signal: ctx.signal,
+        onProgress: pipelineEvents.forStage(ctx.pipeline_id, stage.name)
+      }));
+      const output = stage.output(ctx, result);
+      const finishedAt = new Date();
+      await runStore.finishStage(ctx.pipeline_id, stage.name, { status: 'success', output });
+      pipelineEvents.publish(ctx.pipeline_id, 'stage.succeeded', { duration_ms: finishedAt - startedAt }, stage.name);
+
+      return {
+        stage: stage.name,
+        status: 'success',
+        started_at: startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - startedAt,
+        output
+      };
+    } catch (error) {
+      logger.error(`Pipeline ${ctx.pipeline_id}: stage ${stage.name} failed:`, error);
+      const finishedAt = new Date();
+      await runStore.finishStage(ctx.pipeline_id, stage.name, { status: 'failed', error: error.message });
+      pipelineEvents.publish(ctx.pipeline_id, 'stage.failed', { error: error.message, duration_ms: finishedAt - startedAt }, stage.name);
+
+      return {
+        stage: stage.name,
+        status: 'failed',
+        started_at: startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - startedAt,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new PipelineOrchestrator();
+module.exports.STAGE_NAMES = STAGE_NAMES;
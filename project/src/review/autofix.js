@@ -0,0 +1,39 @@
+// Applies the code review's suggested fixes to file contents for autofix
+// commits. A fix is { start_line, end_line, replacement, original }: new-side
+// lines start_line..end_line, which read `original` when they were reviewed,
+// become `replacement` (an empty replacement deletes them).
+
+// Applies `fixes` to one file. Fixes are skipped when the lines no longer
+// read what was reviewed or when they overlap a fix applied before them.
+// Returns { content, applied, skipped: [{ fix, reason }] }.
+function applyFixes(content, fixes) {
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const applied = [];
+  const skipped = [];
+
+  let lastEnd = 0;
+  for (const fix of [...fixes].sort((a, b) => a.start_line - b.start_line)) {
+    const current = lines.slice(fix.start_line - 1, fix.end_line).join('\n');
+    if (fix.start_line <= lastEnd) {
+      skipped.push({ fix, reason: 'overlaps another fix' });
+    } else if (fix.end_line > lines.length || current !== fix.original) {
+      skipped.push({ fix, reason: 'lines changed since the review' });
+    } else {
+      applied.push(fix);
+      lastEnd = fix.end_line;
+    }
+  }
+
+  // Bottom-up so earlier line numbers stay valid
+  for (const fix of [...applied].reverse()) {
+    const replacement = fix.replacement === '' ? [] : fix.replacement.split('\n');
+    lines.splice(fix.start_line - 1, fix.end_line - fix.start_line + 1, ...replacement);
+  }
+
+  return { content: lines.join(newline), applied, skipped };
+}
+
+module.exports = {
+  applyFixes
+};
@@ -0,0 +1,270 @@
+// Unified diff parsing for the code review. A pull request diff is split into
+// files and hunks, with the old- and new-side line number of every line, so
+// review comments can point at lines GitHub accepts.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+// Rough token count (about four characters per token for code)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const stripPrefix = (name) => name.replace(/^[ab]\//, '');
+
+// Parses a `git diff` / GitHub .diff into
+// [{ file, old_file, status, binary, hunks: [{ header, old_start, new_start, lines }] }].
+// Each line is { type: 'add' | 'del' | 'context', content, old_line, new_line }.
+function parseDiff(diffText) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  // Lines of each side the current hunk still has, from its header
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const raw of String(diffText || '').split('\n')) {
+    const line = raw.replace(/\r$/, '');
+
+    if (line.startsWith('diff --git ')) {
+      const names = line.match(/^diff --git (?:"?a\/(.+?)"?) (?:"?b\/(.+?)"?)$/);
+      current = {
+        file: names ? names[2] : null,
+        old_file: names ? names[1] : null,
+        status: 'modified',
+        binary: false,
+        hunks: []
+      };
+      hunk = null;
+      files.push(current);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    if (!hunk) {
+      if (line.startsWith('new file mode')) {
+        current.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        current.status = 'deleted';
+      } else if (line.startsWith('rename from ')) {
+        current.status = 'renamed';
+        current.old_file = line.substring('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        current.file = line.substring('rename to '.length);
+      } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+        current.binary = true;
+      } else if (line.startsWith('--- ')) {
+        const name = line.substring(4);
+        if (name !== '/dev/null') {
+          current.old_file = stripPrefix(name);
+        }
+        continue;
+      } else if (line.startsWith('+++ ')) {
+        const name = line.substring(4);
+        if (name !== '/dev/null') {
+          current.file = stripPrefix(name);
+        }
+        continue;
+      }
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      oldLine = parseInt(header[1], 10);
+      newLine = parseInt(header[3], 10);
+      oldRemaining = header[2] === undefined ? 1 : parseInt(header[2], 10);
+      newRemaining = header[4] === undefined ? 1 : parseInt(header[4], 10);
+      hunk = {
+        header: line,
+        old_start: oldLine,
+        new_start: newLine,
+        lines: []
+      };
+      current.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) {
+      continue;
+    }
+
+    if (line.startsWith('+') && newRemaining > 0) {
+      hunk.lines.push({ type: 'add', content: line.substring(1), old_line: null, new_line: newLine++ });
+      newRemaining--;
+    } else if (line.startsWith('-') && oldRemaining > 0) {
+      hunk.lines.push({ type: 'del', content: line.substring(1), old_line: oldLine++, new_line: null });
+      oldRemaining--;
+    } else if (line.startsWith(' ') && oldRemaining > 0 && newRemaining > 0) {
+      hunk.lines.push({ type: 'context', content: line.substring(1), old_line: oldLine++, new_line: newLine++ });
+      oldRemaining--;
+      newRemaining--;
+    }
+    // "\ No newline at end of file" and the trailing empty line carry no content
+    // The hunk ends with its header's line counts; anything after it (the
+    // "-- " signature of format-patch output) is not part of the file
+    if (oldRemaining === 0 && newRemaining === 0) {
+      hunk = null;
+    }
+  }
+
+  // A deleted file's name only appears on the old side
+  for (const file of files) {
+    if (file.status === 'deleted') {
+      file.file = file.old_file;
+    }
+  }
+  return files.filter(file => file.file);
+}
+
+// New-side line numbers a review comment can be attached to
+const commentableLines = (file) => {
+  const lines = new Set();
+  for (const hunk of file.hunks) {
+    for (const line of hunk.lines) {
+      if (line.new_line !== null) {
+        lines.add(line.new_line);
+      }
+    }
+  }
+  return lines;
+};
+
+// New-side lines a file's diff touches: added lines, and for removed lines
+// the line now in their place
+const changedLines = (file) => {
+  const lines = new Set();
+  for (const hunk of file.hunks) {
+    let removed = false;
+    let last = null;
+    for (const line of hunk.lines) {
+      if (line.type === 'del') {
+        removed = true;
+        continue;
+      }
+      if (line.type === 'add' || removed) {
+        lines.add(line.new_line);
+      }
+      removed = false;
+      last = line.new_line;
+    }
+    // Removed at the end of the hunk (a hunk without context starts after the removal)
+    if (removed) {
+      lines.add(last !== null ? last : Math.max(hunk.new_start, 1));
+    }
+  }
+  return lines;
+};
+
+// Follows an old-side line through the diff of its file: null when the line
+// was removed or rewritten, otherwise its number on the new side
+const mapOldLine = (file, oldLine) => {
+  let offset = 0;
+  for (const hunk of file.hunks) {
+    const removed = hunk.lines.filter(line => line.type !== 'add').length;
+    // A hunk without old lines (-N,0) inserts after old line N, so line N
+    // still comes before it
+    if (removed === 0 ? oldLine <= hunk.old_start : oldLine < hunk.old_start) {
+      break;
+    }
+    if (oldLine < hunk.old_start + removed) {
+      const line = hunk.lines.find(candidate => candidate.old_line === oldLine);
+      return line && line.type === 'context' ? line.new_line : null;
+    }
+    offset += hunk.lines.filter(line => line.type === 'add').length -
+      hunk.lines.filter(line => line.type === 'del').length;
+  }
+  return oldLine + offset;
+};
+
+// Renders hunks for the prompt with the new-side line number in front of
+// every line the model may comment on; removed lines get no number.
+const renderHunks = (file, hunks = file.hunks) => {
+  const header = file.status === 'renamed'
+    ? `File: ${file.file} (renamed from ${file.old_file})`
+    : `File: ${file.file} (${file.status})`;
+
+  const body = hunks.map(hunk => [
+    hunk.header,
+    ...hunk.lines.map(line => {
+      const number = line.new_line === null ? '' : String(line.new_line);
+      const marker = { add: '+', del: '-', context: ' ' }[line.type];
+      return `${number.padStart(5)} ${marker}${line.content}`;
+    })
+  ].join('\n'));
+
+  return [header, ...body].join('\n');
+};
+
+// Groups the reviewable files into batches of at most `tokenBudget` prompt
+// tokens. A file larger than the budget is split at hunk boundaries; a single
+// hunk larger than the budget gets a batch of its own.
+function batchFiles(files, tokenBudget) {
+  const chunks = [];
+  for (const file of files) {
+    if (file.binary || file.status === 'deleted' || file.hunks.length === 0) {
+      continue;
+    }
+
+    let hunks = [];
+    for (const hunk of file.hunks) {
+      const candidate = [...hunks, hunk];
+      if (hunks.length > 0 && estimateTokens(renderHunks(file, candidate)) > tokenBudget) {
+        chunks.push({ file, hunks });
+        hunks = [hunk];
+      } else {
+        hunks = candidate;
+      }
+    }
+    chunks.push({ file, hunks });
+  }
+
+  const batches = [];
+  let batch = null;
+  for (const chunk of chunks) {
+    const text = renderHunks(chunk.file, chunk.hunks);
+    const tokens = estimateTokens(text);
+    if (!batch || batch.tokens + tokens > tokenBudget) {
+      batch = { files: [], text: '', tokens: 0, changed_lines: 0 };
+      batches.push(batch);
+    }
+    if (!batch.files.includes(chunk.file)) {
+      batch.files.push(chunk.file);
+    }
+    batch.text = batch.text ? `${batch.text}\n\n${text}` : text;
+    batch.tokens += tokens;
+    batch.changed_lines += chunk.hunks
+      .reduce((count, hunk) => count + hunk.lines.filter(line => line.type !== 'context').length, 0);
+  }
+  return batches;
+}
+
+const FILE_STATUSES = { added: 'added', deleted: 'removed', renamed: 'renamed', modified: 'modified' };
+
+// Per-file summary of a diff in the shape of GitHub's pull request files:
+// [{ filename, previous_filename, status, additions, deletions, patch }]
+// where `patch` holds the file's hunks
+const changedFiles = (diffText) => parseDiff(diffText).map(file => {
+  const lines = file.hunks.flatMap(hunk => hunk.lines);
+  return {
+    filename: file.file,
+    previous_filename: file.status === 'renamed' ? file.old_file : null,
+    status: FILE_STATUSES[file.status],
+    additions: lines.filter(line => line.type === 'add').length,
+    deletions: lines.filter(line => line.type === 'del').length,
+    patch: file.hunks.map(hunk => [
+      hunk.header,
+      ...hunk.lines.map(line => `${{ add: '+', del: '-', context: ' ' }[line.type]}${line.content}`)
+    ].join('\n')).join('\n') || null
+  };
+});
+
+module.exports = {
+  parseDiff,
+  changedFiles,
+  commentableLines,
+  changedLines,
+  mapOldLine,
+  renderHunks,
+  batchFiles,
+  estimateTokens
+};
@@ -0,0 +1,180 @@
+const {
+  parseDiff,
+  commentableLines,
+  changedLines,
+  mapOldLine,
+  batchFiles,
+  changedFiles
+} = require('./diffParser');
+
+const DIFF = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -1,4 +1,5 @@',
+  " const express = require('express');",
+  '-const port = 3000;',
+  '+const port = process.env.PORT || 3000;',
+  '+const host = process.env.HOST;',
+  ' ',
+  ' module.exports = port;',
+  '@@ -10,2 +11,2 @@ function start() {',
+  '   listen();',
+  '-  log();',
+  '+  logger.info();',
+  'diff --git a/README.md b/docs/README.md',
+  'similarity index 90%',
+  'rename from README.md',
+  'rename to docs/README.md',
+  'diff --git a/old.js b/old.js',
+  'deleted file mode 100644',
+  '--- a/old.js',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-gone();',
+  'diff --git a/logo.png b/logo.png',
+  'new file mode 100644',
+  'Binary files /dev/null and b/logo.png differ',
+  ''
+].join('\n');
+
+describe('parseDiff', () => {
+  const files = parseDiff(DIFF);
+
+  test('splits files and keeps their status', () => {
+    expect(files.map(file => [file.file, file.status])).toEqual([
+      ['src/app.js', 'modified'],
+      ['docs/README.md', 'renamed'],
+      ['old.js', 'deleted'],
+      ['logo.png', 'added']
+    ]);
+    expect(files[1].old_file).toBe('README.md');
+    expect(files[3].binary).toBe(true);
+  });
+
+  test('numbers both sides of every line', () => {
+    const [first, second] = files[0].hunks;
+    expect(first.lines).toEqual([
+      { type: 'context', content: "const express = require('express');", old_line: 1, new_line: 1 },
+      { type: 'del', content: 'const port = 3000;', old_line: 2, new_line: null },
+      { type: 'add', content: 'const port = process.env.PORT || 3000;', old_line: null, new_line: 2 },
+      { type: 'add', content: 'const host = process.env.HOST;', old_line: null, new_line: 3 },
+      { type: 'context', content: '', old_line: 3, new_line: 4 },
+      { type: 'context', content: 'module.exports = port;', old_line: 4, new_line: 5 }
+    ]);
+    expect(second).toMatchObject({ old_start: 10, new_start: 11 });
+    expect(second.lines.map(line => line.new_line)).toEqual([11, null, 12]);
+  });
+
+  test('ends a hunk at its header counts, leaving out the format-patch signature', () => {
+    const patch = [
+      'From 3f786850e387550fdab836ed7e6dc881de23001b Mon Sep 17 00:00:00 2001',
+      'Subject: [PATCH] Bump the port',
+      '---',
+      ' src/app.js | 2 +-',
+      '',
+      'diff --git a/src/app.js b/src/app.js',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,2 +1,2 @@',
+      ' const a = 1;',
+      '-const port = 3000;',
+      '+const port = 8080;',
+      '-- ',
+      '2.43.0',
+      ''
+    ].join('\n');
+
+    const [file] = parseDiff(patch);
+    expect(file.hunks).toHaveLength(1);
+    expect(file.hunks[0].lines.map(line => line.type)).toEqual(['context', 'del', 'add']);
+  });
+
+  test('keeps lines that look like headers inside a hunk', () => {
+    const diff = [
+      'diff --git a/notes.txt b/notes.txt',
+      '--- a/notes.txt',
+      '+++ b/notes.txt',
+      '@@ -1,2 +1,2 @@',
+      '--- old heading',
+      '+++ new heading',
+      ' end'
+    ].join('\n');
+
+    const [file] = parseDiff(diff);
+    expect(file.hunks[0].lines.map(line => [line.type, line.content])).toEqual([
+      ['del', '-- old heading'],
+      ['add', '++ new heading'],
+      ['context', 'end']
+    ]);
+  });
+
+  test('handles missing input', () => {
+    expect(parseDiff('')).toEqual([]);
+    expect(parseDiff(null)).toEqual([]);
+  });
+});
+
+describe('line helpers', () => {
+  const [app, , deleted] = parseDiff(DIFF);
+
+  test('commentableLines are the new-side lines of the hunks', () => {
+    expect([...commentableLines(app)]).toEqual([1, 2, 3, 4, 5, 11, 12]);
+  });
+
+  test('changedLines are added lines and the lines in place of removed ones', () => {
+    expect([...changedLines(app)]).toEqual([2, 3, 12]);
+    expect([...changedLines(deleted)]).toEqual([1]);
+  });
+
+  test('mapOldLine follows unchanged lines and drops rewritten ones', () => {
+    expect(mapOldLine(app, 1)).toBe(1);
+    expect(mapOldLine(app, 2)).toBeNull();
+    expect(mapOldLine(app, 4)).toBe(5);
+    expect(mapOldLine(app, 7)).toBe(8);
+    expect(mapOldLine(app, 11)).toBeNull();
+  });
+
+  test('mapOldLine keeps the line before an insertion-only hunk in place', () => {
+    const [file] = parseDiff([
+      'diff --git a/src/app.js b/src/app.js',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -3,0 +4,2 @@ function start() {',
+      '+  validate();',
+      '+  log();',
+      '@@ -8,0 +11 @@',
+      '+// end'
+    ].join('\n'));
+
+    expect(mapOldLine(file, 2)).toBe(2);
+    expect(mapOldLine(file, 3)).toBe(3);
+    expect(mapOldLine(file, 4)).toBe(6);
+    expect(mapOldLine(file, 8)).toBe(10);
+    expect(mapOldLine(file, 9)).toBe(12);
+  });
+});
+
+describe('batchFiles', () => {
+  test('skips deleted and binary files and keeps batches under the budget', () => {
+    const files = parseDiff(DIFF);
+    const [batch] = batchFiles(files, 10000);
+    expect(batch.files.map(file => file.file)).toEqual(['src/app.js']);
+    expect(batch.changed_lines).toBe(5);
+
+    const small = batchFiles(files, 20);
+    expect(small).toHaveLength(2);
+    expect(small.every(entry => entry.files[0].file === 'src/app.js')).toBe(true);
+  });
+});
+
+describe('changedFiles', () => {
+  test('summarises files like the pull request files API', () => {
+    const [app, renamed, deleted] = changedFiles(DIFF);
+    expect(app).toMatchObject({ filename: 'src/app.js', status: 'modified', additions: 3, deletions: 2 });
+    expect(app.patch.split('\n')[0]).toBe('@@ -1,4 +1,5 @@');
+    expect(renamed).toMatchObject({ filename: 'docs/README.md', previous_filename: 'README.md', status: 'renamed', patch: null });
+    expect(deleted).toMatchObject({ filename: 'old.js', status: 'removed', deletions: 1 });
+  });
+});
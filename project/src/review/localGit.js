@@ -0,0 +1,95 @@
+// Diffs of local git checkouts for the code review, for repositories that
+// are not on GitHub and for offline demos. Only checkouts under
+// LOCAL_REPO_ROOT can be read.
+
+const { execFile } = require('child_process');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(process.env.LOCAL_REPO_ROOT || 'repos');
+
+const MAX_OUTPUT_BYTES = 50 * 1024 * 1024;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// `env` is added to the environment, e.g. GIT_CONFIG_* for credentials.
+// Git never looks for a repository in LOCAL_REPO_ROOT or above it, so a
+// directory that isn't a checkout can't resolve to the server's own.
+const git = (cwd, args, signal, env = null) => new Promise((resolve, reject) => {
+  const options = {
+    cwd,
+    maxBuffer: MAX_OUTPUT_BYTES,
+    ...(signal && { signal }),
+    env: { ...process.env, GIT_CEILING_DIRECTORIES: REPO_ROOT, ...env }
+  };
+  execFile('git', args, options, (error, stdout, stderr) => {
+    if (error) {
+      reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+    } else {
+      resolve(stdout);
+    }
+  });
+});
+
+// Absolute path of `repoPath` (relative to LOCAL_REPO_ROOT) if it is a
+// directory inside the root; the root itself is not a checkout
+function resolveCheckout(repoPath) {
+  const dir = path.resolve(REPO_ROOT, repoPath);
+  if (!dir.startsWith(`${REPO_ROOT}${path.sep}`)) {
+    throw badRequest(`repo_path must be inside ${REPO_ROOT}`);
+  }
+  return dir;
+}
+
+// Commit SHA of `ref`; refs that would be read as options are refused
+async function resolveRef(dir, ref, signal) {
+  if (!ref || ref.startsWith('-')) {
+    throw badRequest(`Invalid git ref: ${ref}`);
+  }
+  try {
+    return (await git(dir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], signal)).trim();
+  } catch (error) {
+    throw badRequest(`Unknown git ref ${ref} in ${dir}`);
+  }
+}
+
+// The changes of `headRef` since it branched off `baseRef` (base...head), as
+// a pull request from head into base would show them
+async function diffRefs(repoPath, baseRef, headRef = 'HEAD', signal) {
+  const dir = resolveCheckout(repoPath);
+  try {
+    await git(dir, ['rev-parse', '--git-dir'], signal);
+  } catch (error) {
+    throw badRequest(`${dir} is not a git checkout`);
+  }
+
+  const baseSha = await resolveRef(dir, baseRef, signal);
+  const headSha = await resolveRef(dir, headRef, signal);
+  // Fixed prefixes and no external diff tools, whatever the user's git config says
+  const diff = await git(dir, [
+    'diff', '--no-color', '--no-ext-diff', '-M', '--src-prefix=a/', '--dst-prefix=b/',
+    `${baseSha}...${headSha}`
+  ], signal);
+
+  return { dir, base_sha: baseSha, head_sha: headSha, diff };
+}
+
+// Content of `file` at commit `sha`, or null when it doesn't exist there
+async function readFile(dir, sha, file) {
+  try {
+    return await git(dir, ['show', `${sha}:${file}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  REPO_ROOT,
+  git,
+  resolveCheckout,
+  diffRefs,
+  readFile
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// LOCAL_REPO_ROOT sits inside another checkout, as `repos` does in a clone of this server
+const outer = fs.mkdtempSync(path.join(os.tmpdir(), 'local-git-'));
+process.env.LOCAL_REPO_ROOT = path.join(outer, 'repos');
+
+const localGit = require('./localGit');
+
+const run = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+  cwd,
+  stdio: 'pipe'
+}).toString().trim();
+
+const commit = (dir, file, content, message) => {
+  fs.writeFileSync(path.join(dir, file), content);
+  run(dir, 'add', file);
+  run(dir, 'commit', '-q', '-m', message);
+};
+
+beforeAll(() => {
+  run(outer, 'init', '-q', '-b', 'main');
+  commit(outer, 'server.js', 'module.exports = {};\n', 'Server');
+
+  const app = path.join(localGit.REPO_ROOT, 'app');
+  fs.mkdirSync(app, { recursive: true });
+  fs.mkdirSync(path.join(localGit.REPO_ROOT, 'plain'));
+  run(app, 'init', '-q', '-b', 'main');
+  commit(app, 'index.js', 'const a = 1;\n', 'Initial');
+  run(app, 'checkout', '-q', '-b', 'feature');
+  commit(app, 'index.js', 'const a = 2;\n', 'Change a');
+});
+
+afterAll(() => {
+  fs.rmSync(outer, { recursive: true, force: true });
+});
+
+describe('diffRefs', () => {
+  test('diffs a checkout under LOCAL_REPO_ROOT', async () => {
+    const result = await localGit.diffRefs('app', 'main', 'feature');
+
+    expect(result.dir).toBe(path.join(localGit.REPO_ROOT, 'app'));
+    expect(result.head_sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(result.diff).toContain('diff --git a/index.js b/index.js');
+    expect(result.diff).toContain('+const a = 2;');
+  });
+
+  test.each(['.', '', '..', '../repos', '/etc'])('refuses repo_path %j outside the root', async (repoPath) => {
+    await expect(localGit.diffRefs(repoPath, 'main')).rejects.toMatchObject({
+      status: 400,
+      message: `repo_path must be inside ${localGit.REPO_ROOT}`
+    });
+  });
+
+  test('does not fall back to the checkout around LOCAL_REPO_ROOT', async () => {
+    await expect(localGit.diffRefs('plain', 'main')).rejects.toMatchObject({
+      status: 400,
+      message: `${path.join(localGit.REPO_ROOT, 'plain')} is not a git checkout`
+    });
+  });
+
+  test('refuses refs that git would read as options', async () => {
+    await expect(localGit.diffRefs('app', '--output=/tmp/x')).rejects.toMatchObject({ status: 400, message: 'Invalid git ref: --output=/tmp/x' });
+    await expect(localGit.diffRefs('app', 'missing')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('readFile', () => {
+  test('reads a file at a commit, or null', async () => {
+    const { dir, head_sha: sha } = await localGit.diffRefs('app', 'main', 'feature');
+
+    expect(await localGit.readFile(dir, sha, 'index.js')).toBe('const a = 2;\n');
+    expect(await localGit.readFile(dir, sha, 'missing.js')).toBeNull();
+  });
+});
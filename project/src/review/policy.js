@@ -0,0 +1,195 @@
+// Review policy engine. Decides whether the code review approves a pull
+// request from the repository's `review.policies` (evaluated for the target
+// branch and the changed files), the built-in default policy and the
+// blocking static analysis rules. Every decision comes with the list of
+// policies that applied and which of their checks passed or failed.
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+
+// `*` stays within a path segment, `**` crosses them; a pattern without
+// wildcards also matches everything below it (`auth/` or `auth`)
+const globToRegExp = (pattern) => {
+  const trimmed = pattern.replace(/^\.\//, '');
+  if (!/[*?]/.test(trimmed)) {
+    const prefix = trimmed.replace(/\/+$/, '').replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${prefix}(/.*)?$`);
+  }
+  const source = trimmed
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0001')
+    .replace(/\*\*/g, '\u0002')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0001/g, '(?:.*/)?')
+    .replace(/\u0002/g, '.*');
+  return new RegExp(`^${source}$`);
+};
+
+const matchesAny = (value, patterns) => patterns.some(pattern => globToRegExp(pattern).test(value));
+
+const isSecurityIssue = (issue) => /security/i.test(issue.type || '');
+
+// The repository's policies are followed by this one unless an exclusive policy applied
+const defaultPolicy = (reviewConfig) => ({
+  name: 'default',
+  description: 'review.approval_threshold and review.block_on_critical',
+  require: {
+    min_score: reviewConfig.approval_threshold,
+    ...(reviewConfig.block_on_critical && { max_critical: 0 })
+  }
+});
+
+// Whether a policy applies to this review, and why (not)
+function matchPolicy(policy, { branch, files, docsOnly }) {
+  const reasons = [];
+
+  if (policy.branches) {
+    if (!branch || !matchesAny(branch, policy.branches)) {
+      return { applied: false, reason: `branch ${branch || '(unknown)'} is not one of ${policy.branches.join(', ')}` };
+    }
+    reasons.push(`branch ${branch}`);
+  }
+
+  if (policy.docs_only !== undefined) {
+    if (policy.docs_only !== docsOnly) {
+      return { applied: false, reason: docsOnly ? 'docs-only change' : 'not a docs-only change' };
+    }
+    reasons.push(docsOnly ? 'docs-only change' : 'code change');
+  }
+
+  if (policy.paths) {
+    const touched = files.filter(file => matchesAny(file, policy.paths));
+    if (touched.length === 0) {
+      return { applied: false, reason: `no changed file matches ${policy.paths.join(', ')}` };
+    }
+    reasons.push(`${touched.length} changed file(s) in ${policy.paths.join(', ')}`);
+  }
+
+  return { applied: true, reason: reasons.length > 0 ? reasons.join(', ') : 'always applies' };
+}
+
+// Runs a policy's `require` checks. With `paths`, issue counts only include
+// issues in matching files.
+function runChecks(policy, review) {
+  const issues = policy.paths
+    ? review.issues.filter(issue => issue.file && matchesAny(issue.file, policy.paths))
+    : review.issues;
+  const checks = [];
+  const require = policy.require;
+
+  if (require.min_score !== undefined) {
+    checks.push({
+      check: 'min_score',
+      expected: require.min_score,
+      actual: review.score,
+      passed: review.score >= require.min_score,
+      message: `score ${review.score} ${review.score >= require.min_score ? '>=' : '<'} ${require.min_score}`
+    });
+  }
+
+  for (const severity of SEVERITIES) {
+    const limit = require[`max_${severity}`];
+    if (limit === undefined) {
+      continue;
+    }
+    const count = issues.filter(issue => issue.severity === severity).length;
+    checks.push({
+      check: `max_${severity}`,
+      expected: limit,
+      actual: count,
+      passed: count <= limit,
+      message: `${count} ${severity} issue(s), at most ${limit} allowed`
+    });
+  }
+
+  if (require.max_security_issues !== undefined) {
+    // Free-text security concerns of the LLM carry no file, so they only
+    // count for policies that are not limited to paths
+    const count = issues.filter(isSecurityIssue).length + (policy.paths ? 0 : review.llm_security_concerns.length);
+    checks.push({
+      check: 'max_security_issues',
+      expected: require.max_security_issues,
+      actual: count,
+      passed: count <= require.max_security_issues,
+      message: `${count} security issue(s)${policy.paths ? ` in ${policy.paths.join(', ')}` : ''}, at most ${require.max_security_issues} allowed`
+    });
+  }
+
+  return checks;
+}
+
+// Evaluates the policies for one review. `review` holds score, issues,
+// llm_security_concerns, blocked_by_rules and the changed file paths;
+// `branch` is the pull request's target branch.
+function evaluatePolicies(reviewConfig, review, branch) {
+  const files = review.files;
+  const docsOnly = files.length > 0 && files.every(file => matchesAny(file, reviewConfig.docs_paths));
+  const context = { branch, files, docsOnly };
+
+  const results = [];
+  let exclusiveMatched = null;
+
+  for (const policy of [...reviewConfig.policies, defaultPolicy(reviewConfig)]) {
+    if (exclusiveMatched) {
+      results.push({ policy: policy.name, applied: false, reason: `superseded by exclusive policy ${exclusiveMatched}` });
+      continue;
+    }
+
+    const match = matchPolicy(policy, context);
+    if (!match.applied) {
+      results.push({ policy: policy.name, applied: false, reason: match.reason });
+      continue;
+    }
+
+    const checks = runChecks(policy, review);
+    results.push({
+      policy: policy.name,
+      applied: true,
+      reason: match.reason,
+      passed: checks.every(check => check.passed),
+      checks
+    });
+    if (policy.exclusive) {
+      exclusiveMatched = policy.name;
+    }
+  }
+
+  // Blocking rules (committed secrets) can't be relaxed by any policy
+  const blocked = review.blocked_by_rules;
+  results.push({
+    policy: 'blocking-rules',
+    applied: true,
+    reason: 'always applies',
+    passed: blocked.length === 0,
+    checks: [{
+      check: 'no_blocking_rules',
+      expected: [],
+      actual: blocked,
+      passed: blocked.length === 0,
+      message: blocked.length === 0 ? 'no blocking rule fired' : `blocking rule(s) fired: ${blocked.join(', ')}`
+    }]
+  });
+
+  const approved = results.every(result => !result.applied || result.passed);
+  return {
+    decision: approved ? 'approved' : 'changes_requested',
+    approved,
+    branch: branch || null,
+    docs_only: docsOnly,
+    results,
+    explanation: results.map(result => {
+      if (!result.applied) {
+        return `SKIPPED ${result.policy}: ${result.reason}`;
+      }
+      const failed = result.checks.filter(check => !check.passed);
+      const shown = failed.length > 0 ? failed : result.checks;
+      return `${result.passed ? 'PASSED' : 'FAILED'} ${result.policy} (${result.reason}): ${shown.map(check => check.message).join('; ') || 'no checks'}`;
+    })
+  };
+}
+
+module.exports = {
+  evaluatePolicies,
+  globToRegExp,
+  matchesAny
+};
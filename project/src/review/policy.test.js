@@ -0,0 +1,111 @@
+const { evaluatePolicies, globToRegExp, matchesAny } = require('./policy');
+const { schema } = require('../config/repoConfig');
+
+// The review section of a .devops-agent.yml, with the defaults filled in
+const reviewConfig = (review = {}) => {
+  const { value, error } = schema.validate({ review });
+  if (error) {
+    throw error;
+  }
+  return value.review;
+};
+
+const review = (overrides = {}) => ({
+  score: 90,
+  issues: [],
+  llm_security_concerns: [],
+  blocked_by_rules: [],
+  files: ['src/app.js'],
+  ...overrides
+});
+
+const result = (evaluation, name) => evaluation.results.find(entry => entry.policy === name);
+
+describe('evaluatePolicies', () => {
+  test('approves with the default policy when the score reaches the threshold', () => {
+    const evaluation = evaluatePolicies(reviewConfig(), review(), 'main');
+    expect(evaluation).toMatchObject({ decision: 'approved', approved: true, branch: 'main', docs_only: false });
+    expect(result(evaluation, 'default').checks.map(check => check.check)).toEqual(['min_score', 'max_critical']);
+    expect(evaluation.explanation[0]).toMatch(/^PASSED default/);
+  });
+
+  test('requests changes below the threshold or with a critical issue', () => {
+    expect(evaluatePolicies(reviewConfig(), review({ score: 79 }), 'main').approved).toBe(false);
+    expect(evaluatePolicies(reviewConfig(), review({ issues: [{ severity: 'critical' }] }), 'main').approved).toBe(false);
+    expect(evaluatePolicies(reviewConfig({ block_on_critical: false }), review({ issues: [{ severity: 'critical' }] }), 'main').approved)
+      .toBe(true);
+  });
+
+  test('applies branch policies to matching target branches only', () => {
+    const config = reviewConfig({
+      policies: [{ name: 'release', branches: ['release/*'], require: { min_score: 95 } }]
+    });
+
+    const release = evaluatePolicies(config, review(), 'release/1.2');
+    expect(release.approved).toBe(false);
+    expect(result(release, 'release')).toMatchObject({ applied: true, passed: false });
+
+    const main = evaluatePolicies(config, review(), 'main');
+    expect(main.approved).toBe(true);
+    expect(result(main, 'release')).toMatchObject({ applied: false, reason: 'branch main is not one of release/*' });
+  });
+
+  test('counts only the issues in a path policy\'s files', () => {
+    const config = reviewConfig({
+      policies: [{ name: 'auth', paths: ['src/auth/**'], require: { max_major: 0, max_security_issues: 0 } }]
+    });
+    const issues = [
+      { file: 'src/app.js', severity: 'major', type: 'style' },
+      { file: 'src/auth/login.js', severity: 'minor', type: 'security' }
+    ];
+
+    const evaluation = evaluatePolicies(config, review({
+      issues,
+      files: ['src/app.js', 'src/auth/login.js'],
+      llm_security_concerns: ['unrelated concern']
+    }), 'main');
+    const checks = result(evaluation, 'auth').checks;
+    expect(checks.find(check => check.check === 'max_major')).toMatchObject({ actual: 0, passed: true });
+    expect(checks.find(check => check.check === 'max_security_issues')).toMatchObject({ actual: 1, passed: false });
+    expect(evaluation.approved).toBe(false);
+  });
+
+  test('lets an exclusive docs-only policy replace the default', () => {
+    const config = reviewConfig({
+      policies: [{ name: 'docs', docs_only: true, exclusive: true, require: { min_score: 0 } }]
+    });
+
+    const docs = evaluatePolicies(config, review({ score: 10, files: ['README.md', 'docs/setup.md'] }), 'main');
+    expect(docs).toMatchObject({ approved: true, docs_only: true });
+    expect(result(docs, 'default')).toMatchObject({ applied: false, reason: 'superseded by exclusive policy docs' });
+
+    const code = evaluatePolicies(config, review({ score: 10 }), 'main');
+    expect(code.approved).toBe(false);
+    expect(result(code, 'docs')).toMatchObject({ applied: false, reason: 'not a docs-only change' });
+  });
+
+  test('never approves when a blocking rule fired', () => {
+    const config = reviewConfig({
+      policies: [{ name: 'anything', exclusive: true, require: { min_score: 0 } }]
+    });
+    const evaluation = evaluatePolicies(config, review({ blocked_by_rules: ['secret'] }), 'main');
+
+    expect(evaluation.decision).toBe('changes_requested');
+    expect(result(evaluation, 'blocking-rules').checks[0]).toMatchObject({ actual: ['secret'], passed: false });
+  });
+});
+
+describe('globs', () => {
+  test('* stays within a segment, ** crosses them', () => {
+    expect(globToRegExp('src/*.js').test('src/app.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/app.js')).toBe(false);
+    expect(globToRegExp('src/**/*.js').test('src/app.js')).toBe(true);
+    expect(globToRegExp('src/**/*.js').test('src/lib/deep/app.js')).toBe(true);
+  });
+
+  test('a pattern without wildcards matches everything below it', () => {
+    expect(matchesAny('src/auth/login.js', ['src/auth'])).toBe(true);
+    expect(matchesAny('src/auth/login.js', ['./src/auth/'])).toBe(true);
+    expect(matchesAny('src/authz.js', ['src/auth'])).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+// Deterministic checks run over the pull request diff before the LLM review.
+// They catch what a pattern finds reliably; their findings are merged into
+// the review with `source: 'rule'`. Each rule can be switched off, given
+// another severity or made blocking in the repository's .devops-agent.yml
+// under `review.rules.<id>`.
+
+const { scanDiffFiles } = require('./secretScanner');
+
+const LOCKFILES = {
+  'package-lock.json': 'package.json',
+  'npm-shrinkwrap.json': 'package.json',
+  'yarn.lock': 'package.json',
+  'pnpm-lock.yaml': 'package.json',
+  'poetry.lock': 'pyproject.toml',
+  'Pipfile.lock': 'Pipfile',
+  'Gemfile.lock': 'Gemfile',
+  'composer.lock': 'composer.json',
+  'Cargo.lock': 'Cargo.toml',
+  'go.sum': 'go.mod'
+};
+
+const DEBUG_PATTERNS = [
+  { extensions: /\.(?:[cm]?[jt]sx?|vue|svelte)$/, pattern: /\bconsole\.(?:log|debug|trace)\s*\(|^\s*debugger\s*;?\s*$/ },
+  { extensions: /\.py$/, pattern: /\b(?:pdb|ipdb)\.set_trace\s*\(|^\s*breakpoint\s*\(\s*\)/ },
+  { extensions: /\.rb$/, pattern: /\bbinding\.(?:pry|irb)\b|^\s*byebug\b/ },
+  { extensions: /\.go$/, pattern: /\bfmt\.Print(?:ln|f)?\s*\(/ }
+];
+
+const EVAL_PATTERNS = [
+  { extensions: /\.(?:[cm]?[jt]sx?|vue|svelte)$/, pattern: /(?<![\w.])eval\s*\(|\bnew\s+Function\s*\(|\bset(?:Timeout|Interval)\s*\(\s*["'`]/ },
+  { extensions: /\.py$/, pattern: /(?<![\w.])(?:eval|exec)\s*\(/ },
+  { extensions: /\.(?:php|rb)$/, pattern: /(?<![\w.>])eval\s*\(/ }
+];
+
+const isTestFile = (file) => /(^|\/)(test|tests|__tests__|spec|specs)\//.test(file) ||
+  /\.(test|spec)\.[cm]?[jt]sx?$/.test(file) ||
+  /(^|\/)test_[^/]+\.py$|_test\.(py|go)$/.test(file);
+
+const baseName = (file) => file.split('/').pop();
+
+const addedLines = (file) => file.hunks.flatMap(hunk => hunk.lines.filter(line => line.type === 'add'));
+
+// Findings for every added line of a file matching one of `patterns`
+const matchLines = (file, patterns, message) => {
+  const applicable = patterns.filter(entry => !entry.extensions || entry.extensions.test(file.file));
+  const findings = [];
+  for (const line of addedLines(file)) {
+    const match = applicable.find(entry => entry.pattern.test(line.content));
+    if (match) {
+      findings.push({ file: file.file, line: line.new_line, message: message(match, line) });
+    }
+  }
+  return findings;
+};
+
+// Built-in rules. `check` gets the parsed diff files, the rule's options and
+// the repository configuration sections the rule uses, and returns findings
+// of { file, line, message }.
+const RULES = [
+  {
+    id: 'secret',
+    category: 'security',
+    severity: 'critical',
+    blocking: true,
+    description: 'Credentials, known token formats and high-entropy strings committed in the diff',
+    // Only the redacted value appears in the message
+    check: (files, options, context) => scanDiffFiles(files, context.secrets).map(finding => ({
+      file: finding.file,
+      line: finding.line,
+      message: `Possible ${finding.name} committed (\`${finding.redacted}\`, fingerprint ${finding.fingerprint}); remove it and rotate the credential`
+    }))
+  },
+  {
+    id: 'eval',
+    category: 'security',
+    severity: 'major',
+    blocking: false,
+    description: 'Dynamic code execution (eval, new Function, exec)',
+    check: (files) => files.flatMap(file =>
+      matchLines(file, EVAL_PATTERNS, () => 'Dynamic code execution; avoid evaluating strings as code')
+    )
+  },
+  {
+    id: 'debug-statement',
+    category: 'quality',
+    severity: 'minor',
+    blocking: false,
+    description: 'Debug output and breakpoints left in non-test code',
+    check: (files) => files
+      .filter(file => !isTestFile(file.file))
+      .flatMap(file => matchLines(file, DEBUG_PATTERNS, () => 'Debug statement left in the code'))
+  },
+  {
+    id: 'large-file',
+    category: 'maintainability',
+    severity: 'major',
+    blocking: false,
+    description: 'Files with more added lines than max_added_lines',
+    defaults: { max_added_lines: 1000 },
+    check: (files, options) => files
+      .filter(file => !LOCKFILES[baseName(file.file)])
+      .map(file => ({ file, added: addedLines(file).length }))
+      .filter(({ added }) => added > options.max_added_lines)
+      .map(({ file, added }) => ({
+        file: file.file,
+        line: null,
+        message: `${added} lines added to one file (limit ${options.max_added_lines}); consider splitting the change`
+      }))
+  },
+  {
+    id: 'lockfile-only',
+    category: 'quality',
+    severity: 'major',
+    blocking: false,
+    description: 'Lockfiles changed without their manifest',
+    check: (files) => {
+      const changed = new Set(files.map(file => file.file));
+      return files
+        .filter(file => LOCKFILES[baseName(file.file)])
+        .filter(file => {
+          const dir = file.file.includes('/') ? file.file.substring(0, file.file.lastIndexOf('/') + 1) : '';
+          return !changed.has(`${dir}${LOCKFILES[baseName(file.file)]}`);
+        })
+        .map(file => ({
+          file: file.file,
+          line: null,
+          message: `${baseName(file.file)} changed without ${LOCKFILES[baseName(file.file)]}; make sure the dependency change is intended`
+        }));
+    }
+  }
+];
+
+const RULE_IDS = RULES.map(rule => rule.id);
+
+// Runs the enabled rules over parsed diff files. `overrides` is the
+// repository's `review.rules` section and `context` holds the other sections
+// rules read (`secrets`). Returns the findings as review issues and the ids of
+// the blocking rules that fired.
+function runRules(files, overrides = {}, context = {}) {
+  const issues = [];
+  const blockedBy = [];
+
+  for (const rule of RULES) {
+    const settings = { ...rule.defaults, ...overrides[rule.id] };
+    if (settings.enabled === false) {
+      continue;
+    }
+
+    const severity = settings.severity || rule.severity;
+    const findings = rule.check(files, settings, context);
+    for (const finding of findings) {
+      issues.push({
+        ...finding,
+        type: rule.category,
+        severity,
+        source: 'rule',
+        rule: rule.id
+      });
+    }
+
+    const blocking = settings.blocking ?? rule.blocking;
+    if (blocking && findings.length > 0) {
+      blockedBy.push(rule.id);
+    }
+  }
+
+  return { issues, blocked_by: blockedBy };
+}
+
+module.exports = {
+  RULES,
+  RULE_IDS,
+  runRules,
+  isTestFile
+};
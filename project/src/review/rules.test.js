@@ -0,0 +1,101 @@
+const { runRules, isTestFile, RULE_IDS } = require('./rules');
+const { parseDiff } = require('./diffParser');
+
+// A diff adding `lines` to a new file
+const addedFile = (file, lines) => [
+  `diff --git a/${file} b/${file}`,
+  'new file mode 100644',
+  '--- /dev/null',
+  `+++ b/${file}`,
+  `@@ -0,0 +1,${lines.length} @@`,
+  ...lines.map(line => `+${line}`)
+].join('\n');
+
+const run = (diffs, overrides, context) => runRules(parseDiff(diffs.join('\n')), overrides, context);
+
+const byRule = (issues) => issues.map(issue => [issue.rule, issue.file, issue.line]);
+
+describe('runRules', () => {
+  test('flags debug statements outside tests and eval everywhere', () => {
+    const { issues, blocked_by: blockedBy } = run([
+      addedFile('src/app.js', ['const a = 1;', 'console.log(a);', 'eval(input);']),
+      addedFile('src/app.test.js', ['console.log("fine in a test");'])
+    ]);
+
+    expect(byRule(issues)).toEqual([
+      ['eval', 'src/app.js', 3],
+      ['debug-statement', 'src/app.js', 2]
+    ]);
+    expect(issues[0]).toMatchObject({ type: 'security', severity: 'major', source: 'rule' });
+    expect(blockedBy).toEqual([]);
+  });
+
+  test('blocks on committed secrets', () => {
+    const { issues, blocked_by: blockedBy } = run([
+      addedFile('src/config.js', ['const password = "correct-horse-battery";'])
+    ]);
+
+    expect(byRule(issues)).toEqual([['secret', 'src/config.js', 1]]);
+    expect(issues[0].severity).toBe('critical');
+    expect(issues[0].message).not.toContain('correct-horse-battery');
+    expect(blockedBy).toEqual(['secret']);
+  });
+
+  test('does not block on subresource integrity digests', () => {
+    const { blocked_by: blockedBy } = run([
+      addedFile('public/index.html', [
+        '<script src="app.js" integrity="sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC"></script>'
+      ])
+    ]);
+    expect(blockedBy).toEqual([]);
+  });
+
+  test('applies the repository overrides', () => {
+    const diffs = [addedFile('src/app.js', ['console.log(1);', 'eval(x);'])];
+    const { issues, blocked_by: blockedBy } = run(diffs, {
+      'debug-statement': { enabled: false },
+      eval: { severity: 'critical', blocking: true }
+    });
+
+    expect(byRule(issues)).toEqual([['eval', 'src/app.js', 2]]);
+    expect(issues[0].severity).toBe('critical');
+    expect(blockedBy).toEqual(['eval']);
+  });
+
+  test('flags large files against max_added_lines', () => {
+    const lines = Array.from({ length: 6 }, (_, index) => `const v${index} = ${index};`);
+    expect(byRule(run([addedFile('src/big.js', lines)]).issues)).toEqual([]);
+    expect(byRule(run([addedFile('src/big.js', lines)], { 'large-file': { max_added_lines: 5 } }).issues))
+      .toEqual([['large-file', 'src/big.js', null]]);
+  });
+
+  test('flags a lockfile changed without its manifest', () => {
+    const lockfile = addedFile('web/package-lock.json', ['{}']);
+    expect(byRule(run([lockfile]).issues)).toEqual([['lockfile-only', 'web/package-lock.json', null]]);
+    expect(run([lockfile, addedFile('web/package.json', ['{}'])]).issues).toEqual([]);
+  });
+
+  test('passes the secrets configuration to the secret rule', () => {
+    const diffs = [addedFile('src/config.js', ['const key = "q8Zr2Lk9Xv4Tn7Wm1Bc6Hs3Pd5Jf0Ga";'])];
+    expect(run(diffs).blocked_by).toEqual(['secret']);
+    expect(run(diffs, {}, { secrets: { entropy_threshold: 7 } }).blocked_by).toEqual([]);
+  });
+});
+
+describe('isTestFile', () => {
+  test.each([
+    ['test/app.js', true],
+    ['src/__tests__/app.js', true],
+    ['src/app.spec.ts', true],
+    ['pkg/app_test.go', true],
+    ['tests/test_app.py', true],
+    ['src/testing/app.js', false],
+    ['src/app.js', false]
+  ])('%s -> %s', (file, expected) => {
+    expect(isTestFile(file)).toBe(expected);
+  });
+});
+
+test('RULE_IDS lists every rule', () => {
+  expect(RULE_IDS).toEqual(['secret', 'eval', 'debug-statement', 'large-file', 'lockfile-only']);
+});
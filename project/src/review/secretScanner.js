@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// Secret detection shared by the secret scan agent, the code review's
+// `secret` rule and the docker handler's build context check. Findings never
+// carry the secret itself, only a redacted form and a fingerprint that can be
+// put on the allowlist in .devops-agent.yml.
+
+// Known token formats
+const TOKEN_PATTERNS = [
+  { type: 'github_token', name: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{40,255})\b/g },
+  { type: 'azure_storage_key', name: 'Azure storage account key', pattern: /AccountKey=([A-Za-z0-9+/]{86}==)/g },
+  { type: 'azure_sas_token', name: 'Azure SAS token', pattern: /[?&]sig=([A-Za-z0-9%+/]{43,}(?:%3D|=)?)/g },
+  { type: 'azure_client_secret', name: 'Azure AD client secret', pattern: /\b[A-Za-z0-9_~.-]{3}\dQ~[A-Za-z0-9_~.-]{31,34}\b/g },
+  { type: 'docker_hub_token', name: 'Docker Hub access token', pattern: /\bdckr_pat_[A-Za-z0-9_-]{27,}\b/g },
+  { type: 'openai_api_key', name: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,}\b|\bsk-(?:proj-|svcacct-)[A-Za-z0-9_-]{40,}\b|\bsk-[A-Za-z0-9]{48}\b/g },
+  { type: 'slack_webhook', name: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows|triggers)\/[A-Za-z0-9_/-]{20,}/g },
+  { type: 'slack_token', name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'aws_access_key', name: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'private_key', name: 'private key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g },
+  {
+    type: 'credential_assignment',
+    name: 'hard-coded credential',
+    // Only the quoted value is the secret
+    pattern: /\b(?:api[_-]?key|secret|password|passwd|pwd|access[_-]?token|auth[_-]?token|client[_-]?secret)\b["']?\s*[:=]\s*["']([^"'\s$<{]{8,})["']/gi
+  }
+];
+
+// Candidate values for the entropy check: quoted literals and assigned values
+const ENTROPY_CANDIDATE = /["'`]([A-Za-z0-9+/=_.~-]{20,})["'`]|[:=]\s*([A-Za-z0-9+/=_.~-]{20,})\s*$/g;
+
+// Subresource integrity and other algorithm-prefixed digests are random by design
+const HASH_DIGEST = /^sha(?:256|384|512)-[A-Za-z0-9+/=]+$/;
+
+const DEFAULT_OPTIONS = {
+  entropy_threshold: 4.5,
+  hex_entropy_threshold: 3.5,
+  min_length: 20,
+  allowlist: []
+};
+
+// Lockfiles are full of integrity hashes that look random
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|poetry\.lock|Pipfile\.lock|Gemfile\.lock|composer\.lock|Cargo\.lock|go\.sum)$/;
+
+const shannonEntropy = (value) => {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+};
+
+const fingerprint = (value) => crypto.createHash('sha256').update(value).digest('hex').substring(0, 16);
+
+// Keeps the first four characters so a reviewer can recognise the credential
+const redact = (value) => `${value.substring(0, 4)}${'*'.repeat(Math.min(Math.max(value.length - 4, 4), 16))}`;
+
+const isHighEntropy = (value, options) => {
+  if (value.length < options.min_length) {
+    return null;
+  }
+  if (/^[0-9a-f]+$/i.test(value)) {
+    // Commit SHAs are everywhere in CI configuration
+    if (value.length === 40) {
+      return null;
+    }
+    const entropy = shannonEntropy(value);
+    return entropy >= options.hex_entropy_threshold ? entropy : null;
+  }
+  // Identifiers, paths and words are long but not random
+  if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value) || /^[a-z_.-]+$/i.test(value) || /\.{2}|\/\//.test(value)) {
+    return null;
+  }
+  const entropy = shannonEntropy(value);
+  return entropy >= options.entropy_threshold ? entropy : null;
+};
+
+// Scans `lines` ([{ line, content }]) of one file. Returns findings of
+// { file, line, type, name, detector, redacted, fingerprint, snippet }.
+function scanLines(file, lines, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  if (SKIPPED_FILES.test(file)) {
+    return [];
+  }
+
+  const findings = [];
+  for (const { line, content } of lines) {
+    const secrets = [];
+
+    for (const token of TOKEN_PATTERNS) {
+      for (const match of content.matchAll(token.pattern)) {
+        secrets.push({ type: token.type, name: token.name, detector: 'pattern', value: match[1] || match[0] });
+      }
+    }
+
+    for (const match of content.matchAll(ENTROPY_CANDIDATE)) {
+      const value = match[1] || match[2];
+      if (HASH_DIGEST.test(value) || secrets.some(secret => secret.value.includes(value) || value.includes(secret.value))) {
+        continue;
+      }
+      const entropy = isHighEntropy(value, options);
+      if (entropy) {
+        secrets.push({
+          type: 'high_entropy_string',
+          name: 'high-entropy string',
+          detector: 'entropy',
+          value,
+          entropy: Math.round(entropy * 100) / 100
+        });
+      }
+    }
+
+    for (const { value, ...secret } of secrets) {
+      const id = fingerprint(value);
+      if (options.allowlist.includes(id)) {
+        continue;
+      }
+      findings.push({
+        file,
+        line,
+        ...secret,
+        redacted: redact(value),
+        fingerprint: id,
+        snippet: secrets.reduce((text, other) => text.split(other.value).join(redact(other.value)), content.trim()).substring(0, 200)
+      });
+    }
+  }
+  return findings;
+}
+
+// Scans the added lines of parsed diff files (see diffParser.js)
+const scanDiffFiles = (files, options) => files.flatMap(file => scanLines(
+  file.file,
+  file.hunks.flatMap(hunk => hunk.lines
+    .filter(line => line.type === 'add')
+    .map(line => ({ line: line.new_line, content: line.content }))),
+  options
+));
+
+module.exports = {
+  scanLines,
+  scanDiffFiles,
+  shannonEntropy,
+  redact,
+  fingerprint,
+  TOKEN_PATTERNS,
+  DEFAULT_OPTIONS
+};
@@ -9,6 +9,18 @@ const buildPredictorAgent = require('../agents/buildPredictorAgent');
 const dockerHandlerAgent = require('../agents/dockerHandlerAgent');
 const deployAgent = require('../agents/deployAgent');
 const monitorAgent = require('../agents/monitorAgent');
+const secretScanAgent = require('../agents/secretScanAgent');
+const aksProvisioner = require('../utils/aksProvisioner');
+const runStore = require('../store/runStore');
+const jobManager = require('../jobs/jobManager');
+const pipelineEvents = require('../events/pipelineEvents');
+const checkRuns = require('../github/checkRuns');
+const { repositoryParts } = require('../scm');
+const { resolveCommitSha, withCodeReviewHandoff, withBuildPredictionHandoff } = require('../pipeline/handoff');
+const validate = require('../middleware/validate');
+const patchUpload = require('../middleware/patchUpload');
+const { schemas } = require('../validation/agentSchemas');
+const { toJsonSchema } = require('../validation/jsonSchema');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -16,27 +28,108 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// Code Review Agent
-router.post('/code-review', async (req, res) => {
+// Record the agent call as a stage of the pipeline run named by pipeline_id, if any,
+// so runs driven from n8n show up in the run history and event stream as well.
+// `fn` gets the progress callback for GET /pipelines/:id/events. The stage is
+// also reported as a GitHub check run on the commit.
+const runAgent = (req, stage, fn) => {
+  const params = req.body;
+  return checkRuns.track(stage, {
+    repository: params.repository,
+    head_sha: resolveCommitSha(params),
+    pipeline_id: params.pipeline_id
+  }, () => recordAgentStage(params, stage, fn));
+};
+
+const recordAgentStage = async (params, stage, fn) => {
+  if (!params.pipeline_id) {
+    return fn();
+  }
+
+  const onProgress = pipelineEvents.forStage(params.pipeline_id, stage);
+  const startedAt = new Date();
+  onProgress('stage.started', {});
+
+  try {
+    const result = await runStore.recordStage(params.pipeline_id, stage, params, () => fn(onProgress), {
+      trigger: 'agent',
+      repository: params.repository,
+      pr_number: params.pr_number,
+      branch: params.branch,
+      commit_sha: resolveCommitSha(params),
+      environment: params.environment
+    });
+
+    onProgress('stage.succeeded', { duration_ms: new Date() - startedAt });
+
+    // Monitoring is the last step of the pipeline
+    if (stage === 'monitor') {
+      await runStore.finishRun(params.pipeline_id, { status: 'success', output: { deployment_id: params.deployment_id } });
+      pipelineEvents.publish(params.pipeline_id, 'pipeline.finished', { status: 'success' });
+    }
+    return result;
+  } catch (error) {
+    onProgress('stage.failed', { error: error.message, duration_ms: new Date() - startedAt });
+    await runStore.finishRun(params.pipeline_id, { status: 'failed', error: `${stage}: ${error.message}` });
+    pipelineEvents.publish(params.pipeline_id, 'pipeline.finished', { status: 'failed' });
+    throw error;
+  }
+};
+
+// With ?async=true run the agent as a background job and answer 202 with the job id
+// (poll GET /jobs/:id); otherwise wait for the result. `fn` gets the job's AbortSignal.
+const respond = async (req, res, jobType, fn, statusFor = () => 200) => {
+  if (['true', '1'].includes(String(req.query.async))) {
+    const job = jobManager.submit(jobType, req.body, fn);
+    return res.status(202).json(jobManager.toResponse(job));
+  }
+
+  const result = await fn();
+  return res.status(statusFor(result)).json(result);
+};
+
+// Code Review Agent. Also takes multipart/form-data with the diff as a `patch` file.
+router.post('/code-review', patchUpload, validate(schemas['code-review']), async (req, res) => {
   try {
     logger.info('Code review request received', { repository: req.body.repository });
-    const result = await codeReviewAgent.analyze(req.body);
-    res.json(result);
+    await respond(req, res, 'code-review', async (signal) => {
+      const result = await runAgent(req, 'code-review', (onProgress) => codeReviewAgent.analyze({ ...req.body, signal, onProgress }));
+      
+      // Add required fields for the next agent in the pipeline
+      return withCodeReviewHandoff(req.body, result);
+    });
   } catch (error) {
     logger.error('Code review failed:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Code review failed',
       message: error.message
     });
   }
 });
 
+// Secret Scan Agent
+router.post('/secret-scan', validate(schemas['secret-scan']), async (req, res) => {
+  try {
+    logger.info('Secret scan request received', { repository: req.body.repository });
+    await respond(req, res, 'secret-scan', (signal) =>
+      runAgent(req, 'secret-scan', () => secretScanAgent.scan({ ...req.body, signal }))
+    );
+  } catch (error) {
+    logger.error('Secret scan failed:', error);
+    res.status(error.status || 500).json({
+      error: 'Secret scan failed',
+      message: error.message
+    });
+  }
+});
+
 // Test Writer Agent
-router.post('/test-writer', async (req, res) => {
+router.post('/test-writer', validate(schemas['test-writer']), async (req, res) => {
   try {
     logger.info('Test writer request received', { repository: req.body.repository });
-    const result = await testWriterAgent.generateTests(req.body);
-    res.json(result);
+    await respond(req, res, 'test-writer', (signal) =>
+      runAgent(req, 'test-writer', (onProgress) => testWriterAgent.generateTests({ ...req.body, signal, onProgress }))
+    );
   } catch (error) {
     logger.error('Test generation failed:', error);
     res.status(500).json({
@@ -47,11 +140,15 @@ router.post('/test-writer', async (req, res) => {
 });
 
 // Build Predictor Agent
-router.post('/build-predictor', async (req, res) => {
+router.post('/build-predictor', validate(schemas['build-predictor']), async (req, res) => {
   try {
     logger.info('Build prediction request received', { repository: req.body.repository });
-    const result = await buildPredictorAgent.predict(req.body);
-    res.json(result);
+    await respond(req, res, 'build-predictor', async (signal) => {
+      const result = await runAgent(req, 'build-predictor', (onProgress) => buildPredictorAgent.predict({ ...req.body, signal, onProgress }));
+
+      // Add required fields for the next agent in the pipeline
+      return withBuildPredictionHandoff(req.body, result);
+    });
   } catch (error) {
     logger.error('Build prediction failed:', error);
     res.status(500).json({
@@ -62,11 +159,13 @@ router.post('/build-predictor', async (req, res) => {
 });
 
 // Docker/K8s Handler Agent
-router.post('/docker-handler', async (req, res) => {
+router.post('/docker-handler', validate(schemas['docker-handler']), async (req, res) => {
   try {
     logger.info('Docker handler request received', { repository: req.body.repository });
-    const result = await dockerHandlerAgent.handle(req.body);
-    res.json(result);
+    await respond(req, res, 'docker-handler', (signal) =>
+      runAgent(req, 'docker-handler', (onProgress) =>
+        dockerHandlerAgent.handle({ ...req.body, commit_sha: resolveCommitSha(req.body), signal, onProgress }))
+    );
   } catch (error) {
     logger.error('Docker handling failed:', error);
     res.status(500).json({
@@ -77,11 +176,12 @@ router.post('/docker-handler', async (req, res) => {
 });
 
 // Deploy Agent
-router.post('/deploy', async (req, res) => {
+router.post('/deploy', validate(schemas.deploy), async (req, res) => {
   try {
     logger.info('Deploy request received', { repository: req.body.repository });
-    const result = await deployAgent.deploy(req.body);
-    res.json(result);
+    await respond(req, res, 'deploy', (signal) =>
+      runAgent(req, 'deploy', (onProgress) => deployAgent.deploy({ ...req.body, signal, onProgress }))
+    );
   } catch (error) {
     logger.error('Deployment failed:', error);
     res.status(500).json({
@@ -92,11 +192,12 @@ router.post('/deploy', async (req, res) => {
 });
 
 // Monitor Agent
-router.post('/monitor', async (req, res) => {
+router.post('/monitor', validate(schemas.monitor), async (req, res) => {
   try {
     logger.info('Monitor request received', { deployment_id: req.body.deployment_id });
-    const result = await monitorAgent.monitor(req.body);
-    res.json(result);
+    await respond(req, res, 'monitor', (signal) =>
+      runAgent(req, 'monitor', (onProgress) => monitorAgent.monitor({ ...req.body, signal, onProgress }))
+    );
   } catch (error) {
     logger.error('Monitoring failed:', error);
     res.status(500).json({
@@ -106,4 +207,115 @@ router.post('/monitor', async (req, res) => {
   }
 });
 
+// AKS Provisioner
+router.post('/provision-aks', validate(schemas['provision-aks']), async (req, res) => {
+  try {
+    // Types are already coerced and defaults applied by the schema
+    const { repository, environment, node_count, vm_size, wait_for_ready } = req.body;
+    const { repo } = repositoryParts(repository);
+    
+    // Create a valid cluster name based on environment and repo
+    const clusterName = `${environment}-${repo.toLowerCase().replace(/[^a-z0-9]/g, '-')}`;
+    
+    logger.info(`Provisioning AKS cluster: ${clusterName} with ${node_count} nodes of size ${vm_size}`);
+    
+    await respond(
+      req,
+      res,
+      'provision-aks',
+      (signal) => runAgent(req, 'provision-aks', () => provisionAks({
+        clusterName,
+        repository,
+        environment,
+        node_count,
+        vm_size,
+        wait_for_ready
+      }, signal)),
+      // Only a cluster we actually waited for is complete; everything else is still in progress
+      (result) => (wait_for_ready && result.deployment_ready && !result.mock ? 200 : 202)
+    );
+  } catch (err) {
+    logger.error('AKS provisioning failed:', err);
+    return res.status(500).json({
+      error: 'AKS provisioning failed',
+      message: err.message
+    });
+  }
+});
+
+// Request body schemas of the agent routes as JSON Schema
+router.get('/schemas', (req, res) => {
+  const result = {};
+  for (const [name, schema] of Object.entries(schemas)) {
+    result[name] = toJsonSchema(schema, `POST /agent/${name}`);
+  }
+  res.json(result);
+});
+
+router.get('/schemas/:name', (req, res) => {
+  const schema = schemas[req.params.name];
+  if (!schema) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No schema for agent ${req.params.name}`
+    });
+  }
+  res.json(toJsonSchema(schema, `POST /agent/${req.params.name}`));
+});
+
+async function provisionAks({ clusterName, repository, environment, node_count, vm_size, wait_for_ready }, signal) {
+  // Start cluster creation
+  const clusterResult = await aksProvisioner.createAksCluster(clusterName, node_count, vm_size);
+  
+  // Wait for cluster to be ready if requested
+  if (wait_for_ready && !clusterResult.mock) {
+    try {
+      logger.info(`Waiting for AKS cluster ${clusterName} to be ready...`);
+      // Wait for cluster readiness (timeout after 5 minutes for POC)
+      await aksProvisioner.waitForClusterReady(clusterName, 5, signal);
+      
+      // Get cluster credentials
+      const credentialsResult = await aksProvisioner.getAksCredentials(clusterName);
+      
+      return {
+        status: 'success',
+        cluster_name: clusterName,
+        repository: repository,
+        environment: environment,
+        provisioning_state: 'Succeeded',
+        kubeconfig_available: !!credentialsResult.kubeconfig,
+        deployment_ready: true,
+        mock: credentialsResult.mock
+      };
+    } catch (waitError) {
+      // A cancelled job should end as cancelled, not as a pending cluster
+      if (signal?.aborted) {
+        throw waitError;
+      }
+      logger.error(`Cluster readiness timeout: ${waitError.message}`);
+      return {
+        status: 'pending',
+        cluster_name: clusterName,
+        repository: repository,
+        environment: environment,
+        message: `Cluster creation initiated but not yet ready: ${waitError.message}`,
+        error: waitError.message,
+        deployment_ready: false
+      };
+    }
+  }
+  
+  // Return immediate response if not waiting for readiness
+  return {
+    status: clusterResult.mock ? 'success' : 'pending',
+    cluster_name: clusterName,
+    repository: repository,
+    environment: environment,
+    provisioning_state: clusterResult.provisioning_state,
+    estimated_time_minutes: clusterResult.estimated_time_minutes,
+    mock: clusterResult.mock,
+    deployment_ready: clusterResult.mock // Only mark as ready if using mock mode
+  };
+}
+
 module.exports = router;
\ No newline at end of file
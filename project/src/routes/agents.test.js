@@ -0,0 +1,115 @@
+const http = require('http');
+const express = require('express');
+
+const router = require('./agents');
+const buildPredictorAgent = require('../agents/buildPredictorAgent');
+const checkRuns = require('../github/checkRuns');
+const { schemas } = require('../validation/agentSchemas');
+
+const SHA = '245cd4a9c1f1e2d3b4a5968778695a4b3c2d1e0f';
+
+let server;
+let baseUrl;
+
+const get = (path) => new Promise((resolve, reject) => {
+  http.get(`${baseUrl}${path}`, (response) => {
+    let text = '';
+    response.on('data', (chunk) => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+  }).on('error', reject);
+});
+
+const post = (path, body) => new Promise((resolve, reject) => {
+  const request = http.request(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  }, (response) => {
+    let text = '';
+    response.on('data', (chunk) => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+  });
+  request.on('error', reject);
+  request.end(JSON.stringify(body));
+});
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/agent', router);
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('GET /agent/schemas', () => {
+  test('lists the JSON Schema of every agent route', async () => {
+    const response = await get('/agent/schemas');
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body)).toEqual(Object.keys(schemas));
+    expect(response.body.deploy.title).toBe('POST /agent/deploy');
+  });
+
+  test('serves the schema of one agent', async () => {
+    const response = await get('/agent/schemas/provision-aks');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'POST /agent/provision-aks',
+      type: 'object',
+      required: ['repository'],
+      additionalProperties: true
+    });
+    expect(response.body.properties.node_count).toEqual({
+      type: 'integer',
+      description: 'Number of cluster nodes',
+      minimum: 1,
+      maximum: 100,
+      default: 1
+    });
+    expect(response.body.properties.environment).toMatchObject({ enum: ['development', 'test', 'staging', 'production'], default: 'staging' });
+  });
+
+  test('answers 404 for an unknown agent', async () => {
+    expect(await get('/agent/schemas/unknown')).toEqual({
+      status: 404,
+      body: { error: 'Not Found', message: 'No schema for agent unknown' }
+    });
+  });
+});
+
+describe('POST /agent/build-predictor', () => {
+  beforeEach(() => {
+    // No check runs; the stage just runs
+    jest.spyOn(checkRuns, 'track').mockImplementation((stage, params, fn) => fn());
+    jest.spyOn(buildPredictorAgent, 'predict').mockResolvedValue({ prediction: 'success', confidence: 90 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('adds the fields the docker handler needs to the prediction', async () => {
+    const response = await post('/agent/build-predictor', {
+      repository: 'octo-org/sample-app',
+      code_review_result: { commit_sha: SHA, approved: true }
+    });
+
+    expect(response).toEqual({
+      status: 200,
+      body: {
+        prediction: 'success',
+        confidence: 90,
+        repository: 'octo-org/sample-app',
+        commit_sha: SHA,
+        branch: 'main'
+      }
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUiDist = require('swagger-ui-dist');
+
+const { buildOpenApiDocument } = require('../docs/openapi');
+
+// Built once; the document only changes with the code
+const openApiDocument = buildOpenApiDocument();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Swagger UI is served from the swagger-ui-dist package, so the docs work
+// without internet access. Only its initializer is replaced to load our spec.
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(`window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`);
+});
+
+router.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: 'index.html' }));
+
+module.exports = router;
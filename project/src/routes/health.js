@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 
+const llmClient = require('../llm/llmClient');
+
 // Health check endpoint
 router.get('/', (req, res) => {
   res.json({
@@ -16,7 +18,7 @@ router.get('/', (req, res) => {
 router.get('/ready', (req, res) => {
   // Add any readiness checks here (database connections, external services, etc.)
   const checks = {
-    llm_service: process.env.OPENAI_API_KEY ? 'ready' : 'not_configured',
+    llm_service: llmClient.isConfigured() ? 'ready' : 'not_configured',
     github_integration: process.env.GITHUB_TOKEN ? 'ready' : 'not_configured',
     docker_service: 'ready', // Add actual Docker connectivity check
     kubernetes_service: 'ready' // Add actual K8s connectivity check
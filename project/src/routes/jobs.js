@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const jobManager = require('../jobs/jobManager');
+
+// Job status and result
+router.get('/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Job ${req.params.id} not found`
+    });
+  }
+  res.json(jobManager.toResponse(job));
+});
+
+// Cancel a running job
+router.delete('/:id', (req, res) => {
+  const job = jobManager.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Job ${req.params.id} not found`
+    });
+  }
+  res.json(jobManager.toResponse(job));
+});
+
+module.exports = router;
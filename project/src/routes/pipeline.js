@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+
+const pipelineOrchestrator = require('../pipeline/pipelineOrchestrator');
+const jobManager = require('../jobs/jobManager');
+const validate = require('../middleware/validate');
+const { pipelineRun } = require('../validation/agentSchemas');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Run the full agent chain server-side
+router.post('/run', validate(pipelineRun), async (req, res) => {
+  try {
+    const params = req.body;
+
+    logger.info('Pipeline run request received', { repository: params.repository });
+
+    // A full run includes monitoring, so callers with short HTTP timeouts should poll a job instead
+    if (['true', '1'].includes(String(req.query.async))) {
+      const job = jobManager.submit('pipeline', params, (signal) => pipelineOrchestrator.run({ ...params, signal }));
+      return res.status(202).json(jobManager.toResponse(job));
+    }
+
+    const result = await pipelineOrchestrator.run(params);
+
+    res.status(result.status === 'failed' ? 500 : 200).json(result);
+  } catch (error) {
+    logger.error('Pipeline run failed:', error);
+    res.status(500).json({
+      error: 'Pipeline run failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
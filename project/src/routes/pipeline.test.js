@@ -0,0 +1,98 @@
+const http = require('http');
+const express = require('express');
+
+const pipelineOrchestrator = require('../pipeline/pipelineOrchestrator');
+const router = require('./pipeline');
+
+const SHA = '245cd4a9c1f1e2d3b4a5968778695a4b3c2d1e0f';
+
+let server;
+let baseUrl;
+
+const post = (body) => new Promise((resolve, reject) => {
+  const request = http.request(`${baseUrl}/pipeline/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  }, (response) => {
+    let text = '';
+    response.on('data', (chunk) => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+  });
+  request.on('error', reject);
+  request.end(JSON.stringify(body));
+});
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/pipeline', router);
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+beforeEach(() => {
+  jest.spyOn(pipelineOrchestrator, 'run').mockResolvedValue({ id: 'run-1', status: 'success', stages: [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('POST /pipeline/run', () => {
+  test('runs the pipeline with the validated body', async () => {
+    const response = await post({ repository: 'octo-org/sample-app', head_sha: SHA, stages: ['code-review', 'build-predictor'], pr_number: '42' });
+
+    expect(response).toEqual({ status: 200, body: { id: 'run-1', status: 'success', stages: [] } });
+    expect(pipelineOrchestrator.run).toHaveBeenCalledWith({
+      repository: 'octo-org/sample-app',
+      head_sha: SHA,
+      pr_number: 42,
+      environment: 'staging',
+      stages: ['code-review', 'build-predictor']
+    });
+  });
+
+  test('takes the commit from a supplied stage result', async () => {
+    const response = await post({ repository: 'octo-org/sample-app', build_prediction: { commit_sha: SHA }, stages: ['docker-handler'] });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('answers 400 for malformed stages and pipeline ids instead of failing the run', async () => {
+    const response = await post({ repository: 'octo-org/sample-app', head_sha: SHA, stages: 'deploy', pipeline_id: '../runs' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ error: 'Validation failed', message: 'Request body has 2 invalid fields' });
+    expect(response.body.details.map(detail => [detail.field, detail.type])).toEqual([
+      ['pipeline_id', 'string.pattern.name'],
+      ['stages', 'array.base']
+    ]);
+    expect(pipelineOrchestrator.run).not.toHaveBeenCalled();
+  });
+
+  test('answers 400 for unknown or repeated stages', async () => {
+    const response = await post({ repository: 'octo-org/sample-app', head_sha: SHA, stages: ['deploy', 'deploy', 'lint'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => [detail.field, detail.type])).toEqual([
+      ['stages.2', 'any.only'],
+      ['stages.1', 'array.unique']
+    ]);
+  });
+
+  test('needs the repository and a commit or diff_url', async () => {
+    const response = await post({ pr_number: 42 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      { field: 'repository', message: '"repository" is required', type: 'any.required' },
+      { field: '', message: 'Either commit_sha/head_sha or diff_url is required', type: 'object.missing' }
+    ]);
+  });
+});
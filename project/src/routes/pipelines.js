@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+
+const runStore = require('../store/runStore');
+const pipelineEvents = require('../events/pipelineEvents');
+
+// SSE comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Final run statuses (see pipelineOrchestrator.js); anything else is still running
+const TERMINAL_STATUSES = ['success', 'failed', 'cancelled', 'rejected'];
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// List pipeline runs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { repository, pr_number, status, limit, offset } = req.query;
+    const result = await runStore.listRuns({ repository, pr_number, status, limit, offset });
+    res.json(result);
+  } catch (error) {
+    logger.error('Listing pipeline runs failed:', error);
+    res.status(500).json({
+      error: 'Listing pipeline runs failed',
+      message: error.message
+    });
+  }
+});
+
+// Single pipeline run with all stages
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await runStore.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Pipeline run ${req.params.id} not found`
+      });
+    }
+    res.json(run);
+  } catch (error) {
+    logger.error('Fetching pipeline run failed:', error);
+    res.status(500).json({
+      error: 'Fetching pipeline run failed',
+      message: error.message
+    });
+  }
+});
+
+// Single stage of a pipeline run, including its input and output
+router.get('/:id/stages/:stage', async (req, res) => {
+  try {
+    const stage = await runStore.getStage(req.params.id, req.params.stage);
+    if (!stage) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Stage ${req.params.stage} not found in pipeline run ${req.params.id}`
+      });
+    }
+    res.json(stage);
+  } catch (error) {
+    logger.error('Fetching pipeline stage failed:', error);
+    res.status(500).json({
+      error: 'Fetching pipeline stage failed',
+      message: error.message
+    });
+  }
+});
+
+// Live progress of a pipeline run as Server-Sent Events. Events already published
+// are replayed first (after Last-Event-ID on reconnect); the stream ends with
+// pipeline.finished.
+router.get('/:id/events', async (req, res) => {
+  const pipelineId = req.params.id;
+
+  let run;
+  try {
+    run = await runStore.getRun(pipelineId);
+  } catch (error) {
+    logger.error('Fetching pipeline run failed:', error);
+    return res.status(500).json({
+      error: 'Fetching pipeline run failed',
+      message: error.message
+    });
+  }
+
+  if (!run && !pipelineEvents.has(pipelineId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Pipeline run ${pipelineId} not found`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // A run from before the server (re)started has no events left in memory;
+  // report its final state so clients don't wait forever. A run still stored
+  // as running was cut off by the restart and will never finish.
+  if (!pipelineEvents.has(pipelineId)) {
+    const ended = TERMINAL_STATUSES.includes(run.status);
+    send({
+      id: 1,
+      pipeline_id: pipelineId,
+      type: ended ? 'pipeline.finished' : 'pipeline.interrupted',
+      stage: null,
+      timestamp: run.finished_at || new Date().toISOString(),
+      data: ended
+        ? { status: run.status, duration_ms: run.duration_ms }
+        : { status: run.status, reason: 'The server restarted while the run was in progress' }
+    });
+    return res.end();
+  }
+
+  let finished = false;
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id || '0', 10) || 0;
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const forward = (event) => {
+    if (finished) {
+      return;
+    }
+    send(event);
+    if (event.type === 'pipeline.finished') {
+      finished = true;
+      close();
+      res.end();
+    }
+  };
+
+  // Subscribe before replaying so nothing published in between is lost;
+  // ids already replayed are skipped
+  let replayedUpTo = lastEventId;
+  const unsubscribe = pipelineEvents.subscribe(pipelineId, (event) => {
+    if (event.id > replayedUpTo) {
+      forward(event);
+    }
+  });
+
+  for (const event of pipelineEvents.history(pipelineId, lastEventId)) {
+    replayedUpTo = event.id;
+    forward(event);
+  }
+
+  req.on('close', close);
+});
+
+module.exports = router;
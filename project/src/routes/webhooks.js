@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const authMiddleware = require('../middleware/auth');
+const pipelineOrchestrator = require('../pipeline/pipelineOrchestrator');
+const jobManager = require('../jobs/jobManager');
+const deliveryStore = require('../store/deliveryStore');
+const { verifySignature, validatePayload, planDispatch } = require('../webhooks/githubWebhook');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Start the pipeline for a delivery in the background; GitHub gives up on
+// webhook responses after 10 seconds
+const dispatch = (delivery, { dryRun = false } = {}) => {
+  const plan = planDispatch(delivery.event, delivery.payload);
+  if (!plan) {
+    return { status: 'ignored', reason: `${delivery.event}${delivery.payload?.action ? `.${delivery.payload.action}` : ''} is not handled` };
+  }
+
+  if (dryRun) {
+    return { status: 'planned', reason: plan.reason, stages: plan.params.stages, params: plan.params };
+  }
+
+  const params = { ...plan.params, trigger: 'webhook', delivery_id: delivery.id };
+  const job = jobManager.submit('pipeline', params, (signal) => pipelineOrchestrator.run({ ...params, signal }));
+  logger.info(`Delivery ${delivery.id} (${plan.reason}) dispatched as job ${job.id}`);
+
+  return { status: 'dispatched', reason: plan.reason, stages: plan.params.stages, job_id: job.id };
+};
+
+// GitHub webhook receiver, authenticated by X-Hub-Signature-256 instead of a bearer token
+router.post('/github', async (req, res) => {
+  try {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      logger.error('GITHUB_WEBHOOK_SECRET is not configured, rejecting webhook');
+      return res.status(500).json({
+        error: 'Webhook not configured',
+        message: 'GITHUB_WEBHOOK_SECRET is not set'
+      });
+    }
+
+    if (!verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), secret)) {
+      logger.warn('Rejected GitHub webhook with invalid signature');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid X-Hub-Signature-256'
+      });
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const delivery = {
+      id: req.get('X-GitHub-Delivery') || uuidv4(),
+      event,
+      received_at: new Date().toISOString(),
+      payload: req.body
+    };
+
+    if (event === 'ping') {
+      return res.json({ status: 'pong', delivery_id: delivery.id });
+    }
+
+    // GitHub redelivers with the same X-GitHub-Delivery id; answer with what the
+    // first delivery did instead of starting the pipeline again
+    const recorded = await deliveryStore.get(delivery.id);
+    if (recorded?.dispatch) {
+      logger.info(`Delivery ${delivery.id} was already handled (${recorded.dispatch.status})`);
+      return res.status(recorded.dispatch.status === 'rejected' ? 400 : 200).json({
+        delivery_id: recorded.id,
+        event: recorded.event,
+        duplicate: true,
+        ...recorded.dispatch
+      });
+    }
+
+    // Recorded before anything else can fail, so every verified delivery can be inspected and replayed
+    delivery.dispatch = null;
+    await deliveryStore.save(delivery);
+
+    const invalid = validatePayload(event, delivery.payload);
+    if (invalid) {
+      logger.warn(`Rejected ${event} delivery ${delivery.id}: ${invalid}`);
+      delivery.dispatch = { status: 'rejected', reason: `Invalid ${event} payload: ${invalid}` };
+      await deliveryStore.save(delivery);
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: delivery.dispatch.reason,
+        delivery_id: delivery.id,
+        event
+      });
+    }
+
+    delivery.dispatch = dispatch(delivery);
+    await deliveryStore.save(delivery);
+
+    res.status(delivery.dispatch.status === 'dispatched' ? 202 : 200).json({
+      delivery_id: delivery.id,
+      event,
+      ...delivery.dispatch
+    });
+  } catch (error) {
+    logger.error('GitHub webhook handling failed:', error);
+    res.status(500).json({
+      error: 'Webhook handling failed',
+      message: error.message
+    });
+  }
+});
+
+// Recorded deliveries
+router.get('/github/deliveries', authMiddleware, async (req, res) => {
+  try {
+    res.json({ deliveries: await deliveryStore.list() });
+  } catch (error) {
+    logger.error('Listing webhook deliveries failed:', error);
+    res.status(500).json({
+      error: 'Listing webhook deliveries failed',
+      message: error.message
+    });
+  }
+});
+
+router.get('/github/deliveries/:id', authMiddleware, async (req, res) => {
+  try {
+    const delivery = await deliveryStore.get(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Delivery ${req.params.id} not found`
+      });
+    }
+    res.json(delivery);
+  } catch (error) {
+    logger.error('Fetching webhook delivery failed:', error);
+    res.status(500).json({
+      error: 'Fetching webhook delivery failed',
+      message: error.message
+    });
+  }
+});
+
+// Replay a recorded delivery; ?dry_run=true only reports what would run
+router.post('/github/deliveries/:id/replay', authMiddleware, async (req, res) => {
+  try {
+    const delivery = await deliveryStore.get(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Delivery ${req.params.id} not found`
+      });
+    }
+
+    const invalid = validatePayload(delivery.event, delivery.payload);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid ${delivery.event} payload: ${invalid}`,
+        delivery_id: delivery.id
+      });
+    }
+
+    const dryRun = ['true', '1'].includes(String(req.query.dry_run));
+    logger.info(`Replaying delivery ${delivery.id} (${delivery.event})${dryRun ? ' as dry run' : ''}`);
+    const result = dispatch(delivery, { dryRun });
+
+    res.status(result.status === 'dispatched' ? 202 : 200).json({
+      delivery_id: delivery.id,
+      event: delivery.event,
+      replayed: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Webhook replay failed:', error);
+    res.status(500).json({
+      error: 'Webhook replay failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
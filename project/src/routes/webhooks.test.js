@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+
+const SECRET = 'webhook-test-secret';
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'github');
+
+process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+process.env.WEBHOOK_DELIVERY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-deliveries-'));
+
+// Pipelines are not started; the tests only check what would be dispatched
+jest.mock('../jobs/jobManager', () => ({
+  submit: jest.fn(() => ({ id: 'job-1' }))
+}));
+
+const jobManager = require('../jobs/jobManager');
+const deliveryStore = require('../store/deliveryStore');
+const router = require('./webhooks');
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+let server;
+let baseUrl;
+
+// Signs and posts `payload` the way GitHub does
+const deliver = (event, payload, deliveryId) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(payload);
+  const request = http.request(`${baseUrl}/webhooks/github`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': deliveryId,
+      'X-Hub-Signature-256': `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`
+    }
+  }, (response) => {
+    let text = '';
+    response.on('data', (chunk) => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/webhooks', router);
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  fs.rmSync(process.env.WEBHOOK_DELIVERY_DIR, { recursive: true, force: true });
+  server.close(done);
+});
+
+beforeEach(() => {
+  jobManager.submit.mockClear();
+});
+
+describe('POST /webhooks/github', () => {
+  test('dispatches a recorded pull_request.opened delivery', async () => {
+    const { event, payload } = fixture('pull_request-opened');
+    const response = await deliver(event, payload, 'delivery-opened');
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ status: 'dispatched', reason: 'pull_request.opened', job_id: 'job-1' });
+    expect(jobManager.submit).toHaveBeenCalledTimes(1);
+    expect(jobManager.submit.mock.calls[0][1]).toMatchObject({
+      repository: payload.repository.full_name,
+      pr_number: payload.number,
+      head_sha: payload.pull_request.head.sha,
+      delivery_id: 'delivery-opened'
+    });
+    expect((await deliveryStore.get('delivery-opened')).dispatch.status).toBe('dispatched');
+  });
+
+  test('answers a redelivery with the recorded result instead of dispatching again', async () => {
+    const { event, payload } = fixture('push-main');
+    const first = await deliver(event, payload, 'delivery-push');
+    const second = await deliver(event, payload, 'delivery-push');
+
+    expect(first.status).toBe(202);
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ duplicate: true, status: 'dispatched', job_id: first.body.job_id });
+    expect(jobManager.submit).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a pull_request payload without the pull request and records it', async () => {
+    const { event, payload } = fixture('pull_request-malformed');
+    const response = await deliver(event, payload, 'delivery-malformed');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/"pull_request" is required/);
+    expect(jobManager.submit).not.toHaveBeenCalled();
+
+    const recorded = await deliveryStore.get('delivery-malformed');
+    expect(recorded.payload).toEqual(payload);
+    expect(recorded.dispatch.status).toBe('rejected');
+  });
+
+  test('rejects a pull request without base and head', async () => {
+    const { event, payload } = fixture('pull_request-opened');
+    const { base, head, ...pullRequest } = payload.pull_request;
+    const response = await deliver(event, { ...payload, pull_request: pullRequest }, 'delivery-no-refs');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/pull_request\.base/);
+    expect(response.body.message).toMatch(/pull_request\.head/);
+  });
+
+  test('rejects a push without the pushed commit', async () => {
+    const { event, payload } = fixture('push-main');
+    const { after, ...withoutAfter } = payload;
+    const response = await deliver(event, withoutAfter, 'delivery-push-no-after');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/"after" is required/);
+    expect(jobManager.submit).not.toHaveBeenCalled();
+  });
+
+  test('ignores unhandled actions', async () => {
+    const { event, payload } = fixture('pull_request-opened');
+    const response = await deliver(event, { ...payload, action: 'labeled' }, 'delivery-labeled');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('ignored');
+    expect(jobManager.submit).not.toHaveBeenCalled();
+  });
+
+  test('rejects a bad signature', async () => {
+    const response = await new Promise((resolve, reject) => {
+      const request = http.request(`${baseUrl}/webhooks/github`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': 'push', 'X-Hub-Signature-256': 'sha256=0' }
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      request.on('error', reject);
+      request.end('{}');
+    });
+    expect(response).toBe(401);
+  });
+});
@@ -0,0 +1,317 @@
+const axios = require('axios');
+const { ScmProvider, fence, branchMoved, basicAuth, hostError, duration } = require('./scmProvider');
+const { changedFiles } = require('../review/diffParser');
+
+// Bitbucket Pipelines results as GitHub run conclusions
+const PIPELINE_CONCLUSIONS = {
+  SUCCESSFUL: 'success',
+  FAILED: 'failure',
+  ERROR: 'failure',
+  STOPPED: 'cancelled',
+  EXPIRED: 'cancelled'
+};
+
+const COMMIT_STATES = {
+  pending: 'INPROGRESS',
+  success: 'SUCCESSFUL',
+  failure: 'FAILED',
+  error: 'FAILED'
+};
+
+// Bitbucket Cloud (BITBUCKET_API_URL) with BITBUCKET_TOKEN, or
+// BITBUCKET_USERNAME and BITBUCKET_APP_PASSWORD. `repository` is
+// workspace/repo_slug. The review summary is a pull request comment,
+// inline comments are inline comments, and the verdict approves or
+// requests changes.
+class BitbucketProvider extends ScmProvider {
+  constructor() {
+    super('bitbucket');
+    const auth = process.env.BITBUCKET_TOKEN
+      ? { headers: { Authorization: `Bearer ${process.env.BITBUCKET_TOKEN}` } }
+      : process.env.BITBUCKET_USERNAME && {
+        auth: { username: process.env.BITBUCKET_USERNAME, password: process.env.BITBUCKET_APP_PASSWORD }
+      };
+    this.http = axios.create({
+      baseURL: (process.env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0').replace(/\/+$/, ''),
+      ...auth
+    });
+  }
+
+  repo(repository) {
+    const [workspace, slug] = repository.split('/');
+    return `/repositories/${encodeURIComponent(workspace)}/${encodeURIComponent(slug)}`;
+  }
+
+  async request(config) {
+    try {
+      return await this.http.request(config);
+    } catch (error) {
+      throw hostError('Bitbucket', error);
+    }
+  }
+
+  async text(url) {
+    const { data } = await this.request({ url, responseType: 'text', transformResponse: [body => body] });
+    return data;
+  }
+
+  // Follows the `next` links of Bitbucket's paged responses
+  async paginate(url, params = {}) {
+    const items = [];
+    let next = url;
+    let query = { ...params, pagelen: 100 };
+    while (next) {
+      const { data } = await this.request({ url: next, params: query });
+      items.push(...data.values);
+      next = data.next || null;
+      // `next` already carries the query
+      query = undefined;
+    }
+    return items;
+  }
+
+  // Pull requests only carry abbreviated hashes
+  async fullHash(repository, hash) {
+    const { data } = await this.request({ url: `${this.repo(repository)}/commit/${hash}` });
+    return data.hash;
+  }
+
+  async getRepository(repository) {
+    const { data } = await this.request({ url: this.repo(repository) });
+    return {
+      name: data.slug,
+      default_branch: data.mainbranch?.name || null,
+      language: data.language || null,
+      // Bitbucket only knows the main language
+      languages: data.language ? { [data.language]: 100 } : {},
+      size_kb: data.size ? Math.round(data.size / 1024) : null
+    };
+  }
+
+  async listCommits(repository, ref, limit = 10) {
+    const { data } = await this.request({
+      url: `${this.repo(repository)}/commits${ref ? `/${encodeURIComponent(ref)}` : ''}`,
+      params: { pagelen: limit }
+    });
+    return data.values.slice(0, limit).map(commit => ({
+      sha: commit.hash,
+      message: commit.message,
+      author: commit.author.user?.display_name || commit.author.raw,
+      date: commit.date
+    }));
+  }
+
+  async getContent(repository, path, ref) {
+    const revision = ref || (await this.getRepository(repository)).default_branch;
+    const url = `${this.repo(repository)}/src/${encodeURIComponent(revision)}/${path.split('/').map(encodeURIComponent).join('/')}`;
+
+    let meta;
+    try {
+      ({ data: meta } = await this.request({ url, params: { format: 'meta' } }));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (meta.type === 'commit_directory') {
+      const entries = await this.paginate(url);
+      return { type: 'directory', files: entries.map(entry => entry.path.split('/').pop()) };
+    }
+    return { type: 'file', content: await this.text(url) };
+  }
+
+  async getPullRequest(repository, number) {
+    const { data } = await this.request({ url: `${this.repo(repository)}/pullrequests/${number}` });
+    return {
+      number: data.id,
+      title: data.title,
+      head_sha: await this.fullHash(repository, data.source.commit.hash),
+      head_ref: data.source.branch.name,
+      head_repository: data.source.repository?.full_name === data.destination.repository?.full_name ? repository : null,
+      base_sha: await this.fullHash(repository, data.destination.commit.hash),
+      base_ref: data.destination.branch.name,
+      html_url: data.links.html.href
+    };
+  }
+
+  async getPullRequestDiff(repository, number) {
+    return this.text(`${this.repo(repository)}/pullrequests/${number}/diff`);
+  }
+
+  async listPullRequestFiles(repository, number) {
+    return changedFiles(await this.getPullRequestDiff(repository, number));
+  }
+
+  async compareDiff(repository, base, head) {
+    if (base === head) {
+      return '';
+    }
+    const { data: mergeBase } = await this.request({ url: `${this.repo(repository)}/merge-base/${head}..${base}` });
+    if (mergeBase.hash !== base) {
+      return null;
+    }
+    // Bitbucket's spec is source..destination
+    return this.text(`${this.repo(repository)}/diff/${head}..${base}`);
+  }
+
+  async createComment(repository, number, body) {
+    const { data } = await this.request({
+      method: 'POST',
+      url: `${this.repo(repository)}/pullrequests/${number}/comments`,
+      data: { content: { raw: body } }
+    });
+    return { id: data.id, html_url: data.links?.html?.href || null };
+  }
+
+  // Top-level comments of the pull request; the agent finds its own by their marker
+  async listReviews(repository, number) {
+    const comments = await this.paginate(`${this.repo(repository)}/pullrequests/${number}/comments`);
+    return comments
+      .filter(comment => !comment.inline && !comment.parent && !comment.deleted)
+      .map(comment => ({
+        id: comment.id,
+        body: comment.content.raw,
+        state: 'COMMENTED',
+        commit_id: null,
+        html_url: comment.links?.html?.href || null
+      }));
+  }
+
+  async createReview(repository, number, { body, event, comments }) {
+    const base = `${this.repo(repository)}/pullrequests/${number}`;
+
+    // The verdict first so a refused one (own pull request) posts nothing
+    if (event === 'APPROVE') {
+      await this.request({ method: 'POST', url: `${base}/approve` });
+      await this.request({ method: 'DELETE', url: `${base}/request-changes` }).catch(() => {});
+    } else {
+      await this.request({ method: 'DELETE', url: `${base}/approve` }).catch(() => {});
+      if (event === 'REQUEST_CHANGES') {
+        await this.request({ method: 'POST', url: `${base}/request-changes` });
+      }
+    }
+
+    const summary = await this.createComment(repository, number, body);
+    for (const comment of comments) {
+      await this.request({
+        method: 'POST',
+        url: `${base}/comments`,
+        data: { content: { raw: comment.body }, inline: { path: comment.path, to: comment.line } }
+      });
+    }
+
+    const states = { APPROVE: 'APPROVED', REQUEST_CHANGES: 'CHANGES_REQUESTED', COMMENT: 'COMMENTED' };
+    return { id: summary.id, state: states[event], html_url: summary.html_url };
+  }
+
+  async updateReview(repository, number, id, body) {
+    await this.request({
+      method: 'PUT',
+      url: `${this.repo(repository)}/pullrequests/${number}/comments/${id}`,
+      data: { content: { raw: body } }
+    });
+  }
+
+  async dismissReview() {
+    throw this.unsupported('Dismissing reviews');
+  }
+
+  async setCommitStatus(repository, sha, { state, context, description, target_url }) {
+    await this.request({
+      method: 'POST',
+      url: `${this.repo(repository)}/commit/${sha}/statuses/build`,
+      data: {
+        key: context.replace(/[^A-Za-z0-9_.-]+/g, '-').substring(0, 40),
+        name: context,
+        state: COMMIT_STATES[state],
+        description: description.substring(0, 255),
+        // Bitbucket requires a link
+        url: target_url || `https://bitbucket.org/${repository}/commits/${sha}`
+      }
+    });
+  }
+
+  // Bitbucket Pipelines runs, newest first
+  async listBuilds(repository, limit = 20) {
+    const { data } = await this.request({
+      url: `${this.repo(repository)}/pipelines/`,
+      params: { sort: '-created_on', pagelen: limit }
+    });
+    return data.values.map(run => ({
+      id: run.build_number,
+      status: run.state.name === 'COMPLETED' ? 'completed' : 'in_progress',
+      conclusion: run.state.result ? PIPELINE_CONCLUSIONS[run.state.result.name] || 'failure' : null,
+      created_at: run.created_on,
+      updated_at: run.completed_on || null,
+      duration: duration(run.created_on, run.completed_on),
+      head_sha: run.target?.commit?.hash || null,
+      event: run.trigger?.name || null
+    }));
+  }
+
+  async createBranch(repository, branch, sha) {
+    await this.request({
+      method: 'POST',
+      url: `${this.repo(repository)}/refs/branches`,
+      data: { name: branch, target: { hash: sha } }
+    });
+  }
+
+  // The src endpoint takes each file as a form field named after its path
+  async commitFiles(repository, { branch, parent, message, files }) {
+    const { data: tip } = await this.request({
+      url: `${this.repo(repository)}/refs/branches/${encodeURIComponent(branch)}`
+    });
+    if (tip.target.hash !== parent) {
+      throw branchMoved(branch, parent, tip.target.hash);
+    }
+
+    const form = new URLSearchParams({ message, branch, parents: parent });
+    for (const file of files) {
+      form.append(file.path, file.content);
+    }
+    const response = await this.request({ method: 'POST', url: `${this.repo(repository)}/src`, data: form });
+    // The new commit is only named in the Location header
+    const sha = (response.headers.location || '').split('/').pop();
+    return { sha, html_url: `https://bitbucket.org/${repository}/commits/${sha}` };
+  }
+
+  async createPullRequest(repository, { title, body, head, base }) {
+    const { data } = await this.request({
+      method: 'POST',
+      url: `${this.repo(repository)}/pullrequests`,
+      data: {
+        title,
+        description: body,
+        source: { branch: { name: head } },
+        destination: { branch: { name: base } }
+      }
+    });
+    return { number: data.id, html_url: data.links.html.href };
+  }
+
+  // Bitbucket has no pull request refs; the head branch is fetched, which
+  // only works for pull requests from the same repository
+  cloneSource(repository, pr) {
+    let auth = null;
+    if (process.env.BITBUCKET_TOKEN) {
+      auth = basicAuth('x-token-auth', process.env.BITBUCKET_TOKEN);
+    } else if (process.env.BITBUCKET_USERNAME) {
+      auth = basicAuth(process.env.BITBUCKET_USERNAME, process.env.BITBUCKET_APP_PASSWORD);
+    }
+    return { url: `https://bitbucket.org/${repository}.git`, ref: `refs/heads/${pr.head_ref}`, auth_header: auth };
+  }
+
+  fileUrl(repository, path, ref) {
+    return `https://bitbucket.org/${repository}/src/${ref}/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  // Bitbucket Cloud has no suggested changes; the replacement is shown as code
+  suggestionBlock(code) {
+    return `Suggested change:\n${fence(code)}\n${code}${code ? '\n' : ''}${fence(code)}`;
+  }
+}
+
+module.exports = BitbucketProvider;
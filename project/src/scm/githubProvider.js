@@ -0,0 +1,261 @@
+const { ScmProvider, branchMoved, basicAuth, duration } = require('./scmProvider');
+const { createOctokit, webUrl } = require('../github/client');
+
+// Review state GitHub reports for each submitted event
+const REVIEW_STATES = {
+  APPROVE: 'APPROVED',
+  REQUEST_CHANGES: 'CHANGES_REQUESTED',
+  COMMENT: 'COMMENTED'
+};
+
+// GitHub and GitHub Enterprise Server (GITHUB_API_URL) through Octokit
+class GitHubProvider extends ScmProvider {
+  constructor() {
+    super('github');
+    this.github = createOctokit();
+  }
+
+  split(repository) {
+    const [owner, repo] = repository.split('/');
+    return { owner, repo };
+  }
+
+  async getRepository(repository) {
+    const { data } = await this.github.repos.get(this.split(repository));
+    const { data: languages } = await this.github.repos.listLanguages(this.split(repository));
+    return {
+      name: data.name,
+      default_branch: data.default_branch,
+      language: data.language,
+      languages,
+      size_kb: data.size
+    };
+  }
+
+  async listCommits(repository, ref, limit = 10) {
+    const { data } = await this.github.repos.listCommits({
+      ...this.split(repository),
+      ...(ref && { sha: ref }),
+      per_page: limit
+    });
+    return data.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      author: commit.commit.author.name,
+      date: commit.commit.author.date
+    }));
+  }
+
+  async getContent(repository, path, ref) {
+    try {
+      const { data } = await this.github.repos.getContent({
+        ...this.split(repository),
+        path,
+        ...(ref && { ref })
+      });
+      return Array.isArray(data)
+        ? { type: 'directory', files: data.map(entry => entry.name) }
+        : { type: 'file', content: Buffer.from(data.content, 'base64').toString('utf8') };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getPullRequest(repository, number) {
+    const { data } = await this.github.pulls.get({ ...this.split(repository), pull_number: number });
+    return {
+      number: data.number,
+      title: data.title,
+      head_sha: data.head.sha,
+      head_ref: data.head.ref,
+      head_repository: data.head.repo ? data.head.repo.full_name : null,
+      base_sha: data.base.sha,
+      base_ref: data.base.ref,
+      html_url: data.html_url
+    };
+  }
+
+  async getPullRequestDiff(repository, number) {
+    const { data } = await this.github.pulls.get({
+      ...this.split(repository),
+      pull_number: number,
+      mediaType: { format: 'diff' }
+    });
+    return data;
+  }
+
+  async listPullRequestFiles(repository, number) {
+    const files = await this.github.paginate(this.github.pulls.listFiles, {
+      ...this.split(repository),
+      pull_number: number,
+      per_page: 100
+    });
+    return files.map(file => ({
+      filename: file.filename,
+      previous_filename: file.previous_filename || null,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      patch: file.patch || null
+    }));
+  }
+
+  async compareDiff(repository, base, head) {
+    const basehead = `${base}...${head}`;
+    const { data: comparison } = await this.github.repos.compareCommitsWithBasehead({
+      ...this.split(repository), basehead, per_page: 1
+    });
+    if (comparison.status === 'identical') {
+      return '';
+    }
+    if (comparison.status !== 'ahead') {
+      return null;
+    }
+    const { data } = await this.github.repos.compareCommitsWithBasehead({
+      ...this.split(repository), basehead, mediaType: { format: 'diff' }
+    });
+    return data;
+  }
+
+  async createComment(repository, number, body) {
+    const { data } = await this.github.issues.createComment({
+      ...this.split(repository),
+      issue_number: number,
+      body
+    });
+    return { id: data.id, html_url: data.html_url };
+  }
+
+  async listReviews(repository, number) {
+    const reviews = await this.github.paginate(this.github.pulls.listReviews, {
+      ...this.split(repository),
+      pull_number: number,
+      per_page: 100
+    });
+    return reviews.map(review => ({
+      id: review.id,
+      body: review.body,
+      state: review.state,
+      commit_id: review.commit_id,
+      html_url: review.html_url
+    }));
+  }
+
+  async createReview(repository, number, { commit_id, body, event, comments }) {
+    const { data } = await this.github.pulls.createReview({
+      ...this.split(repository),
+      pull_number: number,
+      commit_id,
+      body,
+      event,
+      comments: comments.map(comment => ({
+        ...comment,
+        side: 'RIGHT',
+        ...(comment.start_line && { start_side: 'RIGHT' })
+      }))
+    });
+    return { id: data.id, state: data.state || REVIEW_STATES[event], html_url: data.html_url };
+  }
+
+  async updateReview(repository, number, id, body) {
+    await this.github.pulls.updateReview({ ...this.split(repository), pull_number: number, review_id: id, body });
+  }
+
+  async dismissReview(repository, number, id, message) {
+    await this.github.pulls.dismissReview({ ...this.split(repository), pull_number: number, review_id: id, message });
+  }
+
+  async setCommitStatus(repository, sha, { state, context, description, target_url }) {
+    await this.github.repos.createCommitStatus({
+      ...this.split(repository),
+      sha,
+      state,
+      context,
+      description,
+      ...(target_url && { target_url })
+    });
+  }
+
+  // GitHub Actions workflow runs
+  async listBuilds(repository, limit = 20) {
+    const { data } = await this.github.actions.listWorkflowRunsForRepo({
+      ...this.split(repository),
+      per_page: limit
+    });
+    return data.workflow_runs.map(run => ({
+      id: run.id,
+      status: run.status,
+      conclusion: run.conclusion,
+      created_at: run.created_at,
+      updated_at: run.updated_at,
+      duration: duration(run.created_at, run.updated_at),
+      head_sha: run.head_sha,
+      event: run.event
+    }));
+  }
+
+  async createBranch(repository, branch, sha) {
+    await this.github.git.createRef({ ...this.split(repository), ref: `refs/heads/${branch}`, sha });
+  }
+
+  // One commit through the Git Data API: a blob per file, a tree on top of
+  // the parent's, the commit, then a fast-forward of the branch
+  async commitFiles(repository, { branch, parent, message, files }) {
+    const { data: parentCommit } = await this.github.git.getCommit({ ...this.split(repository), commit_sha: parent });
+    const tree = [];
+    for (const file of files) {
+      const { data: blob } = await this.github.git.createBlob({
+        ...this.split(repository),
+        content: Buffer.from(file.content, 'utf8').toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+    const { data: newTree } = await this.github.git.createTree({
+      ...this.split(repository),
+      base_tree: parentCommit.tree.sha,
+      tree
+    });
+    const { data: commit } = await this.github.git.createCommit({
+      ...this.split(repository),
+      message,
+      tree: newTree.sha,
+      parents: [parent]
+    });
+    try {
+      await this.github.git.updateRef({ ...this.split(repository), ref: `heads/${branch}`, sha: commit.sha, force: false });
+    } catch (error) {
+      // Not a fast-forward: someone pushed in between
+      if (error.status === 422) {
+        const { data: ref } = await this.github.git.getRef({ ...this.split(repository), ref: `heads/${branch}` });
+        throw branchMoved(branch, parent, ref.object.sha);
+      }
+      throw error;
+    }
+    return { sha: commit.sha, html_url: commit.html_url };
+  }
+
+  async createPullRequest(repository, { title, body, head, base }) {
+    const { data } = await this.github.pulls.create({ ...this.split(repository), title, body, head, base });
+    return { number: data.number, html_url: data.html_url };
+  }
+
+  // Pull request heads, also from forks, are fetchable as refs/pull/<n>/head
+  cloneSource(repository, pr) {
+    return {
+      url: `${webUrl()}/${repository}.git`,
+      ref: `refs/pull/${pr.number}/head`,
+      auth_header: process.env.GITHUB_TOKEN ? basicAuth('x-access-token', process.env.GITHUB_TOKEN) : null
+    };
+  }
+
+  fileUrl(repository, path, ref) {
+    return `${webUrl()}/${repository}/blob/${ref}/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
+
+module.exports = GitHubProvider;
+module.exports.REVIEW_STATES = REVIEW_STATES;
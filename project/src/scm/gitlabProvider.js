@@ -0,0 +1,343 @@
+const axios = require('axios');
+const { ScmProvider, fence, branchMoved, basicAuth, hostError, duration } = require('./scmProvider');
+const { changedFiles } = require('../review/diffParser');
+
+// GitLab pipeline statuses as GitHub run status / conclusion
+const PIPELINE_CONCLUSIONS = {
+  success: 'success',
+  failed: 'failure',
+  canceled: 'cancelled',
+  skipped: 'skipped'
+};
+
+const COMMIT_STATES = {
+  pending: 'running',
+  success: 'success',
+  failure: 'failed',
+  error: 'failed'
+};
+
+// Unified diff of GitLab diff entries ({ old_path, new_path, diff, new_file, ... }),
+// which only hold the hunks
+const toUnifiedDiff = (entries) => entries.map(entry => {
+  const header = [`diff --git a/${entry.old_path} b/${entry.new_path}`];
+  if (entry.new_file) {
+    header.push(`new file mode ${entry.b_mode || '100644'}`);
+  } else if (entry.deleted_file) {
+    header.push(`deleted file mode ${entry.a_mode || '100644'}`);
+  } else if (entry.renamed_file) {
+    header.push(`rename from ${entry.old_path}`, `rename to ${entry.new_path}`);
+  }
+  header.push(
+    `--- ${entry.new_file ? '/dev/null' : `a/${entry.old_path}`}`,
+    `+++ ${entry.deleted_file ? '/dev/null' : `b/${entry.new_path}`}`
+  );
+  return `${header.join('\n')}\n${entry.diff.replace(/\n$/, '')}`;
+}).join('\n');
+
+// GitLab.com or a self-managed instance (GITLAB_API_URL) with GITLAB_TOKEN.
+// Merge requests stand in for pull requests; the review summary is a note,
+// inline comments are diff discussions and APPROVE approves the merge request.
+class GitLabProvider extends ScmProvider {
+  constructor() {
+    super('gitlab');
+    this.http = axios.create({
+      baseURL: (process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4').replace(/\/+$/, ''),
+      headers: process.env.GITLAB_TOKEN ? { 'PRIVATE-TOKEN': process.env.GITLAB_TOKEN } : {}
+    });
+  }
+
+  project(repository) {
+    return `/projects/${encodeURIComponent(repository)}`;
+  }
+
+  async request(config) {
+    try {
+      return await this.http.request(config);
+    } catch (error) {
+      throw hostError('GitLab', error);
+    }
+  }
+
+  // Follows GitLab's x-next-page header
+  async paginate(url, params = {}) {
+    const items = [];
+    let page = 1;
+    while (page) {
+      const response = await this.request({ url, params: { ...params, per_page: 100, page } });
+      items.push(...response.data);
+      page = parseInt(response.headers['x-next-page'], 10) || null;
+    }
+    return items;
+  }
+
+  async getRepository(repository) {
+    const { data } = await this.request({ url: this.project(repository), params: { statistics: true } });
+    const { data: languages } = await this.request({ url: `${this.project(repository)}/languages` });
+    return {
+      name: data.path,
+      default_branch: data.default_branch,
+      // GitLab reports languages as percentages
+      language: Object.keys(languages).sort((a, b) => languages[b] - languages[a])[0] || null,
+      languages,
+      size_kb: data.statistics ? Math.round(data.statistics.repository_size / 1024) : null
+    };
+  }
+
+  async listCommits(repository, ref, limit = 10) {
+    const { data } = await this.request({
+      url: `${this.project(repository)}/repository/commits`,
+      params: { ...(ref && { ref_name: ref }), per_page: limit }
+    });
+    return data.map(commit => ({
+      sha: commit.id,
+      message: commit.message,
+      author: commit.author_name,
+      date: commit.authored_date
+    }));
+  }
+
+  async getContent(repository, path, ref) {
+    const params = ref ? { ref } : {};
+    try {
+      const { data } = await this.request({
+        url: `${this.project(repository)}/repository/files/${encodeURIComponent(path)}/raw`,
+        params,
+        responseType: 'text',
+        transformResponse: [body => body]
+      });
+      return { type: 'file', content: data };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+
+    // Not a file; maybe a directory
+    try {
+      const { data } = await this.request({
+        url: `${this.project(repository)}/repository/tree`,
+        params: { ...params, path, per_page: 100 }
+      });
+      return data.length > 0 ? { type: 'directory', files: data.map(entry => entry.name) } : null;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getMergeRequest(repository, number) {
+    const { data } = await this.request({ url: `${this.project(repository)}/merge_requests/${number}` });
+    return data;
+  }
+
+  async getPullRequest(repository, number) {
+    const mr = await this.getMergeRequest(repository, number);
+    return {
+      number: mr.iid,
+      title: mr.title,
+      head_sha: mr.sha,
+      head_ref: mr.source_branch,
+      head_repository: mr.source_project_id === mr.target_project_id ? repository : null,
+      base_sha: mr.diff_refs?.base_sha || null,
+      base_ref: mr.target_branch,
+      html_url: mr.web_url
+    };
+  }
+
+  async getPullRequestDiff(repository, number) {
+    const entries = await this.paginate(`${this.project(repository)}/merge_requests/${number}/diffs`);
+    return toUnifiedDiff(entries);
+  }
+
+  async listPullRequestFiles(repository, number) {
+    return changedFiles(await this.getPullRequestDiff(repository, number));
+  }
+
+  async compareDiff(repository, base, head) {
+    if (base === head) {
+      return '';
+    }
+    const { data: mergeBase } = await this.request({
+      url: `${this.project(repository)}/repository/merge_base`,
+      params: { refs: [base, head] },
+      paramsSerializer: { indexes: false }
+    });
+    if (mergeBase.id !== base) {
+      return null;
+    }
+    const { data } = await this.request({
+      url: `${this.project(repository)}/repository/compare`,
+      params: { from: base, to: head }
+    });
+    return toUnifiedDiff(data.diffs);
+  }
+
+  async createComment(repository, number, body) {
+    const { data } = await this.request({
+      method: 'POST',
+      url: `${this.project(repository)}/merge_requests/${number}/notes`,
+      data: { body }
+    });
+    return { id: data.id, html_url: null };
+  }
+
+  // Notes of the merge request; the agent finds its own by their marker
+  async listReviews(repository, number) {
+    const notes = await this.paginate(`${this.project(repository)}/merge_requests/${number}/notes`);
+    return notes
+      .filter(note => !note.system)
+      .map(note => ({ id: note.id, body: note.body, state: 'COMMENTED', commit_id: null, html_url: null }));
+  }
+
+  async createReview(repository, number, { body, event, comments }) {
+    const mr = await this.getMergeRequest(repository, number);
+    const base = `${this.project(repository)}/merge_requests/${number}`;
+
+    // Approve first so a refused approval (own merge request) posts nothing
+    if (event === 'APPROVE') {
+      await this.request({ method: 'POST', url: `${base}/approve` });
+    } else {
+      // Withdraw an approval from an earlier review
+      await this.request({ method: 'POST', url: `${base}/unapprove` }).catch(() => {});
+    }
+
+    const { data: note } = await this.request({ method: 'POST', url: `${base}/notes`, data: { body } });
+
+    // A line GitLab can't place in the diff is listed under the summary instead
+    const unplaced = [];
+    for (const comment of comments) {
+      await this.request({
+        method: 'POST',
+        url: `${base}/discussions`,
+        data: {
+          body: comment.body,
+          position: {
+            position_type: 'text',
+            base_sha: mr.diff_refs.base_sha,
+            start_sha: mr.diff_refs.start_sha,
+            head_sha: mr.diff_refs.head_sha,
+            old_path: comment.path,
+            new_path: comment.path,
+            new_line: comment.line
+          }
+        }
+      }).catch(() => unplaced.push(comment));
+    }
+    if (unplaced.length > 0) {
+      await this.updateReview(repository, number, note.id,
+        `${body}\n\n${unplaced.map(comment => `- \`${comment.path}:${comment.line}\` ${comment.body}`).join('\n')}`);
+    }
+
+    return { id: note.id, state: event === 'APPROVE' ? 'APPROVED' : 'COMMENTED', html_url: `${mr.web_url}#note_${note.id}` };
+  }
+
+  async updateReview(repository, number, id, body) {
+    await this.request({
+      method: 'PUT',
+      url: `${this.project(repository)}/merge_requests/${number}/notes/${id}`,
+      data: { body }
+    });
+  }
+
+  async dismissReview() {
+    throw this.unsupported('Dismissing reviews');
+  }
+
+  async setCommitStatus(repository, sha, { state, context, description, target_url }) {
+    await this.request({
+      method: 'POST',
+      url: `${this.project(repository)}/statuses/${sha}`,
+      data: {
+        state: COMMIT_STATES[state],
+        name: context,
+        description,
+        ...(target_url && { target_url })
+      }
+    });
+  }
+
+  // GitLab CI pipelines
+  async listBuilds(repository, limit = 20) {
+    const { data } = await this.request({
+      url: `${this.project(repository)}/pipelines`,
+      params: { per_page: limit }
+    });
+    return data.map(pipeline => ({
+      id: pipeline.id,
+      status: PIPELINE_CONCLUSIONS[pipeline.status] ? 'completed' : 'in_progress',
+      conclusion: PIPELINE_CONCLUSIONS[pipeline.status] || null,
+      created_at: pipeline.created_at,
+      updated_at: pipeline.updated_at,
+      duration: duration(pipeline.created_at, pipeline.updated_at),
+      head_sha: pipeline.sha,
+      event: pipeline.source
+    }));
+  }
+
+  async createBranch(repository, branch, sha) {
+    await this.request({
+      method: 'POST',
+      url: `${this.project(repository)}/repository/branches`,
+      params: { branch, ref: sha }
+    });
+  }
+
+  // The commits API has no parent check, so the branch tip is compared first
+  async commitFiles(repository, { branch, parent, message, files }) {
+    const { data: tip } = await this.request({
+      url: `${this.project(repository)}/repository/branches/${encodeURIComponent(branch)}`
+    });
+    if (tip.commit.id !== parent) {
+      throw branchMoved(branch, parent, tip.commit.id);
+    }
+
+    const actions = [];
+    for (const file of files) {
+      const existing = await this.getContent(repository, file.path, parent);
+      actions.push({ action: existing ? 'update' : 'create', file_path: file.path, content: file.content });
+    }
+    const { data } = await this.request({
+      method: 'POST',
+      url: `${this.project(repository)}/repository/commits`,
+      data: { branch, commit_message: message, actions }
+    });
+    return { sha: data.id, html_url: data.web_url || null };
+  }
+
+  async createPullRequest(repository, { title, body, head, base }) {
+    const { data } = await this.request({
+      method: 'POST',
+      url: `${this.project(repository)}/merge_requests`,
+      data: { source_branch: head, target_branch: base, title, description: body }
+    });
+    return { number: data.iid, html_url: data.web_url };
+  }
+
+  webUrl() {
+    return this.http.defaults.baseURL.replace(/\/api\/v4$/, '');
+  }
+
+  fileUrl(repository, path, ref) {
+    return `${this.webUrl()}/${repository}/-/blob/${ref}/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  // Merge request heads, also from forks, are fetchable as refs/merge-requests/<iid>/head
+  cloneSource(repository, pr) {
+    return {
+      url: `${this.webUrl()}/${repository}.git`,
+      ref: `refs/merge-requests/${pr.number}/head`,
+      auth_header: process.env.GITLAB_TOKEN ? basicAuth('oauth2', process.env.GITLAB_TOKEN) : null
+    };
+  }
+
+  // GitLab counts the lines a suggestion replaces from the commented line up
+  suggestionBlock(code, lines = 1) {
+    return `${fence(code)}suggestion:-${lines - 1}+0\n${code}${code ? '\n' : ''}${fence(code)}`;
+  }
+}
+
+module.exports = GitLabProvider;
+module.exports.toUnifiedDiff = toUnifiedDiff;
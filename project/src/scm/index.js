@@ -0,0 +1,60 @@
+const GitHubProvider = require('./githubProvider');
+const GitLabProvider = require('./gitlabProvider');
+const BitbucketProvider = require('./bitbucketProvider');
+const { matchesAny } = require('../review/policy');
+
+const PROVIDERS = ['github', 'gitlab', 'bitbucket'];
+
+// SCM_PROVIDERS: comma-separated `pattern=provider` entries, first match wins,
+// e.g. "platform/**=gitlab,acme-team/*=bitbucket"
+const parseMapping = (value = '') => value.split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.lastIndexOf('=');
+    const pattern = entry.substring(0, separator).trim();
+    const provider = entry.substring(separator + 1).trim();
+    if (separator <= 0 || !PROVIDERS.includes(provider)) {
+      throw new Error(`Invalid SCM_PROVIDERS entry "${entry}" (expected <pattern>=${PROVIDERS.join('|')})`);
+    }
+    return { pattern, provider };
+  });
+
+// Owner (GitLab: the group path) and name of a repository
+const repositoryParts = (repository) => {
+  const parts = repository.split('/');
+  const repo = parts.pop();
+  return { owner: parts.join('/'), repo };
+};
+
+// Picks the source code host of each repository: the first SCM_PROVIDERS
+// pattern matching it, else SCM_PROVIDER, else GitHub
+class ScmRegistry {
+  constructor() {
+    this.providers = {
+      github: new GitHubProvider(),
+      gitlab: new GitLabProvider(),
+      bitbucket: new BitbucketProvider()
+    };
+    this.mapping = parseMapping(process.env.SCM_PROVIDERS);
+    this.defaultProvider = process.env.SCM_PROVIDER || 'github';
+    if (!PROVIDERS.includes(this.defaultProvider)) {
+      throw new Error(`Unknown SCM_PROVIDER: ${this.defaultProvider} (expected one of ${PROVIDERS.join(', ')})`);
+    }
+  }
+
+  // Without a repository (a standalone diff review) the default provider
+  providerName(repository) {
+    const match = repository && this.mapping.find(entry => matchesAny(repository, [entry.pattern]));
+    return match ? match.provider : this.defaultProvider;
+  }
+
+  forRepository(repository) {
+    return this.providers[this.providerName(repository)];
+  }
+}
+
+module.exports = new ScmRegistry();
+module.exports.ScmRegistry = ScmRegistry;
+module.exports.PROVIDERS = PROVIDERS;
+module.exports.repositoryParts = repositoryParts;
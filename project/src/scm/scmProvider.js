@@ -0,0 +1,94 @@
+// Interface every source code host implements, so the agents work the same
+// on GitHub, GitLab and Bitbucket. `repository` is the host's path of the
+// repository (`owner/repo`, `group/subgroup/project`, `workspace/repo`) and
+// `number` the pull (merge) request number. Shapes follow the GitHub API
+// the agents were written against:
+//
+//   getRepository(repository)         -> { name, default_branch, language, languages, size_kb }
+//   listCommits(repository, ref, n)   -> [{ sha, message, author, date }]
+//   getContent(repository, path, ref) -> { type: 'file', content } | { type: 'directory', files } | null
+//   getPullRequest(repository, number)
+//     -> { number, title, head_sha, head_ref, head_repository, base_sha, base_ref, html_url }
+//        head_repository is null when the head branch is in a fork
+//   getPullRequestDiff(repository, number)  -> unified diff
+//   listPullRequestFiles(repository, number)
+//     -> [{ filename, previous_filename, status, additions, deletions, patch }]
+//   compareDiff(repository, base, head)     -> unified diff of base..head, or null
+//                                              when head does not descend from base
+//   createComment(repository, number, body) -> { id, html_url }
+//   listReviews(repository, number)         -> [{ id, body, state, commit_id, html_url }]
+//   createReview(repository, number, { commit_id, body, event, comments })
+//     -> { id, state, html_url }; event is APPROVE, REQUEST_CHANGES or COMMENT,
+//        comments are [{ path, line, start_line, body }] on new-side lines;
+//        start_line (optional) makes a comment span start_line..line
+//   updateReview(repository, number, id, body)
+//   dismissReview(repository, number, id, message)
+//   setCommitStatus(repository, sha, { state, context, description, target_url })
+//     state is pending, success, failure or error
+//   listBuilds(repository, n)
+//     -> [{ id, status, conclusion, created_at, updated_at, duration, head_sha, event }]
+//   createBranch(repository, branch, sha)
+//   commitFiles(repository, { branch, parent, message, files: [{ path, content }] })
+//     -> { sha, html_url }; fails with 409 when `branch` no longer points at `parent`
+//   createPullRequest(repository, { title, body, head, base }) -> { number, html_url }
+//   fileUrl(repository, path, ref)  -> web page of the file at `ref`
+//   cloneSource(repository, pr)      -> { url, ref, auth_header }: where `git fetch`
+//                                       finds the head of `pr` (a getPullRequest result)
+//   suggestionBlock(code, lines) -> Markdown replacing the `lines` lines a
+//                                   review comment spans with `code`
+//
+// Errors from the host carry the HTTP status in `error.status`.
+class ScmProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // GitHub's suggested change block
+  suggestionBlock(code) {
+    return `${fence(code)}suggestion\n${code}${code ? '\n' : ''}${fence(code)}`;
+  }
+
+  unsupported(operation) {
+    const error = new Error(`${operation} is not supported on ${this.name}`);
+    error.status = 501;
+    return error;
+  }
+}
+
+// A code fence longer than any backtick run in `code`
+const fence = (code) => {
+  const longest = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+};
+
+// Error for a branch that moved since the commit a change was based on
+const branchMoved = (branch, parent, tip) => {
+  const error = new Error(`Branch ${branch} moved from ${parent.substring(0, 7)} to ${tip.substring(0, 7)}`);
+  error.status = 409;
+  return error;
+};
+
+// Wraps an axios error so callers can check `error.status` like with Octokit
+const hostError = (provider, error) => {
+  if (!error.response) {
+    return error;
+  }
+  const detail = error.response.data?.message || error.response.data?.error?.message || error.message;
+  const wrapped = new Error(`${provider} API ${error.response.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  wrapped.status = error.response.status;
+  return wrapped;
+};
+
+// HTTP basic credentials for git over HTTPS
+const basicAuth = (username, password) => `Authorization: Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+const duration = (start, end) => (start && end ? new Date(end) - new Date(start) : null);
+
+module.exports = {
+  ScmProvider,
+  fence,
+  branchMoved,
+  basicAuth,
+  hostError,
+  duration
+};
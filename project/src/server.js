@@ -11,6 +11,11 @@ dotenv.config();
 const agentRoutes = require('./routes/agents');
 const notificationRoutes = require('./routes/notifications');
 const healthRoutes = require('./routes/health');
+const docsRoutes = require('./routes/docs');
+const pipelineRoutes = require('./routes/pipeline');
+const pipelinesRoutes = require('./routes/pipelines');
+const jobRoutes = require('./routes/jobs');
+const webhookRoutes = require('./routes/webhooks');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
@@ -44,7 +49,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -58,11 +69,19 @@ app.use((req, res, next) => {
 
 // Authentication middleware for protected routes
 app.use('/agent', authMiddleware);
+app.use('/pipeline', authMiddleware);
+app.use('/pipelines', authMiddleware);
+app.use('/jobs', authMiddleware);
 
 // Routes
 app.use('/health', healthRoutes);
+app.use('/', docsRoutes);
 app.use('/agent', agentRoutes);
 app.use('/notifications', notificationRoutes);
+app.use('/pipeline', pipelineRoutes);
+app.use('/pipelines', pipelinesRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/webhooks', webhookRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -80,12 +99,26 @@ app.listen(PORT, () => {
   logger.info(`MCP DevOps Server running on port ${PORT}`);
   logger.info('Available endpoints:');
   logger.info('  POST /agent/code-review');
+  logger.info('  POST /agent/secret-scan');
   logger.info('  POST /agent/test-writer');
   logger.info('  POST /agent/build-predictor');
   logger.info('  POST /agent/docker-handler');
+  logger.info('  POST /agent/provision-aks');
   logger.info('  POST /agent/deploy');
   logger.info('  POST /agent/monitor');
+  logger.info('  GET  /agent/schemas');
+  logger.info('  POST /pipeline/run');
+  logger.info('  GET  /pipelines');
+  logger.info('  GET  /pipelines/:id');
+  logger.info('  GET  /pipelines/:id/stages/:stage');
+  logger.info('  GET  /pipelines/:id/events');
+  logger.info('  GET  /jobs/:id');
+  logger.info('  DELETE /jobs/:id');
+  logger.info('  POST /webhooks/github');
+  logger.info('  POST /webhooks/github/deliveries/:id/replay');
   logger.info('  GET  /health');
+  logger.info('  GET  /openapi.json');
+  logger.info('  GET  /docs');
 });
 
 module.exports = app;
\ No newline at end of file
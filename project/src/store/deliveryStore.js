@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Recorded GitHub webhook deliveries, one JSON file per delivery, so a
+// delivery can be inspected and replayed later without GitHub.
+class DeliveryStore {
+  constructor(storeDir = process.env.WEBHOOK_DELIVERY_DIR || path.join(process.cwd(), 'data', 'webhooks')) {
+    this.storeDir = storeDir;
+  }
+
+  isValidId(deliveryId) {
+    return typeof deliveryId === 'string' && /^[A-Za-z0-9_.-]+$/.test(deliveryId) && !deliveryId.startsWith('.');
+  }
+
+  async save(delivery) {
+    if (!this.isValidId(delivery.id)) {
+      throw new Error(`Invalid delivery id: ${delivery.id}`);
+    }
+
+    await fs.mkdir(this.storeDir, { recursive: true });
+    await fs.writeFile(path.join(this.storeDir, `${delivery.id}.json`), JSON.stringify(delivery, null, 2));
+    return delivery;
+  }
+
+  async get(deliveryId) {
+    if (!this.isValidId(deliveryId)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.storeDir, `${deliveryId}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.storeDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const deliveries = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      let delivery;
+      try {
+        delivery = JSON.parse(await fs.readFile(path.join(this.storeDir, file), 'utf8'));
+      } catch (error) {
+        logger.warn(`Skipping unreadable webhook delivery file ${file}: ${error.message}`);
+        continue;
+      }
+      // The list leaves out payloads, which can be large
+      deliveries.push({
+        id: delivery.id,
+        event: delivery.event,
+        action: delivery.payload?.action || null,
+        repository: delivery.payload?.repository?.full_name || null,
+        received_at: delivery.received_at,
+        dispatch: delivery.dispatch
+      });
+    }
+
+    return deliveries.sort((a, b) => (b.received_at || '').localeCompare(a.received_at || ''));
+  }
+}
+
+module.exports = new DeliveryStore();
+module.exports.DeliveryStore = DeliveryStore;
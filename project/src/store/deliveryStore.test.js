@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DeliveryStore } = require('./deliveryStore');
+
+describe('DeliveryStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deliveries-'));
+    store = new DeliveryStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const delivery = (id, receivedAt) => ({
+    id,
+    event: 'push',
+    payload: { ref: 'refs/heads/main', repository: { full_name: 'octo-org/sample-app' } },
+    received_at: receivedAt,
+    dispatch: { status: 'dispatched' }
+  });
+
+  test('lists deliveries newest first without their payloads', async () => {
+    await store.save(delivery('first', '2024-05-01T10:00:00.000Z'));
+    await store.save(delivery('second', '2024-05-02T10:00:00.000Z'));
+
+    expect(await store.list()).toEqual([
+      { id: 'second', event: 'push', action: null, repository: 'octo-org/sample-app', received_at: '2024-05-02T10:00:00.000Z', dispatch: { status: 'dispatched' } },
+      { id: 'first', event: 'push', action: null, repository: 'octo-org/sample-app', received_at: '2024-05-01T10:00:00.000Z', dispatch: { status: 'dispatched' } }
+    ]);
+  });
+
+  test('skips files it cannot read', async () => {
+    await store.save(delivery('good', '2024-05-01T10:00:00.000Z'));
+    fs.writeFileSync(path.join(dir, 'truncated.json'), '{"id": "trunc');
+
+    expect((await store.list()).map(entry => entry.id)).toEqual(['good']);
+  });
+
+  test('is empty before the first delivery', async () => {
+    expect(await new DeliveryStore(path.join(dir, 'missing')).list()).toEqual([]);
+  });
+
+  test('refuses ids that would leave the store directory', async () => {
+    await expect(store.save(delivery('../escape', null))).rejects.toThrow('Invalid delivery id: ../escape');
+    expect(await store.get('../escape')).toBeNull();
+  });
+});
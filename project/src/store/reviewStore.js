@@ -0,0 +1,34 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// The last code review of each pull request, one JSON file per pull request,
+// so the next review only has to look at the commits pushed since.
+class ReviewStore {
+  constructor(storeDir = process.env.REVIEW_STORE_DIR || path.join(process.cwd(), 'data', 'reviews')) {
+    this.storeDir = storeDir;
+  }
+
+  reviewPath(repository, prNumber) {
+    return path.join(this.storeDir, `${repository.split('/').join('__')}__${prNumber}.json`);
+  }
+
+  async get(repository, prNumber) {
+    try {
+      return JSON.parse(await fs.readFile(this.reviewPath(repository, prNumber), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(review) {
+    await fs.mkdir(this.storeDir, { recursive: true });
+    await fs.writeFile(this.reviewPath(review.repository, review.pr_number), JSON.stringify(review, null, 2));
+    return review;
+  }
+}
+
+module.exports = new ReviewStore();
+module.exports.ReviewStore = ReviewStore;
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// JSON-file backed store of pipeline runs: one file per run so it works offline
+// and the history survives restarts without a database.
+class RunStore {
+  constructor(storeDir = process.env.PIPELINE_STORE_DIR || path.join(process.cwd(), 'data', 'pipelines')) {
+    this.storeDir = storeDir;
+    // Per-run write queues so concurrent stage updates don't clobber each other
+    this.writeQueues = new Map();
+  }
+
+  runPath(runId) {
+    // Run ids end up in file names, so never let them escape the store directory
+    if (!this.isValidId(runId)) {
+      throw new Error(`Invalid pipeline id: ${runId}`);
+    }
+    return path.join(this.storeDir, `${runId}.json`);
+  }
+
+  newRun(params = {}) {
+    return {
+      id: params.id || uuidv4(),
+      status: 'running',
+      trigger: params.trigger || 'api',
+      repository: params.repository || null,
+      pr_number: params.pr_number || null,
+      branch: params.branch || null,
+      commit_sha: params.commit_sha || null,
+      environment: params.environment || null,
+      input: params.input || {},
+      output: null,
+      error: null,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      stages: []
+    };
+  }
+
+  async createRun(params = {}) {
+    const run = this.newRun(params);
+    // Queued like every other write, so it can't land after a stage update of the run
+    await this.enqueue(run.id, () => this.writeRun(run));
+    logger.info(`Recorded pipeline run ${run.id}`);
+    return run;
+  }
+
+  isValidId(runId) {
+    return typeof runId === 'string' && /^[A-Za-z0-9_.-]+$/.test(runId) && !runId.startsWith('.');
+  }
+
+  async getRun(runId) {
+    if (!this.isValidId(runId)) {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(this.runPath(runId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getStage(runId, stageName) {
+    const run = await this.getRun(runId);
+    if (!run) {
+      return null;
+    }
+    return run.stages.find(stage => stage.stage === stageName) || null;
+  }
+
+  async listRuns(filters = {}) {
+    const { repository, pr_number, status, limit = 50, offset = 0 } = filters;
+
+    let files;
+    try {
+      files = await fs.readdir(this.storeDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { total: 0, runs: [] };
+      }
+      throw error;
+    }
+
+    const runs = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        runs.push(JSON.parse(await fs.readFile(path.join(this.storeDir, file), 'utf8')));
+      } catch (error) {
+        logger.warn(`Skipping unreadable pipeline run file ${file}: ${error.message}`);
+      }
+    }
+
+    const matching = runs
+      .filter(run => !repository || run.repository === repository)
+      .filter(run => !pr_number || String(run.pr_number) === String(pr_number))
+      .filter(run => !status || run.status === status)
+      .sort((a, b) => b.started_at.localeCompare(a.started_at));
+
+    return {
+      total: matching.length,
+      // The list view omits stage outputs, which can be large; fetch the run for those
+      runs: matching.slice(Number(offset), Number(offset) + Number(limit)).map(run => ({
+        ...run,
+        stages: run.stages.map(({ stage, status, started_at, finished_at, duration_ms }) => ({
+          stage, status, started_at, finished_at, duration_ms
+        }))
+      }))
+    };
+  }
+
+  async updateRun(runId, update) {
+    return this.enqueue(runId, async () => {
+      const run = await this.getRun(runId);
+      if (!run) {
+        throw new Error(`Pipeline run ${runId} not found`);
+      }
+      update(run);
+      await this.writeRun(run);
+      return run;
+    });
+  }
+
+  async startStage(runId, stageName, input) {
+    return this.updateRun(runId, (run) => {
+      run.stages.push({
+        stage: stageName,
+        status: 'running',
+        input: input || {},
+        output: null,
+        error: null,
+        started_at: new Date().toISOString(),
+        finished_at: null,
+        duration_ms: null
+      });
+    });
+  }
+
+  async finishStage(runId, stageName, { status, output = null, error = null }) {
+    return this.updateRun(runId, (run) => {
+      // A stage may be re-run; the most recent attempt is the one still running
+      const stage = [...run.stages].reverse().find(s => s.stage === stageName && s.status === 'running');
+      if (!stage) {
+        throw new Error(`Stage ${stageName} is not running in pipeline ${runId}`);
+      }
+      const finishedAt = new Date();
+      stage.status = status;
+      stage.output = output;
+      stage.error = error;
+      stage.finished_at = finishedAt.toISOString();
+      stage.duration_ms = finishedAt - new Date(stage.started_at);
+    });
+  }
+
+  async skipStage(runId, stageName) {
+    return this.updateRun(runId, (run) => {
+      run.stages.push({ stage: stageName, status: 'skipped' });
+    });
+  }
+
+  async finishRun(runId, { status, output = null, error = null }) {
+    return this.updateRun(runId, (run) => {
+      const finishedAt = new Date();
+      run.status = status;
+      run.output = output;
+      run.error = error;
+      run.finished_at = finishedAt.toISOString();
+      run.duration_ms = finishedAt - new Date(run.started_at);
+    });
+  }
+
+  // Run an agent call as a stage of an existing run, creating the run on first use.
+  // Lets callers that drive the agents themselves (e.g. n8n) still get a history.
+  async recordStage(runId, stageName, input, fn, runParams = {}) {
+    // Checked and created in the run's write queue: concurrent stages of a new
+    // run must not each create it and overwrite the other's stage
+    const created = await this.enqueue(runId, async () => {
+      if (await this.getRun(runId)) {
+        return false;
+      }
+      await this.writeRun(this.newRun({ ...runParams, id: runId, trigger: runParams.trigger || 'agent' }));
+      return true;
+    });
+    if (created) {
+      logger.info(`Recorded pipeline run ${runId}`);
+    }
+
+    await this.startStage(runId, stageName, input);
+    try {
+      const output = await fn();
+      await this.finishStage(runId, stageName, { status: 'success', output });
+      return output;
+    } catch (error) {
+      await this.finishStage(runId, stageName, { status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  async writeRun(run) {
+    await fs.mkdir(this.storeDir, { recursive: true });
+    const filePath = this.runPath(run.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(run, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  enqueue(runId, task) {
+    const previous = this.writeQueues.get(runId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.writeQueues.set(runId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(runId) === next) {
+        this.writeQueues.delete(runId);
+      }
+    }).catch(() => {});
+    return next;
+  }
+}
+
+module.exports = new RunStore();
+module.exports.RunStore = RunStore;
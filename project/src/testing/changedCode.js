@@ -0,0 +1,182 @@
+// Finds the functions and classes a pull request changed in a file: the
+// definitions in the file at the head commit that enclose a line the patch
+// adds or rewrites. Definitions are found line by line with per-language
+// patterns; a body ends at its closing brace, or by indentation in Python
+// and `end` in Ruby. Good enough to scope test generation, not a parser.
+
+const { parseDiff, changedLines } = require('../review/diffParser');
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+// Keywords that look like method definitions in brace languages
+const NOT_METHODS = ['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else', 'do', 'try', 'with', 'new', 'typeof'];
+
+const PATTERNS = {
+  js: [
+    { kind: 'class', pattern: new RegExp(`^\\s*(?:export\\s+(?:default\\s+)?)?(?:abstract\\s+)?class\\s+(${IDENTIFIER})`) },
+    { kind: 'function', pattern: new RegExp(`^\\s*(?:export\\s+(?:default\\s+)?)?(?:async\\s+)?function\\s*\\*?\\s*(${IDENTIFIER})`) },
+    { kind: 'function', pattern: new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+(${IDENTIFIER})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)[^=]*=>|${IDENTIFIER}\\s*=>)`) },
+    { kind: 'function', pattern: new RegExp(`^\\s*(?:module\\.)?exports\\.(${IDENTIFIER})\\s*=\\s*(?:async\\s+)?(?:function\\b|\\()`) },
+    { kind: 'method', pattern: new RegExp(`^\\s+(?:(?:static|async|get|set|public|private|protected|readonly|override)\\s+)*\\*?(${IDENTIFIER})\\s*(?:<[^>]*>)?\\([^)'"\`]*\\)\\s*(?::\\s*[^{=]+)?\\{`) },
+    { kind: 'method', pattern: new RegExp(`^\\s+(?:(?:static|private|public|protected|readonly)\\s+)*(${IDENTIFIER})\\s*=\\s*(?:async\\s+)?\\([^)]*\\)[^=]*=>`) }
+  ],
+  go: [
+    { kind: 'function', pattern: /^func\s+(?:\(\s*\w*\s*\*?(\w+)(?:\[[^\]]*\])?\s*\)\s*)?(\w+)/, name: (match) => (match[1] ? `${match[1]}.${match[2]}` : match[2]) },
+    { kind: 'class', pattern: /^type\s+(\w+)\s+struct\b/ }
+  ],
+  java: [
+    { kind: 'class', pattern: /^\s*(?:(?:public|private|protected|abstract|final|static|sealed)\s+)*(?:class|interface|enum|record)\s+(\w+)/ },
+    { kind: 'method', pattern: /^\s*(?:(?:public|private|protected|static|final|abstract|synchronized|default)\s+)+(?:<[^>]+>\s+)?[\w<>[\],.? ]+\s+(\w+)\s*\(/ }
+  ],
+  py: [
+    { kind: 'class', pattern: /^(\s*)class\s+(\w+)/ },
+    { kind: 'function', pattern: /^(\s*)(?:async\s+)?def\s+(\w+)/ }
+  ],
+  rb: [
+    { kind: 'class', pattern: /^(\s*)(?:class|module)\s+([\w:]+)/ },
+    { kind: 'function', pattern: /^(\s*)def\s+((?:self\.)?[\w?!=]+)/ }
+  ]
+};
+
+const LANGUAGES = { js: 'js', ts: 'js', mjs: 'js', cjs: 'js', jsx: 'js', tsx: 'js', go: 'go', java: 'java', py: 'py', rb: 'rb' };
+
+const languageOf = (filename) => LANGUAGES[filename.split('.').pop()] || null;
+
+// Strings and line comments don't count when matching braces
+const braceDepth = (line) => {
+  const code = line.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""').replace(/\/\/.*$/, '');
+  return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+};
+
+// Last line of a brace body starting at `start` (0-based); a definition
+// without a brace on its first lines (`const f = x => x * 2;`) is one statement
+const braceEnd = (lines, start) => {
+  let depth = 0;
+  let opened = false;
+  for (let i = start; i < lines.length; i++) {
+    depth += braceDepth(lines[i]);
+    opened = opened || lines[i].includes('{');
+    if (opened && depth <= 0) {
+      return i;
+    }
+    if (!opened && (i - start >= 3 || /;\s*$/.test(lines[i]))) {
+      return i;
+    }
+  }
+  return lines.length - 1;
+};
+
+// Last line of a Python block: before the next non-blank line indented no deeper
+const indentEnd = (lines, start, indent) => {
+  let end = start;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (!lines[i].trim() || lines[i].trim().startsWith('#')) {
+      continue;
+    }
+    if (lines[i].match(/^\s*/)[0].length <= indent) {
+      break;
+    }
+    end = i;
+  }
+  return end;
+};
+
+// Ruby: the `end` at the definition's indentation
+const rubyEnd = (lines, start, indent) => {
+  for (let i = start + 1; i < lines.length; i++) {
+    if (/^\s*end\b/.test(lines[i]) && lines[i].match(/^\s*/)[0].length === indent) {
+      return i;
+    }
+  }
+  return lines.length - 1;
+};
+
+// [{ name, kind: 'class' | 'function' | 'method', start_line, end_line }]
+// of a file, in order; null for languages without patterns. Methods are
+// named Class.method.
+function definitions(filename, content) {
+  const language = languageOf(filename);
+  if (!language) {
+    return null;
+  }
+  const lines = content.split(/\r?\n/);
+  const found = [];
+
+  lines.forEach((line, index) => {
+    for (const definition of PATTERNS[language]) {
+      const match = line.match(definition.pattern);
+      if (!match) {
+        continue;
+      }
+      const indented = language === 'py' || language === 'rb';
+      const name = definition.name ? definition.name(match) : match[indented ? 2 : 1];
+      if (NOT_METHODS.includes(name)) {
+        continue;
+      }
+      const indent = indented ? match[1].length : 0;
+      let end;
+      if (language === 'py') {
+        end = indentEnd(lines, index, indent);
+      } else if (language === 'rb') {
+        end = rubyEnd(lines, index, indent);
+      } else {
+        end = braceEnd(lines, index);
+      }
+      found.push({ name, kind: definition.kind, start_line: index + 1, end_line: end + 1 });
+      break;
+    }
+  });
+
+  // Qualify members with the innermost class around them
+  return found.map(definition => {
+    const owner = found
+      .filter(other => other !== definition && other.kind === 'class' &&
+        other.start_line < definition.start_line && other.end_line >= definition.end_line)
+      .pop();
+    // Ruby's `def self.name` is a method of the class too
+    return owner && definition.kind !== 'class' && (!definition.name.includes('.') || definition.name.startsWith('self.'))
+      ? { ...definition, kind: 'method', name: `${owner.name}.${definition.name.replace(/^self\./, '')}` }
+      : definition;
+  });
+}
+
+// The innermost definitions enclosing the lines `patch` (a pull request
+// file's hunks) changes, each with the changed lines; null when they can't
+// be told (no patch or an unsupported language)
+function changedDefinitions(filename, content, patch) {
+  const all = patch ? definitions(filename, content) : null;
+  if (!all) {
+    return null;
+  }
+  const [file] = parseDiff(`diff --git a/${filename} b/${filename}\n--- a/${filename}\n+++ b/${filename}\n${patch}`);
+  const changed = new Map();
+
+  for (const line of file ? changedLines(file) : []) {
+    const innermost = all
+      .filter(definition => definition.start_line <= line && definition.end_line >= line)
+      .pop();
+    if (innermost) {
+      const entry = changed.get(innermost) || { ...innermost, changed_lines: [] };
+      entry.changed_lines.push(line);
+      changed.set(innermost, entry);
+    }
+  }
+  return [...changed.values()];
+}
+
+// The start of the file (imports, up to the first definition) and the
+// changed definitions, for files too long to send whole
+function sourceExcerpt(filename, content, targets, maxHeaderLines = 60) {
+  const lines = content.split(/\r?\n/);
+  const first = (definitions(filename, content) || [])[0];
+  const header = lines.slice(0, Math.min(first ? first.start_line - 1 : maxHeaderLines, maxHeaderLines));
+  const blocks = targets.map(target =>
+    `... lines ${target.start_line}-${target.end_line}:\n${lines.slice(target.start_line - 1, target.end_line).join('\n')}`);
+  return [header.join('\n'), ...blocks, '...'].join('\n');
+}
+
+module.exports = {
+  definitions,
+  changedDefinitions,
+  sourceExcerpt
+};
@@ -0,0 +1,119 @@
+const { definitions, changedDefinitions, sourceExcerpt } = require('./changedCode');
+
+const SOURCE = [
+  "const express = require('express');", //  1
+  '',                                      //  2
+  'function add(a, b) {',                  //  3
+  '  return a + b;',                       //  4
+  '}',                                     //  5
+  '',                                      //  6
+  'class Cart {',                          //  7
+  '  constructor() {',                     //  8
+  '    this.items = [];',                  //  9
+  '  }',                                   // 10
+  '',                                      // 11
+  '  total() {',                           // 12
+  '    return this.items.reduce((sum, item) => sum + item.price, 0);', // 13
+  '  }',                                   // 14
+  '}',                                     // 15
+  '',                                      // 16
+  'const double = (x) => x * 2;',          // 17
+  '',                                      // 18
+  'module.exports = { add, Cart, double };' // 19
+].join('\n');
+
+const PYTHON = [
+  'import math',
+  '',
+  'class Shape:',
+  '    def area(self):',
+  '        return 0',
+  '',
+  '    def describe(self):',
+  "        return 'shape'",
+  '',
+  'def circle(r):',
+  '    return math.pi * r * r'
+].join('\n');
+
+describe('definitions', () => {
+  test('finds JavaScript functions, classes and methods with their lines', () => {
+    expect(definitions('src/cart.js', SOURCE)).toEqual([
+      { name: 'add', kind: 'function', start_line: 3, end_line: 5 },
+      { name: 'Cart', kind: 'class', start_line: 7, end_line: 15 },
+      { name: 'Cart.constructor', kind: 'method', start_line: 8, end_line: 10 },
+      { name: 'Cart.total', kind: 'method', start_line: 12, end_line: 14 },
+      { name: 'double', kind: 'function', start_line: 17, end_line: 17 }
+    ]);
+  });
+
+  test('ends Python definitions by indentation', () => {
+    expect(definitions('shapes.py', PYTHON)).toEqual([
+      { name: 'Shape', kind: 'class', start_line: 3, end_line: 8 },
+      { name: 'Shape.area', kind: 'method', start_line: 4, end_line: 5 },
+      { name: 'Shape.describe', kind: 'method', start_line: 7, end_line: 8 },
+      { name: 'circle', kind: 'function', start_line: 10, end_line: 11 }
+    ]);
+  });
+
+  test('is null for languages without patterns', () => {
+    expect(definitions('README.md', '# Title')).toBeNull();
+  });
+});
+
+describe('changedDefinitions', () => {
+  test('maps the patch to the innermost definitions it changes', () => {
+    const patch = [
+      '@@ -10,5 +10,5 @@',
+      '   }',
+      ' ',
+      '   total() {',
+      '-    return this.items.length;',
+      '+    return this.items.reduce((sum, item) => sum + item.price, 0);',
+      '   }'
+    ].join('\n');
+
+    expect(changedDefinitions('src/cart.js', SOURCE, patch)).toEqual([
+      { name: 'Cart.total', kind: 'method', start_line: 12, end_line: 14, changed_lines: [13] }
+    ]);
+  });
+
+  test('collects every changed definition once, skipping lines outside them', () => {
+    const patch = [
+      '@@ -1,5 +1,5 @@',
+      "-const express = require('express')",
+      "+const express = require('express');",
+      ' ',
+      ' function add(a, b) {',
+      '-  return a - b;',
+      '+  return a + b;',
+      ' }',
+      '@@ -17,1 +17,1 @@',
+      '-const double = (x) => x + x;',
+      '+const double = (x) => x * 2;'
+    ].join('\n');
+
+    expect(changedDefinitions('src/cart.js', SOURCE, patch).map(definition => [definition.name, definition.changed_lines]))
+      .toEqual([['add', [4]], ['double', [17]]]);
+  });
+
+  test('is null without a patch or for unsupported languages', () => {
+    expect(changedDefinitions('src/cart.js', SOURCE, null)).toBeNull();
+    expect(changedDefinitions('notes.txt', 'text', '@@ -1 +1 @@\n-a\n+b')).toBeNull();
+  });
+});
+
+describe('sourceExcerpt', () => {
+  test('keeps the imports and the changed definitions', () => {
+    const excerpt = sourceExcerpt('src/cart.js', SOURCE, [{ start_line: 12, end_line: 14 }]);
+    expect(excerpt.split('\n')).toEqual([
+      "const express = require('express');",
+      '',
+      '... lines 12-14:',
+      '  total() {',
+      '    return this.items.reduce((sum, item) => sum + item.price, 0);',
+      '  }',
+      '...'
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+// Coverage reports of the test writer's sandbox runs: lcov (Jest/Istanbul,
+// coverage.py) and Go cover profiles, reduced to per-file line, branch and
+// function coverage keyed by the path relative to the checkout:
+// { [file]: { lines: { found, hit }, branches: { found, hit } | null, functions: [{ name, line, hit }] } }
+
+const percent = ({ found, hit }) => (found > 0 ? Math.round((hit / found) * 1000) / 10 : null);
+
+// Source paths are absolute in the sandbox (/workspace/... or the checkout)
+const relativePath = (file, roots) => {
+  for (const root of roots) {
+    if (file.startsWith(`${root}/`)) {
+      return file.substring(root.length + 1);
+    }
+  }
+  return file.replace(/^\.\//, '');
+};
+
+function parseLcov(text, roots = []) {
+  const files = {};
+  let current = null;
+  let lines = null;
+  let branches = null;
+  let functions = null;
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    const separator = line.indexOf(':');
+    const key = separator > 0 ? line.substring(0, separator) : line;
+    const value = line.substring(separator + 1);
+
+    if (key === 'SF') {
+      current = relativePath(value, roots);
+      lines = new Map();
+      branches = [];
+      functions = new Map();
+    } else if (!current) {
+      continue;
+    } else if (key === 'DA') {
+      const [number, hits] = value.split(',');
+      lines.set(number, (lines.get(number) || 0) + parseInt(hits, 10));
+    } else if (key === 'BRDA') {
+      // line,block,branch,taken ('-' when the line never ran)
+      const taken = value.split(',')[3];
+      branches.push(taken !== '-' && parseInt(taken, 10) > 0);
+    } else if (key === 'FN') {
+      // FN:<line>,<name> or, in newer lcov, FN:<line>,<end line>,<name>
+      const parts = value.split(',');
+      const name = parts.slice(parts.length === 3 && /^\d+$/.test(parts[1]) ? 2 : 1).join(',');
+      functions.set(name, { name, line: parseInt(parts[0], 10), hit: false });
+    } else if (key === 'FNDA') {
+      const [hits, ...name] = value.split(',');
+      const fn = functions.get(name.join(','));
+      if (fn && parseInt(hits, 10) > 0) {
+        fn.hit = true;
+      }
+    } else if (key === 'end_of_record') {
+      files[current] = {
+        lines: { found: lines.size, hit: [...lines.values()].filter(hits => hits > 0).length },
+        branches: branches.length > 0 ? { found: branches.length, hit: branches.filter(Boolean).length } : null,
+        functions: [...functions.values()]
+      };
+      current = null;
+    }
+  }
+  return files;
+}
+
+// `go test -coverprofile` blocks (import/path/file.go:start.col,end.col statements count)
+// plus `go tool cover -func` for functions. Go has no branch coverage.
+function parseGoCoverage(profile, funcOutput, modulePath) {
+  const strip = (file) => (modulePath && file.startsWith(`${modulePath}/`) ? file.substring(modulePath.length + 1) : file);
+  const lineHits = {};
+
+  for (const line of profile.split('\n')) {
+    const block = line.match(/^(.+):(\d+)\.\d+,(\d+)\.\d+ \d+ (\d+)$/);
+    if (!block) {
+      continue;
+    }
+    const file = strip(block[1]);
+    const hits = lineHits[file] || (lineHits[file] = new Map());
+    for (let number = parseInt(block[2], 10); number <= parseInt(block[3], 10); number++) {
+      hits.set(number, (hits.get(number) || 0) + parseInt(block[4], 10));
+    }
+  }
+
+  const files = {};
+  for (const [file, hits] of Object.entries(lineHits)) {
+    files[file] = {
+      lines: { found: hits.size, hit: [...hits.values()].filter(count => count > 0).length },
+      branches: null,
+      functions: []
+    };
+  }
+  for (const line of funcOutput.split('\n')) {
+    const fn = line.match(/^(.+):(\d+):\s+(\S+)\s+([\d.]+)%$/);
+    if (fn && files[strip(fn[1])]) {
+      files[strip(fn[1])].functions.push({ name: fn[3], line: parseInt(fn[2], 10), hit: parseFloat(fn[4]) > 0 });
+    }
+  }
+  return files;
+}
+
+// Sums the line and branch counts of `files` in a parsed report
+const totals = (report, files) => {
+  const sum = (key) => files.reduce((total, file) => {
+    const counts = report[file]?.[key];
+    return counts ? { found: total.found + counts.found, hit: total.hit + counts.hit } : total;
+  }, { found: 0, hit: 0 });
+  return { lines: sum('lines'), branches: sum('branches') };
+};
+
+const change = (before, after) => ({
+  before,
+  after,
+  delta: before !== null && after !== null ? Math.round((after - before) * 10) / 10 : null
+});
+
+const compare = (before, after, key) => {
+  if (!before?.[key] && !after?.[key]) {
+    return null;
+  }
+  return change(before?.[key] ? percent(before[key]) : null, after?.[key] ? percent(after[key]) : null);
+};
+
+const THRESHOLDS = [
+  { name: 'min_line_coverage', actual: (total) => total.lines.after },
+  { name: 'min_branch_coverage', actual: (total) => total.branches?.after ?? null },
+  { name: 'min_line_delta', actual: (total) => total.lines.delta }
+];
+
+// Compares the coverage of `files` before and after the generated tests were
+// added and checks it against `thresholds` ({ min_line_coverage, ... }).
+// A threshold that couldn't be measured fails.
+function coverageReport(before, after, files, thresholds = {}) {
+  const beforeTotals = totals(before || {}, files);
+  const afterTotals = totals(after || {}, files);
+  const total = {
+    lines: change(percent(beforeTotals.lines), percent(afterTotals.lines)),
+    branches: beforeTotals.branches.found > 0 || afterTotals.branches.found > 0
+      ? change(percent(beforeTotals.branches), percent(afterTotals.branches))
+      : null
+  };
+
+  const checks = THRESHOLDS
+    .filter(threshold => thresholds[threshold.name] !== null && thresholds[threshold.name] !== undefined)
+    .map(threshold => {
+      const actual = threshold.actual(total);
+      return { check: threshold.name, expected: thresholds[threshold.name], actual, passed: actual !== null && actual >= thresholds[threshold.name] };
+    });
+
+  return {
+    total,
+    files: files.map(file => ({
+      file,
+      lines: compare(before?.[file], after?.[file], 'lines'),
+      branches: compare(before?.[file], after?.[file], 'branches'),
+      uncovered_functions: ((after || before)?.[file]?.functions || []).filter(fn => !fn.hit).map(fn => fn.name)
+    })),
+    checks,
+    passed: checks.every(check => check.passed)
+  };
+}
+
+module.exports = {
+  parseLcov,
+  parseGoCoverage,
+  coverageReport,
+  totals,
+  percent
+};
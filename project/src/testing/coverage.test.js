@@ -0,0 +1,102 @@
+const { parseLcov, parseGoCoverage, coverageReport } = require('./coverage');
+
+const LCOV = [
+  'TN:',
+  'SF:/workspace/src/math.js',
+  'FN:1,add',
+  'FN:5,7,divide',
+  'FNDA:3,add',
+  'FNDA:0,divide',
+  'DA:1,3',
+  'DA:2,3',
+  'DA:5,0',
+  'DA:6,0',
+  'BRDA:5,0,0,0',
+  'BRDA:5,0,1,-',
+  'BRDA:2,1,0,2',
+  'end_of_record',
+  'SF:./lib/util.js',
+  'DA:1,1',
+  'DA:1,1',
+  'end_of_record',
+  ''
+].join('\n');
+
+describe('parseLcov', () => {
+  test('reduces each file to line, branch and function coverage', () => {
+    const report = parseLcov(LCOV, ['/workspace']);
+
+    expect(Object.keys(report)).toEqual(['src/math.js', 'lib/util.js']);
+    expect(report['src/math.js']).toEqual({
+      lines: { found: 4, hit: 2 },
+      branches: { found: 3, hit: 1 },
+      functions: [
+        { name: 'add', line: 1, hit: true },
+        { name: 'divide', line: 5, hit: false }
+      ]
+    });
+  });
+
+  test('counts a line reported twice once and leaves branches null when there are none', () => {
+    expect(parseLcov(LCOV, ['/workspace'])['lib/util.js']).toEqual({
+      lines: { found: 1, hit: 1 },
+      branches: null,
+      functions: []
+    });
+  });
+
+  test('keeps absolute paths outside the roots and ignores lines before a file', () => {
+    expect(Object.keys(parseLcov(`DA:1,1\n${LCOV}`))).toEqual(['/workspace/src/math.js', 'lib/util.js']);
+  });
+});
+
+describe('parseGoCoverage', () => {
+  test('reads the profile blocks and the function summary', () => {
+    const profile = [
+      'mode: set',
+      'example.com/app/calc/calc.go:3.24,5.2 1 1',
+      'example.com/app/calc/calc.go:7.24,9.2 1 0'
+    ].join('\n');
+    const funcs = [
+      'example.com/app/calc/calc.go:3:\tAdd\t\t100.0%',
+      'example.com/app/calc/calc.go:7:\tSub\t\t0.0%',
+      'total:\t\t\t\t(statements)\t50.0%'
+    ].join('\n');
+
+    expect(parseGoCoverage(profile, funcs, 'example.com/app')).toEqual({
+      'calc/calc.go': {
+        lines: { found: 6, hit: 3 },
+        branches: null,
+        functions: [{ name: 'Add', line: 3, hit: true }, { name: 'Sub', line: 7, hit: false }]
+      }
+    });
+  });
+});
+
+describe('coverageReport', () => {
+  const before = parseLcov(LCOV, ['/workspace']);
+  const after = {
+    ...before,
+    'src/math.js': { ...before['src/math.js'], lines: { found: 4, hit: 4 }, functions: [{ name: 'add', line: 1, hit: true }, { name: 'divide', line: 5, hit: true }] }
+  };
+
+  test('compares the coverage of the changed files before and after', () => {
+    const report = coverageReport(before, after, ['src/math.js']);
+
+    expect(report.total.lines).toEqual({ before: 50, after: 100, delta: 50 });
+    expect(report.total.branches).toEqual({ before: 33.3, after: 33.3, delta: 0 });
+    expect(report.files[0]).toMatchObject({ file: 'src/math.js', uncovered_functions: [] });
+    expect(report).toMatchObject({ checks: [], passed: true });
+  });
+
+  test('checks the thresholds and fails the ones that could not be measured', () => {
+    const report = coverageReport(before, null, ['src/math.js'], { min_line_coverage: 80, min_line_delta: 10, min_branch_coverage: null });
+
+    expect(report.checks).toEqual([
+      { check: 'min_line_coverage', expected: 80, actual: null, passed: false },
+      { check: 'min_line_delta', expected: 10, actual: null, passed: false }
+    ]);
+    expect(report.passed).toBe(false);
+    expect(report.files[0].uncovered_functions).toEqual(['divide']);
+  });
+});
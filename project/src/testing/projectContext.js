@@ -0,0 +1,335 @@
+// What the test writer knows about a repository's tests, read through the
+// SCM provider at one commit: the test framework and libraries of each
+// language (package.json and the Jest/Vitest/Mocha config, the pytest
+// config, go.mod), where the existing tests live and how they look, and the
+// local modules a changed file imports. One instance per request; reads are
+// memoized.
+
+const path = require('path').posix;
+const winston = require('winston');
+const scm = require('../scm');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Longer files are cut before they go into the prompt
+const MAX_FILE_CHARS = 4000;
+const MAX_EXAMPLES = 2;
+const MAX_IMPORTS = 3;
+
+const JS_FRAMEWORKS = [
+  { name: 'Vitest', package: 'vitest', config: /^vitest\.config\.[cm]?[jt]s$/ },
+  { name: 'Mocha', package: 'mocha', config: /^\.mocharc\.(js|cjs|json|jsonc|yml|yaml)$/ },
+  { name: 'Jest', package: 'jest', config: /^jest\.config\.([cm]?[jt]s|json)$/ }
+];
+
+// Libraries worth telling the LLM about when the project depends on them
+const JS_TEST_LIBRARIES = ['chai', 'sinon', 'should', 'expect.js', 'supertest', 'nock', 'msw', 'jest-mock-extended',
+  '@testing-library/react', '@testing-library/vue', '@testing-library/jest-dom', '@vitest/coverage-v8', 'ts-jest'];
+const PYTHON_TEST_LIBRARIES = ['pytest-mock', 'pytest-asyncio', 'pytest-django', 'hypothesis', 'responses', 'freezegun', 'factory-boy'];
+
+const PYTHON_CONFIGS = [
+  { file: 'pytest.ini' },
+  { file: 'pyproject.toml', section: '[tool.pytest' },
+  { file: 'setup.cfg', section: '[tool:pytest]' },
+  { file: 'tox.ini', section: '[pytest]' }
+];
+
+// Directories that hold a whole project's tests
+const TEST_DIRS = ['test', 'tests', '__tests__', 'spec'];
+
+const TEST_FILE_PATTERNS = {
+  js: /\.(test|spec)\.[cm]?[jt]sx?$/,
+  py: /^test_.*\.py$|_test\.py$/,
+  go: /_test\.go$/
+};
+
+const JS_EXTENSIONS = ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx'];
+
+const languageOf = (filename) => {
+  const ext = path.extname(filename).substring(1);
+  if (['js', 'ts', 'mjs', 'cjs', 'jsx', 'tsx'].includes(ext)) {
+    return 'js';
+  }
+  return ext;
+};
+
+const clip = (content) => (content.length > MAX_FILE_CHARS
+  ? `${content.substring(0, MAX_FILE_CHARS)}\n... (truncated)`
+  : content);
+
+class ProjectContext {
+  constructor(repository, ref) {
+    this.repository = repository;
+    this.ref = ref;
+    this.provider = scm.forRepository(repository);
+    this.cache = new Map();
+    this.javascript = null;
+    this.python = null;
+    this.go = null;
+  }
+
+  // getContent, memoized; unreadable paths are null
+  read(filePath) {
+    if (!this.cache.has(filePath)) {
+      this.cache.set(filePath, this.provider.getContent(this.repository, filePath, this.ref).catch(error => {
+        logger.warn(`Could not fetch ${filePath || '/'} from ${this.repository}: ${error.message}`);
+        return null;
+      }));
+    }
+    return this.cache.get(filePath);
+  }
+
+  async readFile(filePath) {
+    const content = await this.read(filePath);
+    return content && content.type === 'file' ? content.content : null;
+  }
+
+  async listDirectory(dir) {
+    const content = await this.read(dir === '.' ? '' : dir);
+    return content && content.type === 'directory' ? content.files : [];
+  }
+
+  // Reads the project files of the languages in `filenames`
+  async load(filenames) {
+    const languages = new Set(filenames.map(languageOf));
+    const root = await this.listDirectory('');
+    this.rootFiles = root;
+
+    if (languages.has('js')) {
+      this.javascript = await this.loadJavaScript(root);
+    }
+    if (languages.has('py')) {
+      this.python = await this.loadPython(root);
+    }
+    if (languages.has('go')) {
+      this.go = await this.loadGo();
+    }
+    return this;
+  }
+
+  async loadJavaScript(root) {
+    let pkg = {};
+    const packageJson = await this.readFile('package.json');
+    try {
+      pkg = packageJson ? JSON.parse(packageJson) : {};
+    } catch (error) {
+      logger.warn(`Invalid package.json in ${this.repository}: ${error.message}`);
+    }
+    const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+    const testScript = pkg.scripts?.test || '';
+
+    // The test script is what actually runs, then config files, then dependencies
+    const framework = JS_FRAMEWORKS.find(candidate => new RegExp(`\\b${candidate.package}\\b`).test(testScript))
+      || JS_FRAMEWORKS.find(candidate => root.some(file => candidate.config.test(file)) || (candidate.name === 'Jest' && pkg.jest))
+      || JS_FRAMEWORKS.find(candidate => dependencies[candidate.package])
+      || JS_FRAMEWORKS.find(candidate => candidate.name === 'Jest');
+
+    const configFiles = [];
+    for (const file of root.filter(name => framework.config.test(name))) {
+      configFiles.push({ path: file, content: clip(await this.readFile(file) || '') });
+    }
+    for (const key of ['jest', 'mocha']) {
+      if (pkg[key]) {
+        configFiles.push({ path: `package.json ("${key}")`, content: clip(JSON.stringify(pkg[key], null, 2)) });
+      }
+    }
+
+    const conventions = [
+      `${framework.name}${dependencies[framework.package] ? ` ${dependencies[framework.package]}` : ''}, run by \`${testScript || 'npm test'}\``,
+      pkg.type === 'module' ? 'ES modules (import/export)' : 'CommonJS unless the file uses import/export'
+    ];
+    const libraries = JS_TEST_LIBRARIES.filter(name => dependencies[name]).map(name => `${name} ${dependencies[name]}`);
+    if (libraries.length > 0) {
+      conventions.push(`Test libraries: ${libraries.join(', ')}`);
+    }
+    return { framework: framework.name, configFiles, conventions };
+  }
+
+  async loadPython(root) {
+    const configFiles = [];
+    for (const config of PYTHON_CONFIGS.filter(candidate => root.includes(candidate.file))) {
+      const content = await this.readFile(config.file);
+      if (content && (!config.section || content.includes(config.section))) {
+        configFiles.push({ path: config.file, content: clip(content) });
+      }
+    }
+
+    const requirements = [];
+    for (const file of root.filter(name => /^(requirements.*\.txt|pyproject\.toml|setup\.py|Pipfile)$/.test(name))) {
+      requirements.push((await this.readFile(file) || '').toLowerCase());
+    }
+    const libraries = PYTHON_TEST_LIBRARIES.filter(name => requirements.some(content => content.includes(name)));
+
+    const conventions = ['pytest; plain assert statements unless the existing tests use unittest.TestCase'];
+    if (libraries.length > 0) {
+      conventions.push(`Test libraries: ${libraries.join(', ')}`);
+    }
+    return { framework: 'pytest', configFiles, conventions };
+  }
+
+  async loadGo() {
+    const goMod = await this.readFile('go.mod') || '';
+    const modulePath = (goMod.match(/^module\s+(\S+)/m) || [])[1] || null;
+    const goVersion = (goMod.match(/^go\s+(\S+)/m) || [])[1] || null;
+
+    const conventions = [`Go${goVersion ? ` ${goVersion}` : ''}, module ${modulePath || '(no go.mod)'}; tests in the package of the file`];
+    conventions.push(goMod.includes('github.com/stretchr/testify')
+      ? 'Assertions with github.com/stretchr/testify (assert/require)'
+      : 'The standard testing package only; no assertion library in go.mod');
+    return { framework: 'testing', configFiles: goMod ? [{ path: 'go.mod', content: clip(goMod) }] : [], conventions, modulePath };
+  }
+
+  framework(filename) {
+    const language = { js: this.javascript, py: this.python, go: this.go }[languageOf(filename)];
+    return language ? language.framework : null;
+  }
+
+  // Where the project keeps tests: next to the source (the default), in a
+  // __tests__ directory next to it, or in a top-level test directory
+  async testFileName(filename, conventional) {
+    const language = languageOf(filename);
+    const dir = path.dirname(filename);
+    const pattern = TEST_FILE_PATTERNS[language];
+    if (!pattern || language === 'go') {
+      return conventional;
+    }
+
+    const siblings = (await this.listDirectory(dir)).filter(name => pattern.test(name));
+    const base = path.basename(conventional);
+    if (language === 'js' && siblings.length === 0 && (await this.listDirectory(dir)).includes('__tests__')) {
+      return path.join(dir, '__tests__', base);
+    }
+    if (language === 'js' && siblings.some(name => name.includes('.spec.')) && !siblings.some(name => name.includes('.test.'))) {
+      return conventional.replace(/\.test\.([^.]+)$/, '.spec.$1');
+    }
+    if (siblings.length === 0) {
+      for (const testDir of TEST_DIRS.filter(name => this.rootFiles.includes(name))) {
+        if ((await this.listDirectory(testDir)).some(name => pattern.test(name))) {
+          // Mirrors the source tree, so src/a/index.js and src/b/index.js don't share a test file
+          return path.join(testDir, dir.replace(/^(?:src|lib)(?:\/|$)/, ''), base);
+        }
+      }
+    }
+    return conventional;
+  }
+
+  // Up to MAX_EXAMPLES existing tests near `filename`, the one for the file itself first
+  async exampleTests(filename, testFile) {
+    const pattern = TEST_FILE_PATTERNS[languageOf(filename)];
+    if (!pattern) {
+      return [];
+    }
+    const dirs = [path.dirname(filename), path.dirname(testFile), ...TEST_DIRS.filter(name => this.rootFiles.includes(name))];
+    const candidates = [];
+    for (const dir of [...new Set(dirs)]) {
+      for (const name of (await this.listDirectory(dir)).filter(entry => pattern.test(entry))) {
+        candidates.push(path.join(dir, name));
+      }
+    }
+    const stem = path.basename(filename).split('.')[0];
+    candidates.sort((a, b) => Number(path.basename(b).includes(stem)) - Number(path.basename(a).includes(stem)));
+
+    const examples = [];
+    for (const candidate of [...new Set(candidates)].slice(0, MAX_EXAMPLES)) {
+      const content = await this.readFile(candidate);
+      if (content) {
+        examples.push({ path: candidate, content: clip(content) });
+      }
+    }
+    return examples;
+  }
+
+  // conftest.py files whose fixtures the test file gets
+  async fixtures(testFile) {
+    const files = [];
+    let dir = path.dirname(testFile);
+    for (;;) {
+      const conftest = path.join(dir, 'conftest.py');
+      if ((await this.listDirectory(dir)).includes('conftest.py')) {
+        files.unshift({ path: conftest, content: clip(await this.readFile(conftest) || '') });
+      }
+      if (dir === '.') {
+        return files;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  // Local modules `file` imports, resolved against the repository's files
+  async imports(file) {
+    const language = languageOf(file.filename);
+    const dir = path.dirname(file.filename);
+    let candidates = [];
+
+    if (language === 'js') {
+      const specifiers = [...file.content.matchAll(/(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\(\s*)['"](\.{1,2}\/[^'"]+)['"]/g)]
+        .map(match => path.join(dir, match[1]));
+      candidates = specifiers.map(specifier => [
+        specifier,
+        ...JS_EXTENSIONS.map(ext => `${specifier}${ext}`),
+        ...JS_EXTENSIONS.map(ext => path.join(specifier, `index${ext}`))
+      ]);
+    } else if (language === 'py') {
+      for (const match of file.content.matchAll(/^\s*(?:from\s+(\.*)([\w.]*)\s+import|import\s+([\w.]+))/gm)) {
+        const base = match[1]
+          ? path.join(dir, ...Array(match[1].length - 1).fill('..'))
+          : '.';
+        const modulePath = (match[2] || match[3] || '').split('.').filter(Boolean).join('/');
+        if (modulePath) {
+          const roots = match[1] ? [base] : ['.', 'src'];
+          candidates.push(roots.flatMap(rootDir => [path.join(rootDir, `${modulePath}.py`), path.join(rootDir, modulePath, '__init__.py')]));
+        }
+      }
+    } else if (language === 'go' && this.go?.modulePath) {
+      const prefix = `${this.go.modulePath}/`;
+      for (const match of file.content.matchAll(/"([^"\s]+)"/g)) {
+        if (match[1].startsWith(prefix)) {
+          const packageDir = match[1].substring(prefix.length);
+          const sources = (await this.listDirectory(packageDir)).filter(name => name.endsWith('.go') && !name.endsWith('_test.go'));
+          candidates.push(sources.map(name => path.join(packageDir, name)));
+        }
+      }
+    }
+
+    const modules = [];
+    for (const options of candidates) {
+      if (modules.length >= MAX_IMPORTS) {
+        break;
+      }
+      for (const option of options) {
+        if (option === file.filename || modules.some(module => module.path === option)) {
+          continue;
+        }
+        if ((await this.listDirectory(path.dirname(option))).includes(path.basename(option))) {
+          const content = await this.readFile(option);
+          if (content !== null) {
+            modules.push({ path: option, content: clip(content) });
+            break;
+          }
+        }
+      }
+    }
+    return modules;
+  }
+
+  // Everything the prompt for `file` needs
+  async forFile(file, testFile) {
+    const language = { js: this.javascript, py: this.python, go: this.go }[languageOf(file.filename)];
+    return {
+      conventions: language ? language.conventions : [],
+      config_files: [
+        ...(language ? language.configFiles : []),
+        ...(languageOf(file.filename) === 'py' ? await this.fixtures(testFile) : [])
+      ],
+      examples: await this.exampleTests(file.filename, testFile),
+      imports: await this.imports(file)
+    };
+  }
+}
+
+module.exports = ProjectContext;
+module.exports.languageOf = languageOf;
@@ -0,0 +1,332 @@
+// Runs generated tests against a throwaway checkout of a pull request head.
+// TEST_SANDBOX picks where commands run: `docker` (default) starts a
+// container per command with the checkout mounted at /workspace, `local` runs
+// them on this host with a bare environment (PATH only), for hosts without
+// Docker. The choice is the operator's, never the repository's.
+
+const Docker = require('dockerode');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const scm = require('../scm');
+const { git } = require('../review/localGit');
+const { parseLcov, parseGoCoverage } = require('./coverage');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const SANDBOXES = ['docker', 'local'];
+
+// Failure output handed to the LLM and returned to the caller
+const MAX_OUTPUT_CHARS = 4000;
+
+const MAX_BUFFER_BYTES = 20 * 1024 * 1024;
+
+const quote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+// Coverage reports are written here, relative to the checkout
+const COVERAGE_DIR = '.sandbox/coverage';
+
+// Reports name files by their path in the container or on this host
+const readLcov = async (dir, file) =>
+  parseLcov(await fs.readFile(path.join(dir, COVERAGE_DIR, file), 'utf8'), ['/workspace', dir, await fs.realpath(dir)]);
+
+// How each framework is set up in a checkout, how one test file is run and
+// how the whole suite is run with coverage of `files` (the suite's exit code
+// is kept when the report is converted). Tool caches and installs stay
+// inside the checkout (`.sandbox/`), so the setup carries over from one
+// container to the next.
+const NODE_SETUP = 'if [ -f package-lock.json ]; then npm ci --no-audit --no-fund; ' +
+  'elif [ -f package.json ]; then npm install --no-audit --no-fund; fi';
+
+const RUNNERS = {
+  Jest: {
+    image: 'node:20',
+    setup: NODE_SETUP,
+    test: (file) => `npx --yes jest --ci --runTestsByPath ${quote(file)}`,
+    coverage: {
+      tool: 'istanbul',
+      // Without collectCoverageFrom, files no test loads are left out
+      command: (files) => `npx --yes jest --ci --passWithNoTests --coverage --coverageReporters=lcov --coverageDirectory=${COVERAGE_DIR} ` +
+        files.map(file => quote(`--collectCoverageFrom=${file}`)).join(' '),
+      read: (dir) => readLcov(dir, 'lcov.info')
+    }
+  },
+  // Coverage needs the project's @vitest/coverage-v8 or -istanbul
+  Vitest: {
+    image: 'node:20',
+    setup: NODE_SETUP,
+    test: (file) => `npx --yes vitest run ${quote(file)}`,
+    coverage: {
+      tool: 'vitest',
+      command: (files) => `npx --yes vitest run --passWithNoTests --coverage.enabled --coverage.reporter=lcov --coverage.reportsDirectory=${COVERAGE_DIR} ` +
+        files.map(file => quote(`--coverage.include=${file}`)).join(' '),
+      read: (dir) => readLcov(dir, 'lcov.info')
+    }
+  },
+  // The suite is the project's configured spec
+  Mocha: {
+    image: 'node:20',
+    setup: NODE_SETUP,
+    test: (file) => `npx --yes mocha ${quote(file)}`,
+    coverage: {
+      tool: 'c8',
+      command: (files) => `npx --yes c8 --reporter=lcovonly --reports-dir=${COVERAGE_DIR} --all ` +
+        `${files.map(file => quote(`--include=${file}`)).join(' ')} npx --yes mocha`,
+      read: (dir) => readLcov(dir, 'lcov.info')
+    }
+  },
+  pytest: {
+    image: 'python:3.12-slim',
+    setup: 'python3 -m venv .sandbox/venv && .sandbox/venv/bin/pip install -q pytest coverage && ' +
+      'if [ -f requirements.txt ]; then .sandbox/venv/bin/pip install -q -r requirements.txt; fi && ' +
+      'if [ -f pyproject.toml ] || [ -f setup.py ]; then .sandbox/venv/bin/pip install -q -e .; fi',
+    test: (file) => `.sandbox/venv/bin/python -m pytest -q ${quote(file)}`,
+    coverage: {
+      tool: 'coverage.py',
+      command: () => `.sandbox/venv/bin/python -m coverage run --branch --source=. --omit='.sandbox/*' -m pytest -q; status=$?; ` +
+        `.sandbox/venv/bin/python -m coverage lcov -q -o ${COVERAGE_DIR}/lcov.info; exit $status`,
+      read: (dir) => readLcov(dir, 'lcov.info')
+    }
+  },
+  testing: {
+    image: 'golang:1.22',
+    setup: 'if [ -f go.mod ]; then go mod download; fi',
+    // Go tests run per package
+    test: (file) => `go test ${quote(`./${path.posix.dirname(file)}`)}`,
+    coverage: {
+      tool: 'go cover',
+      command: () => `go test -coverprofile=${COVERAGE_DIR}/cover.out ./...; status=$?; ` +
+        `go tool cover -func=${COVERAGE_DIR}/cover.out > ${COVERAGE_DIR}/func.txt; exit $status`,
+      read: async (dir) => {
+        const profile = await fs.readFile(path.join(dir, COVERAGE_DIR, 'cover.out'), 'utf8');
+        const functions = await fs.readFile(path.join(dir, COVERAGE_DIR, 'func.txt'), 'utf8').catch(() => '');
+        // Profiles name files by import path
+        const goMod = await fs.readFile(path.join(dir, 'go.mod'), 'utf8').catch(() => '');
+        const modulePath = (goMod.match(/^module\s+(\S+)/m) || [])[1] || null;
+        return parseGoCoverage(profile, functions, modulePath);
+      }
+    }
+  }
+};
+
+const runnerEnv = (root) => ({
+  HOME: `${root}/.sandbox/home`,
+  CI: 'true',
+  npm_config_cache: `${root}/.sandbox/npm`,
+  PIP_CACHE_DIR: `${root}/.sandbox/pip`,
+  GOPATH: `${root}/.sandbox/go`,
+  GOCACHE: `${root}/.sandbox/go-build`,
+  GOFLAGS: '-modcacherw'
+});
+
+const tail = (output) => (output.length > MAX_OUTPUT_CHARS ? `...\n${output.slice(-MAX_OUTPUT_CHARS)}` : output);
+
+class TestSandbox {
+  constructor(mode = process.env.TEST_SANDBOX || 'docker', workRoot = process.env.TEST_SANDBOX_DIR || os.tmpdir()) {
+    if (!SANDBOXES.includes(mode)) {
+      throw new Error(`Unknown TEST_SANDBOX: ${mode} (expected one of ${SANDBOXES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.workRoot = workRoot;
+    this.docker = mode === 'docker' ? new Docker() : null;
+  }
+
+  supports(framework) {
+    return Boolean(RUNNERS[framework]);
+  }
+
+  supportsCoverage(framework) {
+    return Boolean(RUNNERS[framework]?.coverage);
+  }
+
+  // Fetches only the head commit of `pr` into a new temporary directory
+  async checkout(repository, pr, signal) {
+    const source = scm.forRepository(repository).cloneSource(repository, pr);
+    // Credentials go through git's environment config, never the command line or the URL
+    const env = {
+      GIT_TERMINAL_PROMPT: '0',
+      ...(source.auth_header && { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'http.extraHeader', GIT_CONFIG_VALUE_0: source.auth_header })
+    };
+
+    const dir = await fs.mkdtemp(path.join(this.workRoot, 'devops-agent-tests-'));
+    try {
+      await git(dir, ['init', '-q'], signal);
+      await git(dir, ['fetch', '-q', '--depth', '1', '--no-tags', source.url, source.ref], signal, env);
+      await git(dir, ['checkout', '-q', '--detach', 'FETCH_HEAD'], signal);
+      const sha = (await git(dir, ['rev-parse', 'HEAD'], signal)).trim();
+      if (sha !== pr.head_sha) {
+        throw new Error(`${source.ref} is at ${sha.substring(0, 7)}, expected ${pr.head_sha.substring(0, 7)}`);
+      }
+      await fs.mkdir(path.join(dir, '.sandbox', 'home'), { recursive: true });
+      logger.info(`Checked out ${repository}@${sha.substring(0, 7)} in ${dir}`);
+      return dir;
+    } catch (error) {
+      await this.remove(dir);
+      throw error;
+    }
+  }
+
+  async remove(dir) {
+    await fs.rm(dir, { recursive: true, force: true }).catch(error =>
+      logger.warn(`Failed to remove ${dir}: ${error.message}`));
+  }
+
+  // Installs the dependencies `framework` needs in the checkout
+  async setup(dir, framework, options) {
+    return this.exec(dir, framework, RUNNERS[framework].setup, options);
+  }
+
+  // Runs one test file (relative to the checkout)
+  async runTest(dir, framework, testFile, options) {
+    return this.exec(dir, framework, RUNNERS[framework].test(testFile), options);
+  }
+
+  // Runs the whole suite with coverage of `files` (relative to the checkout).
+  // -> { tool, run, files } where `files` is the parsed report, or null when
+  // the suite wrote none
+  async coverage(dir, framework, files, options) {
+    const { coverage } = RUNNERS[framework];
+    await fs.rm(path.join(dir, COVERAGE_DIR), { recursive: true, force: true });
+    await fs.mkdir(path.join(dir, COVERAGE_DIR), { recursive: true });
+    const run = await this.exec(dir, framework, coverage.command(files), options);
+    let report = null;
+    try {
+      report = await coverage.read(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return { tool: coverage.tool, run, files: report };
+  }
+
+  // -> { passed, exit_code, timed_out, output, duration_ms }
+  async exec(dir, framework, command, { timeoutSeconds = 300, signal } = {}) {
+    const started = Date.now();
+    const result = this.mode === 'docker'
+      ? await this.execDocker(dir, RUNNERS[framework].image, command, timeoutSeconds * 1000, signal)
+      : await this.execLocal(dir, command, timeoutSeconds * 1000, signal);
+    const output = tail(result.timed_out ? `${result.output}\nTimed out after ${timeoutSeconds}s` : result.output);
+    return { passed: result.exit_code === 0 && !result.timed_out, ...result, output, duration_ms: Date.now() - started };
+  }
+
+  execLocal(dir, command, timeoutMs, signal) {
+    return new Promise((resolve) => {
+      // Its own process group, so a timeout or abort kills the test runner
+      // and everything it started, not just the shell
+      const child = spawn('sh', ['-c', `${command} 2>&1`], {
+        cwd: dir,
+        // No tokens or keys of this server for the code under test
+        env: { PATH: process.env.PATH, ...runnerEnv(dir) },
+        stdio: ['ignore', 'pipe', 'ignore'],
+        detached: true
+      });
+      let output = '';
+      let timedOut = false;
+      let aborted = false;
+
+      const killGroup = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already gone
+        }
+      };
+      const onAbort = () => {
+        aborted = true;
+        killGroup();
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup();
+      }, timeoutMs);
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+
+      child.stdout.on('data', (chunk) => {
+        // Keep the end, where test runners put their summary
+        output = `${output}${chunk}`;
+        if (output.length > MAX_BUFFER_BYTES) {
+          output = output.slice(-MAX_BUFFER_BYTES);
+        }
+      });
+      const finish = (exitCode, message = '') => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({
+          exit_code: exitCode,
+          timed_out: timedOut && !aborted,
+          output: `${output}${message}`
+        });
+      };
+      child.on('error', (error) => finish(1, error.message));
+      child.on('close', (code) => finish(typeof code === 'number' ? code : 1));
+    });
+  }
+
+  async execDocker(dir, image, command, timeoutMs, signal) {
+    await this.ensureImage(image);
+    const container = await this.docker.createContainer({
+      Image: image,
+      Cmd: ['sh', '-c', command],
+      WorkingDir: '/workspace',
+      Tty: true,
+      Env: Object.entries(runnerEnv('/workspace')).map(([key, value]) => `${key}=${value}`),
+      // Files written to the mounted checkout stay removable by this process
+      ...(process.getuid && { User: `${process.getuid()}:${process.getgid()}` }),
+      HostConfig: {
+        Binds: [`${dir}:/workspace`],
+        Memory: 2 * 1024 * 1024 * 1024,
+        PidsLimit: 512
+      }
+    });
+
+    let timedOut = false;
+    const kill = () => container.kill().catch(() => {});
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutMs);
+    signal?.addEventListener('abort', kill, { once: true });
+    try {
+      await container.start();
+      const { StatusCode } = await container.wait();
+      const logs = await container.logs({ stdout: true, stderr: true });
+      return { exit_code: StatusCode, timed_out: timedOut, output: logs.toString('utf8') };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', kill);
+      await container.remove({ force: true }).catch(() => {});
+    }
+  }
+
+  async ensureImage(image) {
+    try {
+      await this.docker.getImage(image).inspect();
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      logger.info(`Pulling ${image}`);
+      const stream = await this.docker.pull(image);
+      await new Promise((resolve, reject) =>
+        this.docker.modem.followProgress(stream, pullError => (pullError ? reject(pullError) : resolve())));
+    }
+  }
+}
+
+module.exports = new TestSandbox();
+module.exports.TestSandbox = TestSandbox;
+module.exports.RUNNERS = RUNNERS;
+module.exports.SANDBOXES = SANDBOXES;
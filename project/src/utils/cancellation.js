@@ -0,0 +1,30 @@
+// Cooperative cancellation for long-running agent loops. Callers pass an
+// AbortSignal (background jobs get one from the job manager) in `params.signal`.
+
+// Throws once the job owning `signal` has been cancelled; agents call this between iterations
+const throwIfCancelled = (signal, message = 'Operation cancelled') => {
+  if (signal?.aborted) {
+    throw new Error(message);
+  }
+};
+
+// setTimeout that resolves early when the job is cancelled
+const sleep = (ms, signal) => new Promise((resolve) => {
+  if (signal?.aborted) {
+    return resolve();
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+module.exports = {
+  throwIfCancelled,
+  sleep
+};
@@ -0,0 +1,196 @@
+const Joi = require('joi');
+const { PROVIDERS: LLM_PROVIDERS } = require('../llm/llmClient');
+const { STAGE_NAMES } = require('../pipeline/pipelineOrchestrator');
+
+const ENVIRONMENTS = ['development', 'test', 'staging', 'production'];
+const DOCKER_ACTIONS = ['build_and_push', 'generate_k8s_manifests', 'deploy_to_k8s'];
+
+// Shared field definitions. Strings from form-style clients (n8n sends
+// "300", "true") are coerced to numbers and booleans by joi's convert mode.
+const fields = {
+  // GitLab projects can sit in nested groups
+  repository: Joi.string()
+    .pattern(/^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)+$/, 'owner/repo')
+    .description('Repository as owner/repo (GitLab: group/subgroup/project); SCM_PROVIDERS decides the host'),
+  commitSha: Joi.string()
+    .pattern(/^[0-9a-fA-F]{40}$/, '40-character commit SHA')
+    .description('Full 40-character commit SHA'),
+  prNumber: Joi.number().integer().min(1).description('Pull request number'),
+  branch: Joi.string().description('Branch name'),
+  environment: Joi.string().valid(...ENVIRONMENTS).default('staging').description('Target environment'),
+  namespace: Joi.string()
+    .pattern(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/, 'Kubernetes namespace')
+    .max(63)
+    .description('Kubernetes namespace, defaults to the configured one or the environment'),
+  llmModel: Joi.string().description('LLM model (Azure: deployment name) used by the agent'),
+  llmProvider: Joi.string().valid(...LLM_PROVIDERS).description('LLM provider used by the agent'),
+  pipelineId: Joi.string()
+    .pattern(/^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/, 'pipeline id')
+    .max(128)
+    .description('Records the call as a stage of this pipeline run'),
+  object: Joi.object().unknown(true)
+};
+
+// Branch, tag or commit of a local checkout; never an option
+const gitRef = Joi.string().pattern(/^(?!-)[^\s:]+$/, 'git ref');
+
+// Fields every agent route accepts
+const common = {
+  pipeline_id: fields.pipelineId
+};
+
+// One schema per /agent route. Unknown keys are allowed because the n8n
+// workflow forwards whole payloads between agents.
+const schemas = {
+  'code-review': Joi.object({
+    ...common,
+    repository: fields.repository.description('Repository; required to review a pull request'),
+    pr_number: fields.prNumber,
+    diff_url: Joi.string().uri({ scheme: ['http', 'https'] }).description('URL of the pull request diff'),
+    diff: Joi.string().description('Unified diff to review instead of fetching the pull request diff'),
+    patch_filename: Joi.string().description('Name of the uploaded .patch file (set for multipart uploads)'),
+    repo_path: Joi.string().description('Git checkout under LOCAL_REPO_ROOT to review base_ref...head_ref of'),
+    base_ref: gitRef.description('Ref the changes in repo_path are compared against'),
+    head_ref: gitRef.description('Ref with the changes in repo_path (default HEAD)'),
+    head_sha: fields.commitSha,
+    commit_sha: fields.commitSha,
+    branch: fields.branch,
+    base_branch: fields.branch.description('Branch the pull request merges into; selects the review policies'),
+    full_review: Joi.boolean().description('Review the whole pull request even if an earlier review exists'),
+    autofix: Joi.boolean()
+      .when('pr_number', { not: Joi.exist(), then: Joi.valid(false) })
+      .messages({ 'any.only': '{{#label}} needs pr_number' })
+      .description('Commit the suggested fixes (needs pr_number; default review.autofix.enabled)'),
+    autofix_mode: Joi.string().valid('commit', 'pull_request')
+      .description('commit: push a fixup commit to the pull request branch; pull_request: open a follow-up pull request'),
+    llm_model: fields.llmModel,
+    llm_provider: fields.llmProvider
+  }).or('pr_number', 'diff', 'repo_path')
+    .with('pr_number', 'repository')
+    .with('repo_path', 'base_ref')
+    .unknown(true),
+
+  'secret-scan': Joi.object({
+    ...common,
+    repository: fields.repository.description('Repository; required to scan a pull request'),
+    pr_number: fields.prNumber,
+    diff_url: Joi.string().uri({ scheme: ['http', 'https'] }).description('URL of the pull request diff'),
+    head_sha: fields.commitSha,
+    diff: Joi.string().description('Unified diff to scan instead of a pull request'),
+    path: Joi.string().description('Directory under SECRET_SCAN_ROOT (a docker build context) to scan')
+  }).or('pr_number', 'diff', 'path')
+    .with('pr_number', 'repository')
+    .unknown(true),
+
+  'test-writer': Joi.object({
+    ...common,
+    repository: fields.repository.required(),
+    pr_number: fields.prNumber.required(),
+    changed_files: Joi.number().integer().min(0).description('Number of files changed in the pull request'),
+    output: Joi.string().valid('comment', 'commit', 'pull_request')
+      .description('comment, commit to the pull request branch, or pull_request from a companion branch (default tests.output)'),
+    verify: Joi.boolean().description('Run the tests in a sandbox and keep only those that pass (default tests.verify)'),
+    llm_model: fields.llmModel,
+    llm_provider: fields.llmProvider
+  }).unknown(true),
+
+  'build-predictor': Joi.object({
+    ...common,
+    repository: fields.repository.required(),
+    branch: fields.branch,
+    commit_sha: fields.commitSha,
+    code_review_result: fields.object.description('Result of the code review agent'),
+    llm_model: fields.llmModel,
+    llm_provider: fields.llmProvider
+  }).unknown(true),
+
+  'docker-handler': Joi.object({
+    ...common,
+    repository: fields.repository.required(),
+    action: Joi.string().valid(...DOCKER_ACTIONS).default('build_and_push').description('What the handler should do'),
+    // build_and_push takes the commit from the build prediction when it isn't given
+    // (see resolveCommitSha in src/pipeline/handoff.js)
+    commit_sha: fields.commitSha.when('action', {
+      is: 'build_and_push',
+      then: Joi.when('build_prediction.commit_sha', { not: Joi.exist(), then: Joi.required() })
+    }),
+    build_prediction: fields.object.keys({
+      commit_sha: fields.commitSha
+    }).description('Result of the build predictor agent'),
+    k8s_manifests: fields.object.when('action', {
+      is: 'deploy_to_k8s',
+      then: Joi.required()
+    }).description('Manifests to apply for the deploy_to_k8s action'),
+    namespace: fields.namespace
+  }).unknown(true),
+
+  deploy: Joi.object({
+    ...common,
+    repository: fields.repository.required(),
+    commit_sha: fields.commitSha,
+    image: Joi.string().description('Image reference to deploy'),
+    image_tag: Joi.string().description('Image tag to deploy'),
+    kubernetes_config: fields.object.required().description('Kubernetes manifests from the docker handler'),
+    environment: fields.environment,
+    namespace: fields.namespace
+  }).unknown(true),
+
+  monitor: Joi.object({
+    ...common,
+    deployment_id: Joi.string().guid().required().description('Deployment id returned by the deploy agent'),
+    repository: fields.repository,
+    commit_sha: fields.commitSha,
+    environment: fields.environment,
+    namespace: fields.namespace,
+    monitoring_duration: Joi.number().integer().min(1).max(86400).description('Monitoring duration in seconds')
+  }).unknown(true),
+
+  'provision-aks': Joi.object({
+    ...common,
+    repository: fields.repository.required(),
+    environment: fields.environment,
+    node_count: Joi.number().integer().min(1).max(100).default(1).description('Number of cluster nodes'),
+    vm_size: Joi.string().pattern(/^[A-Za-z0-9_]+$/, 'Azure VM size').default('Standard_D2s_v3').description('Azure VM size of the nodes'),
+    wait_for_ready: Joi.boolean().default(false).description('Wait until the cluster is provisioned')
+  }).unknown(true)
+};
+
+// Body of POST /pipeline/run. Results of earlier stages can be supplied to
+// resume a run from a later stage; their commit_sha counts as the commit.
+const pipelineRun = Joi.object({
+  ...common,
+  repository: fields.repository.required(),
+  pr_number: fields.prNumber,
+  diff_url: Joi.string().uri({ scheme: ['http', 'https'] }).description('URL of the pull request diff'),
+  commit_sha: fields.commitSha,
+  head_sha: fields.commitSha,
+  branch: fields.branch,
+  base_branch: fields.branch.description('Branch the pull request merges into; selects the review policies'),
+  environment: fields.environment,
+  namespace: fields.namespace,
+  llm_model: fields.llmModel,
+  llm_provider: fields.llmProvider,
+  monitoring_duration: Joi.number().integer().min(1).max(86400).description('Monitoring duration in seconds'),
+  skip_approval: Joi.boolean().description('Continue when the code review does not approve the changes'),
+  stages: Joi.array().items(Joi.string().valid(...STAGE_NAMES)).min(1).unique()
+    .description('Stages to run (default all of them)'),
+  code_review_result: fields.object.keys({
+    commit_sha: fields.commitSha.allow(null)
+  }).description('Result of the code review agent'),
+  build_prediction: fields.object.keys({
+    commit_sha: fields.commitSha.allow(null)
+  }).description('Result of the build predictor agent'),
+  image: Joi.string().description('Image reference to deploy'),
+  image_tag: Joi.string().description('Image tag to deploy'),
+  kubernetes_config: fields.object.description('Kubernetes manifests from the docker handler'),
+  deployment_id: Joi.string().guid().description('Deployment id returned by the deploy agent')
+}).or('commit_sha', 'head_sha', 'diff_url', 'build_prediction.commit_sha', 'code_review_result.commit_sha')
+  .messages({ 'object.missing': 'Either commit_sha/head_sha or diff_url is required' })
+  .unknown(true);
+
+module.exports = {
+  schemas,
+  pipelineRun,
+  ENVIRONMENTS,
+  DOCKER_ACTIONS
+};
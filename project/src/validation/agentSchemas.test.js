@@ -0,0 +1,80 @@
+const { schemas, ENVIRONMENTS } = require('./agentSchemas');
+const { validatePayload } = require('../middleware/validate');
+
+const SHA = '245cd4a9c1f1e2d3b4a5968778695a4b3c2d1e0f';
+
+const fields = (result) => result.errors.map(error => error.field);
+
+describe('agent schemas', () => {
+  test('every agent route has a schema', () => {
+    expect(Object.keys(schemas)).toEqual(expect.arrayContaining([
+      'code-review', 'secret-scan', 'test-writer', 'build-predictor', 'docker-handler', 'deploy', 'monitor', 'provision-aks'
+    ]));
+  });
+
+  test('accepts a valid body and keeps the keys other agents forwarded', () => {
+    const body = { repository: 'octo-org/sample-app', pr_number: 42, head_sha: SHA, score: 86 };
+    expect(validatePayload(schemas['code-review'], body)).toEqual({ value: body, errors: null });
+  });
+
+  test('accepts GitLab projects in nested groups', () => {
+    expect(validatePayload(schemas['test-writer'], { repository: 'group/subgroup/project', pr_number: 1 }).errors).toBeNull();
+  });
+
+  test('coerces form-style strings and applies the defaults', () => {
+    const { value, errors } = validatePayload(schemas['provision-aks'], {
+      repository: 'octo-org/sample-app',
+      node_count: '3',
+      wait_for_ready: 'true'
+    });
+
+    expect(errors).toBeNull();
+    expect(value).toEqual({
+      repository: 'octo-org/sample-app',
+      environment: 'staging',
+      node_count: 3,
+      vm_size: 'Standard_D2s_v3',
+      wait_for_ready: true
+    });
+    expect(validatePayload(schemas['docker-handler'], { repository: 'o/r', commit_sha: SHA }).value.action).toBe('build_and_push');
+  });
+
+  test('reports every invalid field at once', () => {
+    const result = validatePayload(schemas['provision-aks'], {
+      repository: 'not a repository',
+      environment: 'moon',
+      node_count: 0
+    });
+
+    expect(result.value).toBeNull();
+    expect(fields(result)).toEqual(['repository', 'environment', 'node_count']);
+    expect(result.errors[1]).toEqual({
+      field: 'environment',
+      message: `"environment" must be one of [${ENVIRONMENTS.join(', ')}]`,
+      type: 'any.only'
+    });
+  });
+
+  test('code-review needs a pull request, a diff or a local checkout', () => {
+    expect(validatePayload(schemas['code-review'], { repository: 'o/r' }).errors[0].type).toBe('object.missing');
+    expect(validatePayload(schemas['code-review'], { pr_number: 1 }).errors[0]).toMatchObject({ type: 'object.with', message: '"pr_number" missing required peer "repository"' });
+    expect(validatePayload(schemas['code-review'], { diff: 'diff --git a/x b/x' }).errors).toBeNull();
+    expect(fields(validatePayload(schemas['code-review'], { diff: 'x', autofix: true }))).toEqual(['autofix']);
+  });
+
+  test('docker-handler build_and_push needs a commit, from the body or the build prediction', () => {
+    const schema = schemas['docker-handler'];
+    expect(fields(validatePayload(schema, { repository: 'o/r' }))).toEqual(['commit_sha']);
+    expect(validatePayload(schema, { repository: 'o/r', build_prediction: { commit_sha: SHA } }).errors).toBeNull();
+    expect(fields(validatePayload(schema, { repository: 'o/r', build_prediction: { commit_sha: 'abc' } })))
+      .toEqual(['build_prediction.commit_sha']);
+    expect(validatePayload(schema, { repository: 'o/r', action: 'generate_k8s_manifests' }).errors).toBeNull();
+    expect(fields(validatePayload(schema, { repository: 'o/r', action: 'deploy_to_k8s' }))).toEqual(['k8s_manifests']);
+  });
+
+  test('monitor needs the deployment id as a uuid', () => {
+    expect(fields(validatePayload(schemas.monitor, { deployment_id: 'dep-1' }))).toEqual(['deployment_id']);
+    expect(validatePayload(schemas.monitor, { deployment_id: '3f0c3d6e-0d3a-4d2b-9a4e-2b1f0c6d7e8f', monitoring_duration: '60' }).value.monitoring_duration)
+      .toBe(60);
+  });
+});
@@ -0,0 +1,193 @@
+// Converts the joi schemas in agentSchemas.js to JSON Schema (draft 2020-12)
+// so clients and API docs can use the same contract the server enforces.
+// Only the joi features those schemas use are covered.
+
+const regexSource = (regex) => {
+  const match = /^\/(.*)\/([a-z]*)$/.exec(regex);
+  return match ? match[1] : regex;
+};
+
+const STRING_FORMATS = {
+  guid: 'uuid',
+  uuid: 'uuid',
+  uri: 'uri',
+  email: 'email',
+  hostname: 'hostname',
+  isoDate: 'date-time'
+};
+
+function applyRules(schema, description) {
+  for (const rule of description.rules || []) {
+    const limit = rule.args?.limit;
+
+    if (description.type === 'string') {
+      if (rule.name === 'pattern') {
+        schema.pattern = regexSource(rule.args.regex);
+      } else if (rule.name === 'min') {
+        schema.minLength = limit;
+      } else if (rule.name === 'max') {
+        schema.maxLength = limit;
+      } else if (rule.name === 'length') {
+        schema.minLength = limit;
+        schema.maxLength = limit;
+      } else if (STRING_FORMATS[rule.name]) {
+        schema.format = STRING_FORMATS[rule.name];
+      }
+    } else if (description.type === 'number') {
+      if (rule.name === 'integer') {
+        schema.type = 'integer';
+      } else if (rule.name === 'min') {
+        schema.minimum = limit;
+      } else if (rule.name === 'max') {
+        schema.maximum = limit;
+      } else if (rule.name === 'greater') {
+        schema.exclusiveMinimum = limit;
+      } else if (rule.name === 'less') {
+        schema.exclusiveMaximum = limit;
+      }
+    } else if (description.type === 'array') {
+      if (rule.name === 'min') {
+        schema.minItems = limit;
+      } else if (rule.name === 'max') {
+        schema.maxItems = limit;      } else if (rule.name === 'unique') {
+        schema.uniqueItems = true;
+      }
+    }
+  }
+}
+
+// Path of `other` in `Joi.when(other, { not: Joi.exist(), then: Joi.required() })`,
+// which joi describes as required otherwise
+const requiredUnless = (then) => {
+  const nested = then?.whens?.length === 1 ? then.whens[0] : null;
+  return nested && nested.is?.flags?.presence === 'required' && !nested.then &&
+    nested.otherwise?.flags?.presence === 'required' ? nested.ref?.path : null;
+};
+
+// A schema matching objects without the (possibly nested) key at `path`
+const missing = (path) => path.slice(0, -1).reduceRight(
+  (inner, key) => ({ properties: { [key]: inner } }),
+  { not: { required: [path[path.length - 1]] } }
+);
+
+// Joi `.when(key, { is: value, then: Joi.required() })` becomes an if/then on the object
+function conditionalRequirements(keys) {
+  const conditions = [];
+
+  for (const [name, key] of Object.entries(keys)) {
+    for (const when of key.whens || []) {
+      const refKey = when.ref?.path?.[0];
+      const value = (when.is?.allow || []).find(item => typeof item !== 'object');
+      const unless = requiredUnless(when.then);
+      if (!refKey || value === undefined || (when.then?.flags?.presence !== 'required' && !unless)) {
+        continue;
+      }
+
+      const condition = { properties: { [refKey]: { const: value } } };
+      // A missing key only matches when joi would default it to the tested value
+      if (keys[refKey]?.flags?.default !== value) {
+        condition.required = [refKey];
+      }
+      if (unless) {
+        condition.allOf = [missing(unless)];
+      }
+      conditions.push({ if: condition, then: { required: [name] } });
+    }
+  }
+
+  return conditions;
+}
+
+// A schema matching objects with the (possibly nested) key at `path`
+const present = (path) => path.slice(0, -1).reduceRight(
+  (inner, key) => ({ properties: { [key]: inner }, required: [key] }),
+  { required: [path[path.length - 1]] }
+);
+
+// Joi `.or(a, b)` needs one of the keys; `.with(a, b)` needs b whenever a is present
+function dependencyRequirements(dependencies = []) {
+  return dependencies.flatMap((dependency) => {
+    if (dependency.rel === 'or') {
+      return [{ anyOf: dependency.peers.map(peer => present(peer.path || String(peer).split('.'))) }];
+    }
+    const peers = dependency.peers.map(peer => peer.path?.[0] ?? peer);
+    if (dependency.rel === 'with') {
+      const key = dependency.key.path?.[0] ?? dependency.key;
+      return [{ if: { required: [key] }, then: { required: peers } }];
+    }
+    return [];
+  });
+}
+
+function convert(description) {
+  const schema = {};
+  const flags = description.flags || {};
+
+  switch (description.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'object':
+    case 'array':
+      schema.type = description.type;
+      break;
+    default:
+      break;
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  applyRules(schema, description);
+
+  const allowed = (description.allow || []).filter(item => typeof item !== 'object' || item === null);
+  if (flags.only) {
+    schema.enum = allowed;
+  } else if (allowed.includes(null) && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'object') {
+    schema.default = flags.default;
+  }
+
+  if (description.type === 'object') {
+    const keys = description.keys || {};
+    if (description.keys) {
+      schema.properties = {};
+      for (const [name, key] of Object.entries(keys)) {
+        schema.properties[name] = convert(key);
+      }
+
+      const required = Object.keys(keys).filter(name => keys[name].flags?.presence === 'required');
+      if (required.length > 0) {
+        schema.required = required;
+      }
+
+      const conditions = [...conditionalRequirements(keys), ...dependencyRequirements(description.dependencies)];
+      if (conditions.length > 0) {
+        schema.allOf = conditions;
+      }
+    }
+    schema.additionalProperties = flags.unknown === true || !description.keys;
+  }
+
+  if (description.type === 'array' && description.items?.length === 1) {
+    schema.items = convert(description.items[0]);
+  }
+
+  return schema;
+}
+
+function toJsonSchema(joiSchema, title) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    ...(title && { title }),
+    ...convert(joiSchema.describe())
+  };
+}
+
+module.exports = {
+  toJsonSchema
+};
@@ -0,0 +1,71 @@
+const Joi = require('joi');
+
+const { toJsonSchema } = require('./jsonSchema');
+const { schemas } = require('./agentSchemas');
+
+describe('toJsonSchema', () => {
+  test('converts types, rules, enums and defaults', () => {
+    const schema = Joi.object({
+      name: Joi.string().pattern(/^[a-z]+$/).max(20).required().description('Name'),
+      id: Joi.string().guid(),
+      count: Joi.number().integer().min(1).max(10).default(1),
+      mode: Joi.string().valid('fast', 'slow'),
+      note: Joi.string().allow(null),
+      tags: Joi.array().items(Joi.string()).min(1).unique()
+    });
+
+    expect(toJsonSchema(schema, 'Example')).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'Example',
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name', pattern: '^[a-z]+$', maxLength: 20 },
+        id: { type: 'string', format: 'uuid' },
+        count: { type: 'integer', minimum: 1, maximum: 10, default: 1 },
+        mode: { type: 'string', enum: ['fast', 'slow'] },
+        note: { type: ['string', 'null'] },
+        tags: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string' } }
+      },
+      required: ['name'],
+      additionalProperties: false
+    });
+  });
+
+  test('turns or() and with() into anyOf and if/then', () => {
+    const schema = Joi.object({ a: Joi.string(), b: Joi.string(), c: Joi.string() }).or('a', 'b').with('a', 'c');
+
+    expect(toJsonSchema(schema).allOf).toEqual([
+      { anyOf: [{ required: ['a'] }, { required: ['b'] }] },
+      { if: { required: ['a'] }, then: { required: ['c'] } }
+    ]);
+  });
+
+  test('requires nested or() peers through their parents', () => {
+    const schema = Joi.object({ a: Joi.string(), b: Joi.object({ c: Joi.string() }) }).or('a', 'b.c');
+
+    expect(toJsonSchema(schema).allOf).toEqual([
+      { anyOf: [{ required: ['a'] }, { properties: { b: { required: ['c'] } }, required: ['b'] }] }
+    ]);
+  });
+
+  test('describes conditional requirements of the agent schemas', () => {
+    const docker = toJsonSchema(schemas['docker-handler']);
+
+    expect(docker.properties.action).toMatchObject({ enum: ['build_and_push', 'generate_k8s_manifests', 'deploy_to_k8s'], default: 'build_and_push' });
+    expect(docker.allOf).toEqual([
+      {
+        // build_and_push is the default, so a missing action matches too
+        if: {
+          properties: { action: { const: 'build_and_push' } },
+          allOf: [{ properties: { build_prediction: { not: { required: ['commit_sha'] } } } }]
+        },
+        then: { required: ['commit_sha'] }
+      },
+      {
+        if: { properties: { action: { const: 'deploy_to_k8s' } }, required: ['action'] },
+        then: { required: ['k8s_manifests'] }
+      }
+    ]);
+    expect(docker.additionalProperties).toBe(true);
+  });
+});
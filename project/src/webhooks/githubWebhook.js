@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+
+const PULL_REQUEST_ACTIONS = ['opened', 'synchronize', 'reopened'];
+
+// Verify X-Hub-Signature-256 (HMAC-SHA256 of the raw request body)
+const verifySignature = (rawBody, signatureHeader, secret) => {
+  if (!rawBody || !signatureHeader || !secret) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const received = Buffer.from(String(signatureHeader));
+  const computed = Buffer.from(expected);
+
+  return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+};
+
+const ref = Joi.object({
+  ref: Joi.string().required(),
+  sha: Joi.string().required()
+}).unknown(true);
+
+// The parts of each handled event's payload planDispatch reads. Unknown keys are
+// allowed: GitHub sends far more than this.
+const payloadSchemas = {
+  pull_request: Joi.object({
+    action: Joi.string().required(),
+    repository: Joi.object({ full_name: Joi.string().required() }).unknown(true).required(),
+    pull_request: Joi.object({
+      number: Joi.number().integer(),
+      base: ref.required(),
+      head: ref.required()
+    }).unknown(true).required()
+  }).unknown(true),
+  push: Joi.object({
+    ref: Joi.string().required(),
+    // The pushed commit, deployed as commit_sha
+    after: Joi.string().required(),
+    repository: Joi.object({ full_name: Joi.string().required() }).unknown(true).required()
+  }).unknown(true),
+  workflow_run: Joi.object({
+    action: Joi.string().required(),
+    repository: Joi.object({ full_name: Joi.string().required() }).unknown(true).required(),
+    workflow_run: Joi.object({
+      head_sha: Joi.string().required()
+    }).unknown(true).required()
+  }).unknown(true)
+};
+
+// Why a payload of a handled event can't be dispatched, or null when it can
+const validatePayload = (event, payload) => {
+  const schema = payloadSchemas[event];
+  if (!schema) {
+    return null;
+  }
+  const { error } = schema.validate(payload, { abortEarly: false });
+  return error ? error.details.map(detail => detail.message).join('; ') : null;
+};
+
+// Decide which pipeline stages a GitHub event should run, replacing the
+// "Filter PR Events" node of the n8n workflow. Returns null for events we ignore.
+const planDispatch = (event, payload = {}) => {
+  const repository = payload.repository?.full_name;
+
+  switch (event) {
+    case 'pull_request': {
+      if (!PULL_REQUEST_ACTIONS.includes(payload.action)) {
+        return null;
+      }
+      const pr = payload.pull_request;
+      return {
+        reason: `pull_request.${payload.action}`,
+        params: {
+          repository,
+          pr_number: payload.number || pr.number,
+          diff_url: pr.diff_url,
+          base_sha: pr.base.sha,
+          head_sha: pr.head.sha,
+          branch: pr.head.ref,
+          base_branch: pr.base.ref,
+          changed_files: pr.changed_files,
+          stages: ['code-review', 'build-predictor', 'docker-handler', 'deploy', 'monitor']
+        }
+      };
+    }
+
+    case 'push': {
+      // Only deploy pushes to the default branch; branch deletions have nothing to build
+      const defaultBranch = payload.repository?.default_branch;
+      const branch = (payload.ref || '').replace('refs/heads/', '');
+      if (payload.deleted || !payload.ref?.startsWith('refs/heads/') || branch !== defaultBranch) {
+        return null;
+      }
+      return {
+        reason: `push to ${branch}`,
+        params: {
+          repository,
+          commit_sha: payload.after,
+          branch,
+          stages: ['build-predictor', 'docker-handler', 'deploy', 'monitor']
+        }
+      };
+    }
+
+    case 'workflow_run': {
+      // Re-run the build prediction once CI finishes so it reflects the real outcome
+      if (payload.action !== 'completed') {
+        return null;
+      }
+      const run = payload.workflow_run;
+      return {
+        reason: `workflow_run ${run.name} ${run.conclusion}`,
+        params: {
+          repository,
+          commit_sha: run.head_sha,
+          branch: run.head_branch,
+          pr_number: run.pull_requests?.[0]?.number,
+          stages: ['build-predictor']
+        }
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  PULL_REQUEST_ACTIONS,
+  verifySignature,
+  validatePayload,
+  planDispatch
+};
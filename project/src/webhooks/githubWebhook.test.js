@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { validatePayload, planDispatch } = require('./githubWebhook');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'github');
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+describe('validatePayload', () => {
+  test.each(['pull_request-opened', 'push-main', 'workflow_run-completed'])('accepts the recorded %s payload', (name) => {
+    const { event, payload } = fixture(name);
+    expect(validatePayload(event, payload)).toBeNull();
+  });
+
+  test('reports what a pull_request payload is missing', () => {
+    const { event, payload } = fixture('pull_request-malformed');
+    expect(validatePayload(event, payload)).toMatch(/"pull_request" is required/);
+  });
+
+  test('needs the pushed commit of a push', () => {
+    const { event, payload } = fixture('push-main');
+    const { after, ...withoutAfter } = payload;
+    expect(validatePayload(event, withoutAfter)).toBe('"after" is required');
+  });
+
+  test('does not check events that are not dispatched', () => {
+    expect(validatePayload('issues', {})).toBeNull();
+  });
+});
+
+describe('planDispatch', () => {
+  test('runs the whole pipeline for an opened pull request', () => {
+    const { event, payload } = fixture('pull_request-opened');
+    const plan = planDispatch(event, payload);
+
+    expect(plan.reason).toBe('pull_request.opened');
+    expect(plan.params).toMatchObject({
+      repository: payload.repository.full_name,
+      pr_number: payload.number,
+      head_sha: payload.pull_request.head.sha,
+      base_branch: payload.pull_request.base.ref
+    });
+    expect(plan.params.stages[0]).toBe('code-review');
+  });
+
+  test('deploys pushes to the default branch only', () => {
+    const { event, payload } = fixture('push-main');
+    expect(planDispatch(event, payload).params.commit_sha).toBe(payload.after);
+    expect(planDispatch(event, { ...payload, ref: 'refs/heads/feature' })).toBeNull();
+    expect(planDispatch(event, { ...payload, deleted: true })).toBeNull();
+  });
+
+  test('re-runs the build prediction for a completed workflow run', () => {
+    const { event, payload } = fixture('workflow_run-completed');
+    expect(planDispatch(event, payload).params.stages).toEqual(['build-predictor']);
+    expect(planDispatch(event, { ...payload, action: 'requested' })).toBeNull();
+  });
+});